@@ -1,6 +1,8 @@
-require("dotenv").config();
+require("dotenv").config({ quiet: true });
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
 
 const {
   Client: DiscordClient,
@@ -9,13 +11,38 @@ const {
   Routes,
   SlashCommandBuilder,
   EmbedBuilder,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
   PermissionFlagsBits,
+  GuildScheduledEventEntityType,
+  GuildScheduledEventPrivacyLevel,
 } = require("discord.js");
 
-console.log("RUNNING FILE:", __filename, "VERSION: 2026-02-13-a");
+const BUILD_VERSION = "2026-02-13-a";
 
 // ======================================================
-// CONFIG STORAGE (per guild)
+// LOGGING (one JSON object per line, for hosted log search)
+// ======================================================
+function logJson(level, msg, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+  if (level === "error" || level === "warn") console.error(line);
+  else console.log(line);
+}
+
+// Message and stack as fields, so a failure stays on one line
+function errorFields(err) {
+  return { error: String(err?.message || err), stack: err?.stack || null };
+}
+
+logJson("info", "starting", { file: __filename, version: BUILD_VERSION, node: process.version, pid: process.pid });
+
+// ======================================================
+// STORAGE (atomic, versioned JSON documents)
 // ======================================================
 const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), "data");
 
@@ -25,54 +52,245 @@ if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 const GUILD_CFG_FILE = path.join(DATA_DIR, "guild-config.json");
 const META_FILE = path.join(DATA_DIR, "meta.json");
 
-function loadJson(file, fallback) {
+function isPlainObject(v) {
+  return Boolean(v) && typeof v === "object" && !Array.isArray(v);
+}
+
+// Writes a temp file, flushes it and renames it over the original, so a crash
+// leaves either the old file or the new one. The previous copy stays as `.bak`.
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
   try {
-    return JSON.parse(fs.readFileSync(file, "utf8"));
-  } catch {
-    return fallback;
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
   }
+  if (fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+  fs.renameSync(tmp, file);
 }
-function saveJson(file, data) {
-  fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf8");
+
+// Documents are `{ version, data }`; files from before versioning hold bare data (version 0)
+function unwrapDocument(doc) {
+  if (isPlainObject(doc) && Number.isInteger(doc.version) && isPlainObject(doc.data)) return doc;
+  if (!isPlainObject(doc)) throw new Error("not a JSON object");
+  return { version: 0, data: doc };
 }
 
-function loadGuildConfigAll() {
-  return loadJson(GUILD_CFG_FILE, {});
+// An unreadable file is moved aside and never silently replaced by `{}`: the `.bak`
+// copy is used if it parses, otherwise required stores stop the bot and caches start empty.
+function loadDocument(file, { required }) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return unwrapDocument(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (err) {
+    const aside = `${file}.corrupt-${Date.now()}`;
+    fs.renameSync(file, aside);
+    logJson("error", "storage file unreadable", { file, movedTo: aside, error: err.message });
+
+    try {
+      const doc = unwrapDocument(JSON.parse(fs.readFileSync(`${file}.bak`, "utf8")));
+      writeFileAtomic(file, JSON.stringify(doc, null, 2));
+      logJson("warn", "storage file restored from backup", { file, backup: `${file}.bak` });
+      return doc;
+    } catch {
+      if (required) {
+        throw new Error(`${file} is unreadable and has no usable .bak copy. Repair ${aside} or restore a backup.`);
+      }
+      logJson("warn", "storage file has no usable backup, starting empty", { file });
+      return null;
+    }
+  }
+}
+
+// `migrations[v]` turns version v data into version v + 1; the store's version is
+// migrations.length. Files are migrated (and rewritten) once, when the store is created.
+function createStore(file, { migrations = [], required = true } = {}) {
+  const version = migrations.length;
+  let doc = loadDocument(file, { required }) || { version, data: {} };
+
+  if (doc.version > version) {
+    throw new Error(`${file} uses schema ${doc.version}, but this build only knows up to ${version}.`);
+  }
+  if (doc.version < version) {
+    const from = doc.version;
+    doc = { version, data: migrateData(migrations, doc.data, from) };
+    writeFileAtomic(file, JSON.stringify(doc, null, 2));
+    logJson("info", "storage schema migrated", { file: path.basename(file), from, to: version });
+  }
+
+  return {
+    file,
+    version,
+    // The live document: read it, change it only through update()
+    read: () => doc.data,
+    // Synchronous read-modify-write, so two updates can never interleave and lose each other.
+    // `fn` gets a copy and may mutate it or return a replacement; undefined values are dropped.
+    update(fn) {
+      const draft = JSON.parse(JSON.stringify(doc.data));
+      const text = JSON.stringify({ version, data: fn(draft) ?? draft }, null, 2);
+      writeFileAtomic(file, text);
+      doc = JSON.parse(text);
+      return doc.data;
+    },
+  };
+}
+
+function migrateData(migrations, data, from) {
+  let out = data;
+  for (let v = from; v < migrations.length; v++) out = migrations[v](out);
+  return out;
+}
+
+// ======================================================
+// SCHEDULE PROFILES (several databases + thread sets per guild)
+// ======================================================
+const DEFAULT_PROFILE = "default";
+// Sections that belong to a profile; everything else in a guild config is shared
+const PROFILE_SECTIONS = ["notion", "threads", "filters"];
+
+function normalizeProfileName(name) {
+  return String(name || DEFAULT_PROFILE).trim().toLowerCase();
+}
+
+function isValidProfileName(name) {
+  return /^[a-z0-9][a-z0-9_-]{0,31}$/.test(name);
+}
+
+// " profile:merch" for command hints; empty for the default profile
+function profileHint(profile) {
+  return !profile || profile === DEFAULT_PROFILE ? "" : ` profile:${profile}`;
+}
+
+// Single-schedule configs keep notion/threads/filters at the top level
+function needsProfileMigration(cfg) {
+  return Boolean(cfg) && !cfg.profiles && PROFILE_SECTIONS.some((key) => cfg[key]);
+}
+
+function migrateGuildCfg(cfg) {
+  if (!needsProfileMigration(cfg)) return cfg;
+  const rest = { ...cfg };
+  const profile = {};
+  for (const key of PROFILE_SECTIONS) {
+    if (rest[key]) profile[key] = rest[key];
+    delete rest[key];
+  }
+  return { ...rest, profiles: { [DEFAULT_PROFILE]: profile } };
+}
+
+function profileNames(cfg) {
+  return Object.keys(cfg?.profiles || {});
+}
+
+// The guild config as one profile sees it: the profile's sections on top, plus `profile`
+function profileCfg(cfg, profile = DEFAULT_PROFILE) {
+  const sections = cfg?.profiles?.[profile];
+  return sections ? { ...cfg, ...sections, profile } : null;
+}
+
+// Views of every profile that has a database
+function configuredProfiles(cfg) {
+  return profileNames(cfg)
+    .map((name) => profileCfg(cfg, name))
+    .filter((view) => view.notion?.databaseId);
+}
+
+// Meta keys of the default profile keep their single-schedule form
+function profileStateKey(guildId, profile, suffix) {
+  return !profile || profile === DEFAULT_PROFILE ? `${guildId}:${suffix}` : `${guildId}:${profile}:${suffix}`;
+}
+
+const CONFIG_JSON_MAX_LENGTH = 1500;
+
+// Shared settings plus one profile, small enough for a Discord reply. `/caltrix config`
+// only needs `view`, so the feed token (a secret URL) is hidden; /caltrix feed show has it.
+function fmtProfileConfig(cfg, profile) {
+  const { profiles, ...shared } = cfg || {};
+  const data = { ...shared, profile, ...(profiles?.[profile] || {}) };
+  if (data.ics?.token) data.ics = { ...data.ics, token: "(hidden)" };
+  const others = profileNames(cfg).filter((name) => name !== profile);
+  return (
+    "```json\n" +
+    clip(JSON.stringify(data, null, 2), CONFIG_JSON_MAX_LENGTH) +
+    "\n```" +
+    (others.length ? `\n${tr(guildI18n(cfg), "config.other_profiles", { names: others.join(", ") })}` : "")
+  );
+}
+
+// Like setGuildCfg, one level deep inside a profile
+function setProfileCfg(guildId, profile, patch) {
+  const profiles = getGuildCfg(guildId)?.profiles || {};
+  const existing = profiles[profile] || {};
+  const merged = { ...existing, ...patch };
+  for (const [key, value] of Object.entries(patch)) {
+    if (isPlainObject(value) && isPlainObject(existing[key])) {
+      merged[key] = { ...existing[key], ...value };
+    }
+  }
+  return setGuildCfg(guildId, { profiles: { ...profiles, [profile]: merged } });
 }
-function saveGuildConfigAll(cfg) {
-  saveJson(GUILD_CFG_FILE, cfg);
+
+// ======================================================
+// CONFIG STORAGE (per guild)
+// ======================================================
+const GUILD_CFG_MIGRATIONS = [
+  // 0 → 1: versioned document
+  (data) => data,
+  // 1 → 2: single-schedule configs become the `default` profile
+  (data) => Object.fromEntries(Object.entries(data).map(([guildId, cfg]) => [guildId, migrateGuildCfg(cfg)])),
+];
+
+const guildStore = createStore(GUILD_CFG_FILE, { migrations: GUILD_CFG_MIGRATIONS });
+
+function loadGuildConfigAll() {
+  return guildStore.read();
 }
 function getGuildCfg(guildId) {
-  const all = loadGuildConfigAll();
-  return all[guildId] || null;
+  return loadGuildConfigAll()[guildId] || null;
 }
 function setGuildCfg(guildId, patch) {
-  const all = loadGuildConfigAll();
-  const existing = all[guildId] || {};
-  all[guildId] = {
-    ...existing,
-    ...patch,
-    threads: {
-      ...(existing.threads || {}),
-      ...(patch.threads || {}),
-    },
-    notion: {
-      ...(existing.notion || {}),
-      ...(patch.notion || {}),
-    },
-  };
-  saveGuildConfigAll(all);
+  const all = guildStore.update((all) => {
+    const existing = all[guildId] || {};
+    const merged = { ...existing, ...patch };
+    // Nested sections (threads, notion, schedule, …) are merged one level deep
+    for (const [key, value] of Object.entries(patch)) {
+      if (isPlainObject(value) && isPlainObject(existing[key])) {
+        merged[key] = { ...existing[key], ...value };
+      }
+    }
+    all[guildId] = merged;
+  });
   return all[guildId];
 }
-function requireGuildCfg(guildId) {
+// Replaces one section outright, so keys removed from it stay removed
+// (undefined drops the section)
+function replaceGuildSection(guildId, key, value) {
+  const all = guildStore.update((all) => {
+    all[guildId] = { ...(all[guildId] || {}), [key]: value };
+  });
+  return all[guildId];
+}
+// With a profile: that profile's view, ready to sync. Without: the guild config,
+// as long as at least one profile is ready.
+function requireGuildCfg(guildId, profile = null) {
   const cfg = getGuildCfg(guildId);
-  if (!cfg?.staffChannelId || !cfg?.threads?.thisMonth) {
-    throw new Error("This server is not configured. Run /caltrix setup first.");
+  if (!cfg?.staffChannelId || !profileNames(cfg).length) {
+    throw localizedError("error.not_configured", { hint: "" });
   }
-  if (!cfg?.notion?.databaseId) {
-    throw new Error("Notion DB not configured. Run /caltrix notion set <database_link> first.");
+  if (profile == null) {
+    if (!configuredProfiles(cfg).length) {
+      throw localizedError("error.no_database", { hint: "" });
+    }
+    return cfg;
   }
-  return cfg;
+
+  const view = profileCfg(cfg, profile);
+  const hint = profileHint(profile);
+  if (!view) throw localizedError("error.unknown_profile", { profile, hint });
+  if (!view.threads?.thisMonth) throw localizedError("error.not_configured", { hint });
+  if (!view.notion?.databaseId) throw localizedError("error.no_database", { hint });
+  return view;
 }
 
 // ======================================================
@@ -80,22 +298,83 @@ function requireGuildCfg(guildId) {
 // ======================================================
 const NOTION_VERSION = "2022-06-28";
 
-async function notionRequest(url, options = {}) {
-  const res = await fetch(url, {
-    ...options,
-    headers: {
-      Authorization: `Bearer ${process.env.NOTION_TOKEN}`,
-      "Notion-Version": NOTION_VERSION,
-      "Content-Type": "application/json",
-      ...(options.headers || {}),
-    },
-  });
+// Notion allows ~3 requests/second per integration; every guild shares this token
+const NOTION_MIN_INTERVAL_MS = Math.ceil(1000 / Number(process.env.NOTION_MAX_RPS || 3));
+const NOTION_MAX_RETRIES = 4;
+const NOTION_BACKOFF_BASE_MS = 500;
+
+let notionNextSlotAt = 0;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Hands out evenly spaced start times, so concurrent callers queue up instead of bursting
+function acquireNotionSlot() {
+  const now = Date.now();
+  const at = Math.max(now, notionNextSlotAt);
+  notionNextSlotAt = at + NOTION_MIN_INTERVAL_MS;
+  return sleep(at - now);
+}
+
+// Pushes every queued request back, e.g. after a 429
+function pauseNotionQueue(ms) {
+  notionNextSlotAt = Math.max(notionNextSlotAt, Date.now() + ms);
+}
+
+function backoffMs(attempt) {
+  return NOTION_BACKOFF_BASE_MS * 2 ** attempt + Math.floor(Math.random() * NOTION_BACKOFF_BASE_MS);
+}
+
+// `retryUnsafe: false` retries only 429s (Notion did nothing): a write that hit a
+// timeout or 5xx may already have gone through, and a retry could apply it twice.
+async function notionRequest(url, { retryUnsafe = true, ...options } = {}) {
+  const method = options.method || "GET";
+  const maxRetries = retryUnsafe ? NOTION_MAX_RETRIES : 0;
+  for (let attempt = 0; ; attempt++) {
+    await acquireNotionSlot();
+
+    const startedAt = Date.now();
+    let res;
+    try {
+      res = await fetch(url, {
+        ...options,
+        headers: {
+          Authorization: `Bearer ${process.env.NOTION_TOKEN}`,
+          "Notion-Version": NOTION_VERSION,
+          "Content-Type": "application/json",
+          ...(options.headers || {}),
+        },
+      });
+    } catch (err) {
+      // Network errors (DNS, reset, timeout) are retried with backoff
+      recordNotionAttempt(url, method, startedAt, { status: null, final: attempt >= maxRetries });
+      if (attempt >= maxRetries) throw err;
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+
+    const data = await res.json().catch(() => ({}));
+    const retry =
+      (res.status === 429 && attempt < NOTION_MAX_RETRIES) || (res.status >= 500 && attempt < maxRetries);
+    recordNotionAttempt(url, method, startedAt, { status: res.status, code: data?.code, final: !retry });
+    if (res.ok) return data;
+
+    if (res.status === 429 && attempt < NOTION_MAX_RETRIES) {
+      const retryAfter = Number(res.headers?.get?.("retry-after"));
+      pauseNotionQueue(Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : backoffMs(attempt));
+      continue;
+    }
+    if (res.status >= 500 && attempt < maxRetries) {
+      await sleep(backoffMs(attempt));
+      continue;
+    }
 
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok) {
-    throw new Error(`Notion API ${res.status}: ${data?.message || JSON.stringify(data)}`);
+    const err = new Error(`Notion API ${res.status}: ${data?.message || JSON.stringify(data)}`);
+    err.status = res.status;
+    err.notionCode = data?.code || null;
+    throw err;
   }
-  return data;
 }
 
 async function notionDbQuery(databaseId, body) {
@@ -105,10 +384,46 @@ async function notionDbQuery(databaseId, body) {
   });
 }
 
+// Follows `next_cursor` until Notion reports no more rows
+async function notionDbQueryAll(databaseId, body) {
+  const results = [];
+  let cursor;
+  do {
+    const res = await notionDbQuery(databaseId, {
+      ...body,
+      page_size: 100,
+      ...(cursor ? { start_cursor: cursor } : {}),
+    });
+    results.push(...(res.results || []));
+    cursor = res.has_more ? res.next_cursor : null;
+  } while (cursor);
+  return results;
+}
+
+async function notionGetDatabase(databaseId) {
+  return notionRequest(`https://api.notion.com/v1/databases/${databaseId}`, { method: "GET" });
+}
+
 async function notionGetPage(pageId) {
   return notionRequest(`https://api.notion.com/v1/pages/${pageId}`, { method: "GET" });
 }
 
+async function notionCreatePage(databaseId, properties) {
+  return notionRequest("https://api.notion.com/v1/pages", {
+    method: "POST",
+    body: JSON.stringify({ parent: { database_id: databaseId }, properties }),
+    retryUnsafe: false,
+  });
+}
+
+async function notionUpdatePage(pageId, properties) {
+  return notionRequest(`https://api.notion.com/v1/pages/${pageId}`, {
+    method: "PATCH",
+    body: JSON.stringify({ properties }),
+    retryUnsafe: false,
+  });
+}
+
 // Extract Notion DB ID from a Notion database URL
 function extractNotionDbIdFromUrl(url) {
   // Typical: https://www.notion.so/workspace/2e9fa1e7c6198005a614f28220675577?v=...
@@ -118,28 +433,1500 @@ function extractNotionDbIdFromUrl(url) {
 }
 
 // ======================================================
-// DATE HELPERS
+// DATE HELPERS (timezone-aware, IANA zones via Intl)
 // ======================================================
-function monthKeyFromDate(d) {
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  return `${y}-${m}`;
+const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || SERVER_TIMEZONE;
+const DEFAULT_TZ_LABEL = "KST";
+
+const zonedFormatters = new Map();
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Wall-clock parts of an instant in the given zone
+function zonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+  let fmt = zonedFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    zonedFormatters.set(timeZone, fmt);
+  }
+  const parts = {};
+  for (const { type, value } of fmt.formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts;
+}
+
+function tzOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant for a wall-clock time in the given zone (month/day overflow is normalized)
+function zonedTimeToUtc(year, month, day, hour = 0, minute = 0, second = 0, timeZone = DEFAULT_TIMEZONE) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = tzOffsetMs(new Date(guess), timeZone);
+  let result = guess - offset;
+  // Re-check once so DST transitions between guess and result are accounted for
+  const offset2 = tzOffsetMs(new Date(result), timeZone);
+  if (offset2 !== offset) result = guess - offset2;
+  return new Date(result);
 }
-function monthStartEnd(monthKey) {
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function dateKeyFromDate(d, timeZone = DEFAULT_TIMEZONE) {
+  const p = zonedParts(d, timeZone);
+  return `${p.year}-${pad2(p.month)}-${pad2(p.day)}`;
+}
+function monthKeyFromDate(d, timeZone = DEFAULT_TIMEZONE) {
+  return dateKeyFromDate(d, timeZone).slice(0, 7);
+}
+function monthStartEnd(monthKey, timeZone = DEFAULT_TIMEZONE) {
   const [Y, M] = monthKey.split("-").map(Number);
-  const start = new Date(Y, M - 1, 1, 0, 0, 0, 0);
-  const end = new Date(Y, M, 1, 0, 0, 0, 0);
+  const start = zonedTimeToUtc(Y, M, 1, 0, 0, 0, timeZone);
+  const end = zonedTimeToUtc(Y, M + 1, 1, 0, 0, 0, timeZone);
   return { start, end };
 }
-function fmtMonthTitle(monthKey) {
+function shiftMonthKey(monthKey, delta) {
   const [Y, M] = monthKey.split("-").map(Number);
-  const name = new Date(Y, M - 1, 1).toLocaleString("en-US", { month: "long" });
-  return `${name} ${Y}`;
+  const d = new Date(Date.UTC(Y, M - 1 + delta, 1));
+  return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}`;
+}
+function shiftDateKey(dateKey, deltaDays) {
+  const [Y, M, D] = dateKey.split("-").map(Number);
+  const d = new Date(Date.UTC(Y, M - 1, D + deltaDays));
+  return d.toISOString().slice(0, 10);
+}
+function dateKeyToUtc(dateKey) {
+  const [Y, M, D] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(Y, M - 1, D || 1));
+}
+
+// Intl formatters are slow to build, so each (locale, style) is built once
+const dateFormats = new Map();
+function dateFormat(locale, style) {
+  const key = `${locale}|${style}`;
+  if (!dateFormats.has(key)) {
+    // English keeps the zero-padded "MAR 07" the schedule has always used
+    const day = locale === DEFAULT_LOCALE ? "2-digit" : "numeric";
+    const options =
+      style === "month" ? { month: "long", year: "numeric" } :
+      style === "weekday" ? { weekday: "long", month: "short", day: "numeric" } :
+      { month: "short", day };
+    dateFormats.set(key, new Intl.DateTimeFormat(locale, { ...options, timeZone: "UTC" }));
+  }
+  return dateFormats.get(key);
+}
+
+// "March 2026" / "2026년 3월"
+function fmtMonthTitle(monthKey, locale = DEFAULT_LOCALE) {
+  return dateFormat(locale, "month").format(dateKeyToUtc(monthKey));
+}
+// "MAR 17" / "3월 17일" / "17 MAR"
+function fmtDateLabel(dateKey, locale = DEFAULT_LOCALE) {
+  return dateFormat(locale, "day").format(dateKeyToUtc(dateKey)).toLocaleUpperCase(locale);
+}
+
+// "Tuesday, Mar 17" / "3월 17일 화요일"
+function fmtWeekdayLabel(dateKey, locale = DEFAULT_LOCALE) {
+  return dateFormat(locale, "weekday").format(dateKeyToUtc(dateKey));
+}
+
+// Range label: "MAR 17–20", or "MAR 30–APR 02" across months. Other languages
+// put the day first, so Intl builds their ranges ("17–20 MAR").
+function fmtDateRangeLabel(startKey, endKey, locale = DEFAULT_LOCALE) {
+  if (!endKey || endKey === startKey) return fmtDateLabel(startKey, locale);
+  if (locale !== DEFAULT_LOCALE) {
+    return dateFormat(locale, "day").formatRange(dateKeyToUtc(startKey), dateKeyToUtc(endKey)).toLocaleUpperCase(locale);
+  }
+  const end = startKey.slice(0, 7) === endKey.slice(0, 7) ? endKey.slice(8) : fmtDateLabel(endKey);
+  return `${fmtDateLabel(startKey)}–${end}`;
+}
+
+// One Notion date string: date-only ("2026-03-17", a calendar day with no zone)
+// or a datetime with an offset. `time_zone` is set when there is no offset.
+function parseNotionDateString(raw, notionTimeZone, timeZone) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    const [Y, M, D] = raw.split("-").map(Number);
+    return { dateObj: zonedTimeToUtc(Y, M, D, 0, 0, 0, timeZone), dateKey: raw, allDay: true, time: "" };
+  }
+
+  let dateObj = new Date(raw);
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(raw);
+  if (!hasOffset && notionTimeZone && isValidTimeZone(notionTimeZone)) {
+    const m = raw.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/);
+    if (m) {
+      const [, Y, M, D, h, mi, sec] = m.map(Number);
+      dateObj = zonedTimeToUtc(Y, M, D, h, mi, sec || 0, notionTimeZone);
+    }
+  }
+  if (Number.isNaN(dateObj.getTime())) return null;
+
+  const p = zonedParts(dateObj, timeZone);
+  return {
+    dateObj,
+    dateKey: `${p.year}-${pad2(p.month)}-${pad2(p.day)}`,
+    allDay: false,
+    time: `${pad2(p.hour)}:${pad2(p.minute)}`,
+  };
+}
+
+// A Notion date value, with its optional end. `endDateKey` is the last day the
+// event touches (inclusive) and is null for single-day events.
+function parseNotionDate(value, timeZone = DEFAULT_TIMEZONE) {
+  if (!value?.start) return null;
+  const start = parseNotionDateString(value.start, value.time_zone, timeZone);
+  if (!start) return null;
+
+  const end = value.end ? parseNotionDateString(value.end, value.time_zone, timeZone) : null;
+  let endDateKey = end && end.dateObj > start.dateObj ? end.dateKey : null;
+  // A datetime range ending exactly at midnight does not touch that last day
+  if (endDateKey && !end.allDay && end.time === "00:00") endDateKey = shiftDateKey(endDateKey, -1);
+  if (endDateKey && endDateKey <= start.dateKey) endDateKey = null;
+
+  return {
+    dateObj: start.dateObj,
+    dateKey: start.dateKey,
+    allDay: start.allDay,
+    startTime: start.time,
+    endObj: end && end.dateObj > start.dateObj ? end.dateObj : null,
+    endDateKey,
+  };
+}
+
+function guildTimeZone(cfg) {
+  const tz = cfg?.timezone;
+  return isValidTimeZone(tz) ? tz : DEFAULT_TIMEZONE;
+}
+function guildTzLabel(cfg) {
+  return cfg?.timezoneLabel || cfg?.timezone || DEFAULT_TZ_LABEL;
+}
+
+// ======================================================
+// LOCALIZATION (per-guild language + phrase overrides)
+// ======================================================
+// Keys are Discord locale codes, so the same list localizes command descriptions
+const DEFAULT_LOCALE = "en-US";
+const LOCALES = { "en-US": "English", ko: "한국어", "es-ES": "Español", "pt-BR": "Português (Brasil)" };
+const LOCALE_STRING_MAX_LENGTH = 500;
+
+// Phrases members see: published schedules, changelogs, reminders, /schedule and
+// submission replies. Keys ending in .one/.other are picked by Intl.PluralRules.
+// Every language lists the same keys (Korean has no .one form); a key missing in
+// one language falls back to English.
+const STRINGS = {
+  "en-US": {
+    "schedule.heading": "Schedule",
+    "schedule.footer": "Synced from Notion",
+    "schedule.empty": "_No upcoming entries._",
+    "schedule.continued": "cont.",
+    "schedule.page": "cont. {page}/{pages}",
+    "schedule.week": "Week of {date}",
+    "schedule.other_type": "Other",
+    "schedule.link": "Link",
+    "schedule.countdown": "Coming up",
+    "schedule.dday": "D-DAY",
+    "recurrence.birthday": "turns {years}",
+    "recurrence.anniversary": "{ordinal} anniversary",
+    "archive.heading": "Archive",
+    "archive.footer": "Snapshot taken {date}",
+    "digest.week": "This week",
+    "digest.today": "Today",
+    "changelog.title": "Schedule updates",
+    "changelog.added": "Added: [{when}] {title}",
+    "changelog.moved": "Moved: {title} — {from} → {to}",
+    "changelog.status": "{title}: {from} → {to}",
+    "changelog.removed": "Removed: [{when}] {title}",
+    "changelog.no_status": "no status",
+    "list.more": "…and {count} more",
+    "reminder.starting": "Starting in {lead}",
+    "lead.day.one": "{count} day",
+    "lead.day.other": "{count} days",
+    "lead.hour.one": "{count} hour",
+    "lead.hour.other": "{count} hours",
+    "lead.minute.one": "{count} minute",
+    "lead.minute.other": "{count} minutes",
+    "public.date": "Schedule — {date}",
+    "public.upcoming.one": "Next {count} day",
+    "public.upcoming.other": "Next {count} days",
+    "public.matches": "Upcoming — {name}",
+    "public.none": "_Nothing found._",
+    "public.bad_date": "Date must be YYYY-MM-DD, e.g. `2026-03-17`.",
+    "submit.unknown_profile": "There is no schedule with that name.",
+    "submit.disabled": "Submissions are not set up on this server.",
+    "submit.modal_title": "Submit an event",
+    "submit.edit_title": "Edit submission",
+    "submit.field.title": "Title",
+    "submit.field.date": "Date",
+    "submit.field.type": "Type",
+    "submit.field.artist": "Artist",
+    "submit.field.link": "Link",
+    "submit.hint.date": "2026-03-17, 2026-03-17 19:00 or 2026-03-17 to 2026-03-19",
+    "submit.hint.artist": "Comma-separated for several",
+    "submit.bad_date": "Date must look like `2026-03-17`, `2026-03-17 19:00` or `2026-03-17 to 2026-03-19`.",
+    "submit.bad_link": "Link must start with http:// or https://.",
+    "submit.thanks": "Thanks! **{title}** was sent to the staff for review.",
+    "submit.handled": "This submission was already handled.",
+    "submit.expired": "This submission was already handled or has expired.",
+    "denied.admin": "{command} needs the Manage Server permission.",
+    "denied.action": "You don't have access to {command}. Ask an admin to run /caltrix permissions grant action:{action} for one of your roles.",
+    "denied.channel": "{command} can only be used in {channels}.",
+    "denied.review": "Reviewing submissions needs the **events** permission (/caltrix permissions grant).",
+    "error.message": "Error: {message}",
+    "error.doctor": "Run /caltrix doctor for a full check.",
+  },
+  ko: {
+    "schedule.heading": "일정",
+    "schedule.footer": "Notion에서 동기화됨",
+    "schedule.empty": "_예정된 일정이 없습니다._",
+    "schedule.continued": "계속",
+    "schedule.page": "계속 {page}/{pages}",
+    "schedule.week": "{date} 주간",
+    "schedule.other_type": "기타",
+    "schedule.link": "링크",
+    "schedule.countdown": "다가오는 일정",
+    "schedule.dday": "D-DAY",
+    "recurrence.birthday": "{years}번째 생일",
+    "recurrence.anniversary": "{years}주년",
+    "archive.heading": "아카이브",
+    "archive.footer": "{date} 기준 스냅샷",
+    "digest.week": "이번 주",
+    "digest.today": "오늘",
+    "changelog.title": "일정 변경 사항",
+    "changelog.added": "추가: [{when}] {title}",
+    "changelog.moved": "변경: {title} — {from} → {to}",
+    "changelog.status": "상태: {title} — {from} → {to}",
+    "changelog.removed": "삭제: [{when}] {title}",
+    "changelog.no_status": "상태 없음",
+    "list.more": "…외 {count}개",
+    "reminder.starting": "{lead} 후 시작",
+    "lead.day.other": "{count}일",
+    "lead.hour.other": "{count}시간",
+    "lead.minute.other": "{count}분",
+    "public.date": "일정 — {date}",
+    "public.upcoming.other": "앞으로 {count}일",
+    "public.matches": "예정 — {name}",
+    "public.none": "_찾은 일정이 없습니다._",
+    "public.bad_date": "날짜는 YYYY-MM-DD 형식이어야 합니다. 예: `2026-03-17`",
+    "submit.unknown_profile": "그런 이름의 일정이 없습니다.",
+    "submit.disabled": "이 서버는 일정 제보를 받지 않습니다.",
+    "submit.modal_title": "일정 제보하기",
+    "submit.edit_title": "제보 수정",
+    "submit.field.title": "제목",
+    "submit.field.date": "날짜",
+    "submit.field.type": "유형",
+    "submit.field.artist": "아티스트",
+    "submit.field.link": "링크",
+    "submit.hint.date": "2026-03-17, 2026-03-17 19:00 또는 2026-03-17 to 2026-03-19",
+    "submit.hint.artist": "여러 명은 쉼표로 구분",
+    "submit.bad_date": "날짜는 `2026-03-17`, `2026-03-17 19:00` 또는 `2026-03-17 to 2026-03-19` 형식이어야 합니다.",
+    "submit.bad_link": "링크는 http:// 또는 https://로 시작해야 합니다.",
+    "submit.thanks": "감사합니다! **{title}** 일정을 스태프에게 보냈습니다.",
+    "submit.handled": "이미 처리된 제보입니다.",
+    "submit.expired": "이미 처리되었거나 만료된 제보입니다.",
+    "denied.admin": "{command} 명령에는 서버 관리 권한이 필요합니다.",
+    "denied.action": "{command} 사용 권한이 없습니다. 관리자에게 /caltrix permissions grant action:{action} 으로 역할에 권한을 달라고 요청하세요.",
+    "denied.channel": "{command} 명령은 {channels} 에서만 사용할 수 있습니다.",
+    "denied.review": "제보 검토에는 **events** 권한이 필요합니다 (/caltrix permissions grant).",
+    "error.message": "오류: {message}",
+    "error.doctor": "전체 점검은 /caltrix doctor 를 실행하세요.",
+  },
+  "es-ES": {
+    "schedule.heading": "Calendario",
+    "schedule.footer": "Sincronizado desde Notion",
+    "schedule.empty": "_No hay eventos próximos._",
+    "schedule.continued": "cont.",
+    "schedule.page": "cont. {page}/{pages}",
+    "schedule.week": "Semana del {date}",
+    "schedule.other_type": "Otros",
+    "schedule.link": "Enlace",
+    "schedule.countdown": "Próximamente",
+    "schedule.dday": "DÍA D",
+    "recurrence.birthday": "cumple {years}",
+    "recurrence.anniversary": "{years}.º aniversario",
+    "archive.heading": "Archivo",
+    "archive.footer": "Instantánea del {date}",
+    "digest.week": "Esta semana",
+    "digest.today": "Hoy",
+    "changelog.title": "Cambios en el calendario",
+    "changelog.added": "Añadido: [{when}] {title}",
+    "changelog.moved": "Movido: {title} — {from} → {to}",
+    "changelog.status": "Estado: {title} — {from} → {to}",
+    "changelog.removed": "Eliminado: [{when}] {title}",
+    "changelog.no_status": "sin estado",
+    "list.more": "…y {count} más",
+    "reminder.starting": "Empieza en {lead}",
+    "lead.day.one": "{count} día",
+    "lead.day.other": "{count} días",
+    "lead.hour.one": "{count} hora",
+    "lead.hour.other": "{count} horas",
+    "lead.minute.one": "{count} minuto",
+    "lead.minute.other": "{count} minutos",
+    "public.date": "Calendario — {date}",
+    "public.upcoming.one": "Próximo {count} día",
+    "public.upcoming.other": "Próximos {count} días",
+    "public.matches": "Próximamente — {name}",
+    "public.none": "_No se encontró nada._",
+    "public.bad_date": "La fecha debe ser AAAA-MM-DD, p. ej. `2026-03-17`.",
+    "submit.unknown_profile": "No hay ningún calendario con ese nombre.",
+    "submit.disabled": "Las propuestas no están activadas en este servidor.",
+    "submit.modal_title": "Proponer un evento",
+    "submit.edit_title": "Editar propuesta",
+    "submit.field.title": "Título",
+    "submit.field.date": "Fecha",
+    "submit.field.type": "Tipo",
+    "submit.field.artist": "Artista",
+    "submit.field.link": "Enlace",
+    "submit.hint.date": "2026-03-17, 2026-03-17 19:00 o 2026-03-17 to 2026-03-19",
+    "submit.hint.artist": "Separados por comas si son varios",
+    "submit.bad_date": "La fecha debe tener la forma `2026-03-17`, `2026-03-17 19:00` o `2026-03-17 to 2026-03-19`.",
+    "submit.bad_link": "El enlace debe empezar por http:// o https://.",
+    "submit.thanks": "¡Gracias! **{title}** se envió al staff para su revisión.",
+    "submit.handled": "Esta propuesta ya se gestionó.",
+    "submit.expired": "Esta propuesta ya se gestionó o ha caducado.",
+    "denied.admin": "{command} requiere el permiso Gestionar servidor.",
+    "denied.action": "No tienes acceso a {command}. Pide a un admin que ejecute /caltrix permissions grant action:{action} para uno de tus roles.",
+    "denied.channel": "{command} solo se puede usar en {channels}.",
+    "denied.review": "Revisar propuestas requiere el permiso **events** (/caltrix permissions grant).",
+    "error.message": "Error: {message}",
+    "error.doctor": "Ejecuta /caltrix doctor para una revisión completa.",
+  },
+  "pt-BR": {
+    "schedule.heading": "Agenda",
+    "schedule.footer": "Sincronizado do Notion",
+    "schedule.empty": "_Nenhum evento programado._",
+    "schedule.continued": "cont.",
+    "schedule.page": "cont. {page}/{pages}",
+    "schedule.week": "Semana de {date}",
+    "schedule.other_type": "Outros",
+    "schedule.link": "Link",
+    "schedule.countdown": "Em breve",
+    "schedule.dday": "DIA D",
+    "recurrence.birthday": "faz {years} anos",
+    "recurrence.anniversary": "{years}º aniversário",
+    "archive.heading": "Arquivo",
+    "archive.footer": "Registro de {date}",
+    "digest.week": "Esta semana",
+    "digest.today": "Hoje",
+    "changelog.title": "Atualizações da agenda",
+    "changelog.added": "Adicionado: [{when}] {title}",
+    "changelog.moved": "Movido: {title} — {from} → {to}",
+    "changelog.status": "Status: {title} — {from} → {to}",
+    "changelog.removed": "Removido: [{when}] {title}",
+    "changelog.no_status": "sem status",
+    "list.more": "…e mais {count}",
+    "reminder.starting": "Começa em {lead}",
+    "lead.day.one": "{count} dia",
+    "lead.day.other": "{count} dias",
+    "lead.hour.one": "{count} hora",
+    "lead.hour.other": "{count} horas",
+    "lead.minute.one": "{count} minuto",
+    "lead.minute.other": "{count} minutos",
+    "public.date": "Agenda — {date}",
+    "public.upcoming.one": "Próximo {count} dia",
+    "public.upcoming.other": "Próximos {count} dias",
+    "public.matches": "Próximos — {name}",
+    "public.none": "_Nada encontrado._",
+    "public.bad_date": "A data deve ser AAAA-MM-DD, ex.: `2026-03-17`.",
+    "submit.unknown_profile": "Não existe agenda com esse nome.",
+    "submit.disabled": "Sugestões não estão ativadas neste servidor.",
+    "submit.modal_title": "Sugerir um evento",
+    "submit.edit_title": "Editar sugestão",
+    "submit.field.title": "Título",
+    "submit.field.date": "Data",
+    "submit.field.type": "Tipo",
+    "submit.field.artist": "Artista",
+    "submit.field.link": "Link",
+    "submit.hint.date": "2026-03-17, 2026-03-17 19:00 ou 2026-03-17 to 2026-03-19",
+    "submit.hint.artist": "Separados por vírgula se forem vários",
+    "submit.bad_date": "A data deve estar no formato `2026-03-17`, `2026-03-17 19:00` ou `2026-03-17 to 2026-03-19`.",
+    "submit.bad_link": "O link deve começar com http:// ou https://.",
+    "submit.thanks": "Obrigado! **{title}** foi enviado para a equipe revisar.",
+    "submit.handled": "Esta sugestão já foi tratada.",
+    "submit.expired": "Esta sugestão já foi tratada ou expirou.",
+    "denied.admin": "{command} requer a permissão Gerenciar servidor.",
+    "denied.action": "Você não tem acesso a {command}. Peça a um admin para executar /caltrix permissions grant action:{action} para um dos seus cargos.",
+    "denied.channel": "{command} só pode ser usado em {channels}.",
+    "denied.review": "Revisar sugestões requer a permissão **events** (/caltrix permissions grant).",
+    "error.message": "Erro: {message}",
+    "error.doctor": "Execute /caltrix doctor para uma verificação completa.",
+  },
+};
+
+// Replies staff see from /caltrix and its buttons. Kept apart from STRINGS so
+// /caltrix locale string only offers the phrases members see.
+const STAFF_STRINGS = {
+  "en-US": {
+    "error.not_configured": "This server is not configured. Run /caltrix setup{hint} first.",
+    "error.no_database": "Notion DB not configured. Run /caltrix notion{hint} <database_link> first.",
+    "error.unknown_profile": "Unknown profile `{profile}`. Create it with /caltrix setup{hint}.",
+    "error.schema_incomplete": "Notion schema mapping is missing Title or Date. Run /caltrix schema detect.",
+    "error.thread_missing": "Thread not found or no access: {id}",
+    "error.channel_missing": "Channel not found or no access: {id}",
+    "error.no_archive_thread": "No archive thread configured. Set thread_archive in /caltrix setup{hint}.",
+    "error.not_relation": "`{column}` is not a relation column.",
+    "error.guild_only": "Use this command in a server.",
+    "notion_error.not_shared": "I cannot access that Notion database. Open it in Notion → **Share** → invite the integration **{integration}**.",
+    "notion_error.unauthorized": "Notion rejected the bot's token. Check `NOTION_TOKEN` in the bot's environment.",
+    "notion_error.restricted": "The integration **{integration}** lacks the \"Read content\" capability. Enable it in Notion's integration settings.",
+    "notion_error.validation": "Notion rejected the query ({message}). A mapped column was probably renamed; run /caltrix schema detect{hint}.",
+    "check.staff_channel": "Staff channel",
+    "check.profile": "Profile `{profile}`",
+    "check.create_profile": "Create it with /caltrix setup{hint}.",
+    "check.run_setup": "Run /caltrix setup{hint}.",
+    "check.run_notion": "Run /caltrix notion{hint} <database_link>.",
+    "check.thread_this": "This-month thread",
+    "check.thread_last": "Last-month thread",
+    "check.thread_next": "Next-month thread",
+    "check.thread_archive": "Archive thread",
+    "check.not_thread_id": "`{id}` is not a thread ID. Right-click the thread → Copy Thread ID.",
+    "check.thread_not_found": "Thread `{id}` not found, or the bot cannot see its channel.",
+    "check.thread_other_server": "`{id}` belongs to another server.",
+    "check.not_a_thread": "<#{id}> is a channel, not a thread. Create a thread in it and use that ID.",
+    "check.thread_permissions": "Give the bot {permissions} in <#{parent}>.",
+    "check.thread_locked": "<#{id}> is locked. Unlock it or give the bot Manage Threads.",
+    "check.notion_database": "Notion database",
+    "check.notion_access": "Notion database access",
+    "check.column": "Column for **{field}**",
+    "check.column_unmapped": "Not mapped. Run /caltrix schema set{hint} field:{field}.",
+    "check.column_type": "`{column}` is now a {type} column. Run /caltrix schema set{hint} field:{field}.",
+    "check.column_missing": "`{column}` does not exist. Run /caltrix schema detect{hint}.",
+    "check.optional_columns": "Optional columns",
+    "check.optional_fix": "{columns} missing or changed type. Run /caltrix schema detect{hint}.",
+    "check.column_mapping": "Column mapping",
+    "check.test_query": "Test query",
+    "check.problems.one": "**{count} problem found.**",
+    "check.problems.other": "**{count} problems found.**",
+    "check.all_passed": "**All checks passed.**",
+    "common.none": "none",
+    "common.off": "off",
+    "common.never": "never",
+    "common.enabled": "enabled",
+    "common.disabled": "disabled",
+    "common.resync": "Run **/caltrix sync** to re-render the schedule.",
+    "button.cancel": "Cancel",
+    "button.save": "Save",
+    "button.publish": "Publish",
+    "button.restore": "Restore",
+    "button.approve": "Approve",
+    "button.edit": "Edit",
+    "button.reject": "Reject",
+    "pending.expired": "This preview expired. Run {command} again.",
+    "pending.not_yours": "Only the person who opened this preview can use these buttons.",
+    "autosync.not_configured": "Automatic sync is not configured. Use **/caltrix schedule set** to enable it.",
+    "autosync.status": "Status: **{state}**",
+    "autosync.active": "active",
+    "autosync.paused": "paused",
+    "autosync.interval": "Interval: every {minutes} min",
+    "autosync.rollover": "Daily rollover: {time} ({timeZone})",
+    "autosync.current_month": "Current month: {month}",
+    "autosync.last_sync": "Last sync: {at}",
+    "autosync.last_rollover": "Last rollover: {at}",
+    "autosync.archive_pending": "Archive pending: {month}",
+    "autosync.last_error": "Last error: {error}",
+    "autosync.next_sync": "Next sync: {at}",
+    "autosync.not_running": "⚠️ Not running: finish /caltrix setup{hint} and /caltrix notion{hint} first.",
+    "autosync.held": "⚠️ Held: review mode is on, publish with /caltrix preview.",
+    "autosync.bad_rollover": "Rollover time must be HH:MM (24h), e.g. `00:05`.",
+    "autosync.enabled": "Automatic sync enabled.",
+    "autosync.not_set": "Automatic sync is not configured for this server.",
+    "autosync.paused_reply": "Automatic sync paused. Run **/caltrix schedule set** to resume.",
+    "autosync.review_on": "Review mode on: /caltrix sync is disabled and automatic sync is held. Publish with /caltrix preview.",
+    "autosync.review_off": "Review mode off: /caltrix sync and automatic sync publish directly again.",
+    "history.alert_failed": "⚠️ **Sync failed{profile}** — {actor}, scope {scope}\n{error}\nRun /caltrix doctor{hint} for a full check.",
+    "history.alert_recovered": "✅ **Sync recovered{profile}** — {actor}, scope {scope}",
+    "history.actor": "{user} via {via}",
+    "history.scheduler": "scheduler",
+    "history.nothing_published": "nothing published",
+    "history.empty": "No syncs recorded yet.",
+    "history.title.one": "**Last sync** (failure alerts: {alerts})",
+    "history.title.other": "**Last {count} syncs** (failure alerts: {alerts})",
+    "history.alerts_on": "Sync failures (and recoveries) will be posted in {channel}.",
+    "history.alerts_off": "Sync failure alerts disabled. /caltrix history still records every sync.",
+    "setup.not_saved": "Nothing saved. Fix these and run /caltrix setup again:",
+    "setup.saved": "Saved config for this server:",
+    "setup.saved_profile": "Saved config for this server (profile **{profile}**):",
+    "profile.bad_name": "Profile names use lowercase letters, digits, `-` and `_` (up to 32 characters).",
+    "profile.database_set": "database set",
+    "profile.no_database": "no database",
+    "profile.line.one": "• **{name}** — {database}, 1 thread",
+    "profile.line.other": "• **{name}** — {database}, {count} threads",
+    "profile.none": "No profiles yet. Run /caltrix setup first.",
+    "profile.missing": "There is no profile `{profile}`.",
+    "profile.removed": "Profile **{profile}** removed. Its messages were left in the threads.",
+    "notion.bad_link": "I couldn't find a Notion database ID in that link. Please paste the database link (it contains a 32-char id).",
+    "notion.saved": "Saved Notion DB for this server (`{id}`).",
+    "notion.saved_profile": "Saved Notion DB for profile **{profile}** (`{id}`).",
+    "notion.next_sync": "Next: **/caltrix sync{hint}**.",
+    "notion.next_doctor": "Run **/caltrix doctor{hint}** once these are fixed.",
+    "schema.required": "(required)",
+    "schema.not_mapped": "_not mapped_",
+    "schema.not_found": "⚠️ not found in database",
+    "schema.unmapped_choice": "(not mapped)",
+    "schema.detected": "Saved suggested mapping:",
+    "schema.missing_required": "⚠️ Missing required field(s): {fields}.",
+    "schema.detect_next": "Use **/caltrix schema set{hint}** to change any field.",
+    "schema.required_field": "**{field}** is required and cannot be unmapped.",
+    "schema.no_column": "Column `{column}` does not exist in this database.",
+    "schema.wrong_type": "`{column}` is a {type} column; **{field}** needs one of: {types}.",
+    "schema.updated": "Mapping updated:",
+    "schema.defaults": "_Using default column names (run /caltrix schema detect)._",
+    "reminders.not_configured": "Reminders are not configured. Use **/caltrix reminder setup**.",
+    "reminders.type_role": "• type **{name}** → {role}",
+    "reminders.artist_role": "• artist **{name}** → {role}",
+    "reminders.channel": "Channel: {channel}",
+    "reminders.leads": "Lead times: {leads}",
+    "reminders.roles": "Role pings: {roles}",
+    "reminders.bad_leads": "Lead times must look like `24h, 1h` (units: d, h, m).",
+    "reminders.enabled": "Reminders enabled.",
+    "reminders.type_role_set": "type **{name}** now pings {role}.",
+    "reminders.artist_role_set": "artist **{name}** now pings {role}.",
+    "reminders.type_role_removed": "Removed the role ping for type **{name}**.",
+    "reminders.artist_role_removed": "Removed the role ping for artist **{name}**.",
+    "reminders.not_set": "Reminders are not configured for this server.",
+    "reminders.paused_reply": "Reminders paused. Run **/caltrix reminder setup** to resume.",
+    "export.bad_range": "Months must be YYYY-MM, and `to` cannot be before `from`.",
+    "export.too_long": "Export at most {count} months at a time.",
+    "export.done": "Calendar export for {months}.",
+    "feed.no_server": "⚠️ The HTTP server is not running (set HTTP_PORT or PORT), so the link won't load yet.",
+    "feed.rotated": "Feed link rotated. The previous link no longer works.",
+    "feed.link": "Subscribe in Google/Apple Calendar with:\n{url}\nAnyone with this link can read the schedule.",
+    "feed.disabled": "Calendar feed disabled.",
+    "changelog.enabled": "Changelogs will be posted in {channel} whenever a sync adds, moves or removes events.",
+    "changelog.disabled": "Changelog posts disabled.",
+    "digest.status_week": "**{name}**: {channel}, Mondays at {time} ({timeZone}), {mode}",
+    "digest.status_today": "**{name}**: {channel}, daily at {time} ({timeZone}), {mode}",
+    "digest.mode_edit": "one message kept up to date",
+    "digest.mode_post": "a new message each time",
+    "digest.types": "Types: {types}",
+    "digest.all_types": "all",
+    "digest.last_posted": "Last posted: {at}",
+    "digest.bad_time": "Time must be HH:MM (24h), e.g. `08:00`.",
+    "digest.types_today_only": "`types` only applies to the today digest.",
+    "digest.enabled": "**{name}** digest enabled in {channel}. If its time has already passed, it goes out within a minute.",
+    "digest.disabled": "**{name}** digest disabled.",
+    "digest.off": "The **{name}** digest is off. Turn it on with /caltrix digest set kind:{kind}.",
+    "digest.sent.one": "**{name}** digest sent to {channel} (1 event). It counts as this period's post, so the scheduled one is skipped.",
+    "digest.sent.other": "**{name}** digest sent to {channel} ({count} events). It counts as this period's post, so the scheduled one is skipped.",
+    "mirror.result": "Discord events: +{created} ~{updated} -{deleted}",
+    "mirror.result_failed": "Discord events: failed ({error})",
+    "mirror.enabled": "Mirroring enabled for: {types}.\nUpcoming rows (this and next month) are created, updated or removed as Discord Scheduled Events on every sync. The bot needs the **Manage Events** permission.",
+    "mirror.disabled": "Mirroring disabled. Existing Discord events were left in place.",
+    "mirror.status": "Status: **{state}**\nTypes: {types}\nLinked events: {linked}",
+    "recurring.set_birthday": "**{type}** rows now repeat every year as birthdays. Run /caltrix sync to update.",
+    "recurring.set_anniversary": "**{type}** rows now repeat every year as anniversaries. Run /caltrix sync to update.",
+    "recurring.set_off": "**{type}** rows are no longer repeated.",
+    "recurring.countdown_on.one": "The this-month view now counts down to the next event. It refreshes on every sync.",
+    "recurring.countdown_on.other": "The this-month view now counts down to the next {count} events. It refreshes on every sync.",
+    "recurring.countdown_off": "Countdown disabled.",
+    "recurring.status": "Recurring types: {types}\nCountdown: {countdown}",
+    "recurring.next": "next {count}",
+    "event.foreign_page": "That page is not in any of this server's schedule databases.",
+    "event.no_status_column": "No Status column is mapped. Run /caltrix schema set{hint} field:status.",
+    "event.several": "Several events match:\n{list}\nPick one from the suggestions.",
+    "event.none": "No event matches `{search}`.",
+    "event.done": "**{title}** is now **{status}**. {synced}",
+    "submit.no_artist_page": "No artist page titled {names}. Use Edit to fix the name.",
+    "submit.card_footer": "Event submission",
+    "submit.card_by": "Submitted by {user}",
+    "submit.edited_by": "Edited by {user}",
+    "submit.rejected_by": "❌ Rejected by {user}",
+    "submit.approved_by": "✅ Approved by {user} — [open in Notion]({url})",
+    "submit.not_approved": "⚠️ Not approved: {error}",
+    "permissions.manage_only": "Manage Server only",
+    "permissions.any_channel": "any channel",
+    "permissions.staff_channel": " (staff channel)",
+    "permissions.summary": "**Roles per action**\n{roles}\n**Channels**: {channels}",
+    "backup.not_json": "That file is not valid JSON.",
+    "backup.not_backup": "That file is not a Caltrix backup (make one with /caltrix backup export).",
+    "backup.other_server": "That backup belongs to another server; its thread and message IDs would not work here.",
+    "backup.newer": "That backup was made by a newer version of the bot.",
+    "backup.download_failed": "Could not download the attachment ({status}).",
+    "backup.summary": "Exported: {exportedAt}\nProfiles: {profiles}\nMessage bindings and state entries: {entries}",
+    "backup.cancelled": "Restore cancelled. Nothing was changed.",
+    "backup.restored": "Backup restored. Run /caltrix doctor to check it, then /caltrix sync.",
+    "backup.exported": "Backup of this server's config and message bindings. Keep it private: it contains the calendar feed token.",
+    "backup.too_large": "That file is too large to be a Caltrix backup.",
+    "backup.confirm": "**Restore this backup?** It replaces the whole config and message bindings of this server.",
+    "format.preview": "**Preview** — nothing is saved until you press Save.",
+    "format.sample": "_No events this month, showing sample rows._",
+    "format.more": "_Only the first message is shown ({count} more)._",
+    "format.discarded": "Format change discarded.",
+    "format.saved": "Format saved. Run /caltrix sync to apply it to the schedule threads.",
+    "format.no_emoji": "no emoji",
+    "format.built_in": "built-in",
+    "format.settings": "Line: {line}\nHeader: {header}\nFooter: {footer}\nGroup by: {group} • Color: {color}\nTypes: {types}\nLine placeholders: {placeholders}",
+    "format.unknown_placeholder": "Unknown placeholder in {name}: {unknown}.\nAvailable: {allowed}",
+    "format.bad_color": "Color must be a hex value like `#FF66AA`.",
+    "format.type_empty": "Give an emoji, a color, or both.",
+    "preview.no_thread": "No thread is configured for that scope. Set it in /caltrix setup{hint}.",
+    "preview.title": "**Preview{profile}** — {summary}",
+    "preview.note": "Nothing is published until you press Publish.",
+    "preview.warnings": "**Warnings**",
+    "preview.no_warnings": "No warnings.",
+    "preview.undated.one": "1 row skipped, no Date: {titles}",
+    "preview.undated.other": "{count} rows skipped, no Date: {titles}",
+    "preview.unknown_type": "Unknown Type {types} (no emoji): {titles}",
+    "preview.no_artist": "No Artist: {titles}",
+    "preview.unshared_relations": "Related pages not shared with the integration (names missing): {titles}",
+    "preview.discarded": "Preview discarded. Nothing was published.",
+    "preview.publishing": "Publishing…",
+    "preview.published": "Published. {months}",
+    "sync.review_held": "Review mode is on: publish with /caltrix preview.",
+    "sync.after_write": "Schedule synced.",
+    "sync.failed": "Sync failed: {error}",
+    "sync.review_on": "Review mode is on: run /caltrix preview and press Publish.",
+    "sync.done_all": "Synced. Last: {last}. This: {this}. Next: {next}.",
+    "sync.done_scope": "Synced {scope} month ({month}): {count}.",
+    "locale.language": "Language: {name} (`{locale}`)",
+    "locale.overrides": "Replaced phrases: {list}",
+    "locale.set": "Language set to **{name}**. Run **/caltrix sync** to re-render the schedule.",
+    "locale.unknown_key": "Unknown phrase `{key}`. Pick one from the list.",
+    "locale.string_set": "`{key}` now reads: {text}",
+    "locale.string_reset": "`{key}` is back to the built-in text.",
+    "archive.bad_month": "Month must be YYYY-MM, e.g. `2026-02`.",
+    "archive.posted.one": "Posted archive snapshot for {month}: 1 entry.",
+    "archive.posted.other": "Posted archive snapshot for {month}: {count} entries.",
+    "archive.reposted.one": "Re-posted archive snapshot for {month}: 1 entry.",
+    "archive.reposted.other": "Re-posted archive snapshot for {month}: {count} entries.",
+    "filter.any": "any",
+    "filter.statuses": "statuses: {statuses}",
+    "filter.only_types": "only types: {types}",
+    "filter.excluding": "excluding: {types}",
+    "filter.summary": "**Filters**\n{filters}\n**Status styles**: {styles}",
+    "filter.saved": "Filter for **{scope}** saved.",
+    "filter.cleared": "Filter for **{scope}** cleared.",
+    "filter.styled": "Rows with status **{status}** now render as **{style}**.",
+    "timezone.invalid": "`{zone}` is not a valid IANA timezone. Try something like `Asia/Seoul` or `Europe/Madrid`.",
+    "timezone.set": "Timezone set to **{zone}**.",
+    "timezone.set_label": "Timezone set to **{zone}** (footer: {label}).",
+    "timezone.local_time": "Local time there: {time}.",
+    "doctor.title": "**Diagnostics{profile}**",
+    "config.other_profiles": "Other profiles: {names}",
+  },
+  ko: {
+    "error.not_configured": "이 서버는 아직 설정되지 않았습니다. 먼저 /caltrix setup{hint} 를 실행하세요.",
+    "error.no_database": "Notion DB가 설정되지 않았습니다. 먼저 /caltrix notion{hint} <database_link> 를 실행하세요.",
+    "error.unknown_profile": "알 수 없는 프로필 `{profile}` 입니다. /caltrix setup{hint} 로 만드세요.",
+    "error.schema_incomplete": "Notion 열 매핑에 Title 또는 Date가 없습니다. /caltrix schema detect 를 실행하세요.",
+    "error.thread_missing": "스레드를 찾을 수 없거나 접근 권한이 없습니다: {id}",
+    "error.channel_missing": "채널을 찾을 수 없거나 접근 권한이 없습니다: {id}",
+    "error.no_archive_thread": "아카이브 스레드가 설정되지 않았습니다. /caltrix setup{hint} 에서 thread_archive 를 지정하세요.",
+    "error.not_relation": "`{column}` 은(는) 관계형 열이 아닙니다.",
+    "error.guild_only": "이 명령은 서버에서 사용하세요.",
+    "notion_error.not_shared": "이 Notion 데이터베이스에 접근할 수 없습니다. Notion에서 데이터베이스를 열고 **공유** → 통합 **{integration}** 을(를) 초대하세요.",
+    "notion_error.unauthorized": "Notion이 봇 토큰을 거부했습니다. 봇 환경 변수의 `NOTION_TOKEN` 을 확인하세요.",
+    "notion_error.restricted": "통합 **{integration}** 에 \"콘텐츠 읽기\" 기능이 없습니다. Notion 통합 설정에서 켜세요.",
+    "notion_error.validation": "Notion이 조회를 거부했습니다 ({message}). 매핑된 열 이름이 바뀐 것 같습니다. /caltrix schema detect{hint} 를 실행하세요.",
+    "check.staff_channel": "스태프 채널",
+    "check.profile": "프로필 `{profile}`",
+    "check.create_profile": "/caltrix setup{hint} 로 만드세요.",
+    "check.run_setup": "/caltrix setup{hint} 를 실행하세요.",
+    "check.run_notion": "/caltrix notion{hint} <database_link> 를 실행하세요.",
+    "check.thread_this": "이번 달 스레드",
+    "check.thread_last": "지난달 스레드",
+    "check.thread_next": "다음 달 스레드",
+    "check.thread_archive": "아카이브 스레드",
+    "check.not_thread_id": "`{id}` 은(는) 스레드 ID가 아닙니다. 스레드를 우클릭 → 스레드 ID 복사를 사용하세요.",
+    "check.thread_not_found": "스레드 `{id}` 을(를) 찾을 수 없거나 봇이 해당 채널을 볼 수 없습니다.",
+    "check.thread_other_server": "`{id}` 은(는) 다른 서버의 스레드입니다.",
+    "check.not_a_thread": "<#{id}> 은(는) 스레드가 아니라 채널입니다. 그 안에 스레드를 만들고 해당 ID를 사용하세요.",
+    "check.thread_permissions": "<#{parent}> 에서 봇에게 {permissions} 권한을 주세요.",
+    "check.thread_locked": "<#{id}> 이(가) 잠겨 있습니다. 잠금을 풀거나 봇에게 스레드 관리 권한을 주세요.",
+    "check.notion_database": "Notion 데이터베이스",
+    "check.notion_access": "Notion 데이터베이스 접근",
+    "check.column": "**{field}** 열",
+    "check.column_unmapped": "매핑되지 않았습니다. /caltrix schema set{hint} field:{field} 를 실행하세요.",
+    "check.column_type": "`{column}` 이(가) 이제 {type} 열입니다. /caltrix schema set{hint} field:{field} 를 실행하세요.",
+    "check.column_missing": "`{column}` 열이 없습니다. /caltrix schema detect{hint} 를 실행하세요.",
+    "check.optional_columns": "선택 열",
+    "check.optional_fix": "{columns} 열이 없거나 유형이 바뀌었습니다. /caltrix schema detect{hint} 를 실행하세요.",
+    "check.column_mapping": "열 매핑",
+    "check.test_query": "테스트 조회",
+    "check.problems.other": "**문제 {count}개를 찾았습니다.**",
+    "check.all_passed": "**모든 점검을 통과했습니다.**",
+    "common.none": "없음",
+    "common.off": "꺼짐",
+    "common.never": "없음",
+    "common.enabled": "켜짐",
+    "common.disabled": "꺼짐",
+    "common.resync": "**/caltrix sync** 를 실행하면 일정이 다시 그려집니다.",
+    "button.cancel": "취소",
+    "button.save": "저장",
+    "button.publish": "게시",
+    "button.restore": "복원",
+    "button.approve": "승인",
+    "button.edit": "수정",
+    "button.reject": "거절",
+    "pending.expired": "미리보기가 만료되었습니다. {command} 를 다시 실행하세요.",
+    "pending.not_yours": "이 미리보기를 연 사람만 버튼을 사용할 수 있습니다.",
+    "autosync.not_configured": "자동 동기화가 설정되지 않았습니다. **/caltrix schedule set** 으로 켜세요.",
+    "autosync.status": "상태: **{state}**",
+    "autosync.active": "실행 중",
+    "autosync.paused": "일시 중지",
+    "autosync.interval": "간격: {minutes}분마다",
+    "autosync.rollover": "매일 월 전환 시각: {time} ({timeZone})",
+    "autosync.current_month": "현재 월: {month}",
+    "autosync.last_sync": "마지막 동기화: {at}",
+    "autosync.last_rollover": "마지막 월 전환: {at}",
+    "autosync.archive_pending": "대기 중인 아카이브: {month}",
+    "autosync.last_error": "마지막 오류: {error}",
+    "autosync.next_sync": "다음 동기화: {at}",
+    "autosync.not_running": "⚠️ 실행되지 않음: 먼저 /caltrix setup{hint} 및 /caltrix notion{hint} 를 마치세요.",
+    "autosync.held": "⚠️ 보류됨: 검토 모드가 켜져 있습니다. /caltrix preview 로 게시하세요.",
+    "autosync.bad_rollover": "월 전환 시각은 HH:MM (24시간) 형식이어야 합니다. 예: `00:05`",
+    "autosync.enabled": "자동 동기화를 켰습니다.",
+    "autosync.not_set": "이 서버에는 자동 동기화가 설정되지 않았습니다.",
+    "autosync.paused_reply": "자동 동기화를 일시 중지했습니다. 다시 시작하려면 **/caltrix schedule set** 을 실행하세요.",
+    "autosync.review_on": "검토 모드 켜짐: /caltrix sync 가 비활성화되고 자동 동기화가 보류됩니다. /caltrix preview 로 게시하세요.",
+    "autosync.review_off": "검토 모드 꺼짐: /caltrix sync 와 자동 동기화가 다시 바로 게시합니다.",
+    "history.alert_failed": "⚠️ **동기화 실패{profile}** — {actor}, 범위 {scope}\n{error}\n전체 점검은 /caltrix doctor{hint} 를 실행하세요.",
+    "history.alert_recovered": "✅ **동기화 복구{profile}** — {actor}, 범위 {scope}",
+    "history.actor": "{user} ({via})",
+    "history.scheduler": "스케줄러",
+    "history.nothing_published": "게시된 내용 없음",
+    "history.empty": "아직 기록된 동기화가 없습니다.",
+    "history.title.other": "**최근 동기화 {count}건** (실패 알림: {alerts})",
+    "history.alerts_on": "동기화 실패(및 복구)를 {channel} 에 알립니다.",
+    "history.alerts_off": "동기화 실패 알림을 껐습니다. /caltrix history 에는 계속 모든 동기화가 기록됩니다.",
+    "setup.not_saved": "저장하지 않았습니다. 아래 문제를 고친 뒤 /caltrix setup 을 다시 실행하세요:",
+    "setup.saved": "이 서버의 설정을 저장했습니다:",
+    "setup.saved_profile": "이 서버의 설정을 저장했습니다 (프로필 **{profile}**):",
+    "profile.bad_name": "프로필 이름은 소문자, 숫자, `-`, `_` 만 사용할 수 있습니다 (최대 32자).",
+    "profile.database_set": "데이터베이스 설정됨",
+    "profile.no_database": "데이터베이스 없음",
+    "profile.line.other": "• **{name}** — {database}, 스레드 {count}개",
+    "profile.none": "아직 프로필이 없습니다. 먼저 /caltrix setup 을 실행하세요.",
+    "profile.missing": "`{profile}` 프로필이 없습니다.",
+    "profile.removed": "**{profile}** 프로필을 삭제했습니다. 스레드의 메시지는 그대로 남겨 두었습니다.",
+    "notion.bad_link": "링크에서 Notion 데이터베이스 ID를 찾을 수 없습니다. 데이터베이스 링크(32자 ID 포함)를 붙여 넣으세요.",
+    "notion.saved": "이 서버의 Notion DB를 저장했습니다 (`{id}`).",
+    "notion.saved_profile": "**{profile}** 프로필의 Notion DB를 저장했습니다 (`{id}`).",
+    "notion.next_sync": "다음 단계: **/caltrix sync{hint}**",
+    "notion.next_doctor": "문제를 고친 뒤 **/caltrix doctor{hint}** 를 실행하세요.",
+    "schema.required": "(필수)",
+    "schema.not_mapped": "_매핑 안 됨_",
+    "schema.not_found": "⚠️ 데이터베이스에 없음",
+    "schema.unmapped_choice": "(매핑 안 함)",
+    "schema.detected": "추천 매핑을 저장했습니다:",
+    "schema.missing_required": "⚠️ 필수 필드가 없습니다: {fields}",
+    "schema.detect_next": "필드를 바꾸려면 **/caltrix schema set{hint}** 를 사용하세요.",
+    "schema.required_field": "**{field}** 은(는) 필수이므로 매핑을 해제할 수 없습니다.",
+    "schema.no_column": "이 데이터베이스에 `{column}` 열이 없습니다.",
+    "schema.wrong_type": "`{column}` 은(는) {type} 열입니다. **{field}** 에는 다음 중 하나가 필요합니다: {types}",
+    "schema.updated": "매핑을 업데이트했습니다:",
+    "schema.defaults": "_기본 열 이름을 사용 중입니다 (/caltrix schema detect 를 실행하세요)._",
+    "reminders.not_configured": "알림이 설정되지 않았습니다. **/caltrix reminder setup** 을 사용하세요.",
+    "reminders.type_role": "• 유형 **{name}** → {role}",
+    "reminders.artist_role": "• 아티스트 **{name}** → {role}",
+    "reminders.channel": "채널: {channel}",
+    "reminders.leads": "알림 시점: {leads}",
+    "reminders.roles": "역할 멘션: {roles}",
+    "reminders.bad_leads": "알림 시점은 `24h, 1h` 처럼 입력하세요 (단위: d, h, m).",
+    "reminders.enabled": "알림을 켰습니다.",
+    "reminders.type_role_set": "유형 **{name}** 이(가) 이제 {role} 을(를) 멘션합니다.",
+    "reminders.artist_role_set": "아티스트 **{name}** 이(가) 이제 {role} 을(를) 멘션합니다.",
+    "reminders.type_role_removed": "유형 **{name}** 의 역할 멘션을 삭제했습니다.",
+    "reminders.artist_role_removed": "아티스트 **{name}** 의 역할 멘션을 삭제했습니다.",
+    "reminders.not_set": "이 서버에는 알림이 설정되지 않았습니다.",
+    "reminders.paused_reply": "알림을 일시 중지했습니다. 다시 시작하려면 **/caltrix reminder setup** 을 실행하세요.",
+    "export.bad_range": "월은 YYYY-MM 형식이어야 하고 `to` 가 `from` 보다 앞설 수 없습니다.",
+    "export.too_long": "한 번에 최대 {count}개월까지 내보낼 수 있습니다.",
+    "export.done": "{months} 캘린더 내보내기입니다.",
+    "feed.no_server": "⚠️ HTTP 서버가 실행 중이 아니라서 (HTTP_PORT 또는 PORT 를 설정하세요) 아직 링크가 열리지 않습니다.",
+    "feed.rotated": "피드 링크를 교체했습니다. 이전 링크는 더 이상 작동하지 않습니다.",
+    "feed.link": "Google/Apple 캘린더에서 다음 링크로 구독하세요:\n{url}\n이 링크가 있는 사람은 누구나 일정을 볼 수 있습니다.",
+    "feed.disabled": "캘린더 피드를 껐습니다.",
+    "changelog.enabled": "동기화로 일정이 추가, 이동, 삭제될 때마다 {channel} 에 변경 내역을 올립니다.",
+    "changelog.disabled": "변경 내역 게시를 껐습니다.",
+    "digest.status_week": "**{name}**: {channel}, 매주 월요일 {time} ({timeZone}), {mode}",
+    "digest.status_today": "**{name}**: {channel}, 매일 {time} ({timeZone}), {mode}",
+    "digest.mode_edit": "메시지 하나를 계속 수정",
+    "digest.mode_post": "매번 새 메시지",
+    "digest.types": "유형: {types}",
+    "digest.all_types": "전체",
+    "digest.last_posted": "마지막 게시: {at}",
+    "digest.bad_time": "시각은 HH:MM (24시간) 형식이어야 합니다. 예: `08:00`",
+    "digest.types_today_only": "`types` 는 오늘 요약에만 적용됩니다.",
+    "digest.enabled": "{channel} 에 **{name}** 요약을 켰습니다. 이미 시각이 지났다면 1분 안에 게시됩니다.",
+    "digest.disabled": "**{name}** 요약을 껐습니다.",
+    "digest.off": "**{name}** 요약이 꺼져 있습니다. /caltrix digest set kind:{kind} 로 켜세요.",
+    "digest.sent.other": "**{name}** 요약을 {channel} 에 보냈습니다 (일정 {count}개). 이번 기간의 게시로 처리되므로 예약된 게시는 건너뜁니다.",
+    "mirror.result": "Discord 이벤트: +{created} ~{updated} -{deleted}",
+    "mirror.result_failed": "Discord 이벤트: 실패 ({error})",
+    "mirror.enabled": "다음 유형을 미러링합니다: {types}\n동기화할 때마다 다가오는 일정(이번 달과 다음 달)을 Discord 예약 이벤트로 만들거나 수정하거나 삭제합니다. 봇에게 **이벤트 관리** 권한이 필요합니다.",
+    "mirror.disabled": "미러링을 껐습니다. 기존 Discord 이벤트는 그대로 두었습니다.",
+    "mirror.status": "상태: **{state}**\n유형: {types}\n연결된 이벤트: {linked}",
+    "recurring.set_birthday": "**{type}** 일정이 이제 매년 생일로 반복됩니다. 반영하려면 /caltrix sync 를 실행하세요.",
+    "recurring.set_anniversary": "**{type}** 일정이 이제 매년 기념일로 반복됩니다. 반영하려면 /caltrix sync 를 실행하세요.",
+    "recurring.set_off": "**{type}** 일정은 더 이상 반복되지 않습니다.",
+    "recurring.countdown_on.other": "이번 달 보기에 다음 일정 {count}개까지 카운트다운을 표시합니다. 동기화할 때마다 갱신됩니다.",
+    "recurring.countdown_off": "카운트다운을 껐습니다.",
+    "recurring.status": "반복 유형: {types}\n카운트다운: {countdown}",
+    "recurring.next": "다음 {count}개",
+    "event.foreign_page": "이 페이지는 이 서버의 일정 데이터베이스에 없습니다.",
+    "event.no_status_column": "Status 열이 매핑되지 않았습니다. /caltrix schema set{hint} field:status 를 실행하세요.",
+    "event.several": "여러 일정이 일치합니다:\n{list}\n추천 목록에서 하나를 고르세요.",
+    "event.none": "`{search}` 와(과) 일치하는 일정이 없습니다.",
+    "event.done": "**{title}** 의 상태가 이제 **{status}** 입니다. {synced}",
+    "submit.no_artist_page": "{names} 제목의 아티스트 페이지가 없습니다. 수정 버튼으로 이름을 고치세요.",
+    "submit.card_footer": "일정 제보",
+    "submit.card_by": "제보자: {user}",
+    "submit.edited_by": "{user} 님이 수정함",
+    "submit.rejected_by": "❌ {user} 님이 거절함",
+    "submit.approved_by": "✅ {user} 님이 승인함 — [Notion에서 열기]({url})",
+    "submit.not_approved": "⚠️ 승인되지 않음: {error}",
+    "permissions.manage_only": "서버 관리 권한만",
+    "permissions.any_channel": "모든 채널",
+    "permissions.staff_channel": " (스태프 채널)",
+    "permissions.summary": "**작업별 역할**\n{roles}\n**채널**: {channels}",
+    "backup.not_json": "올바른 JSON 파일이 아닙니다.",
+    "backup.not_backup": "Caltrix 백업 파일이 아닙니다 (/caltrix backup export 로 만드세요).",
+    "backup.other_server": "다른 서버의 백업입니다. 스레드와 메시지 ID가 이 서버에서는 작동하지 않습니다.",
+    "backup.newer": "더 새로운 버전의 봇으로 만든 백업입니다.",
+    "backup.download_failed": "첨부 파일을 내려받지 못했습니다 ({status}).",
+    "backup.summary": "내보낸 시각: {exportedAt}\n프로필: {profiles}\n메시지 연결 및 상태 항목: {entries}",
+    "backup.cancelled": "복원을 취소했습니다. 아무것도 바뀌지 않았습니다.",
+    "backup.restored": "백업을 복원했습니다. /caltrix doctor 로 점검한 뒤 /caltrix sync 를 실행하세요.",
+    "backup.exported": "이 서버의 설정과 메시지 연결 백업입니다. 캘린더 피드 토큰이 들어 있으니 외부에 공유하지 마세요.",
+    "backup.too_large": "Caltrix 백업이라기에는 파일이 너무 큽니다.",
+    "backup.confirm": "**이 백업을 복원할까요?** 이 서버의 설정과 메시지 연결 전체가 바뀝니다.",
+    "format.preview": "**미리보기** — 저장을 누르기 전에는 아무것도 저장되지 않습니다.",
+    "format.sample": "_이번 달 일정이 없어 예시 일정을 보여 줍니다._",
+    "format.more": "_첫 메시지만 보여 줍니다 ({count}개 더 있음)._",
+    "format.discarded": "서식 변경을 취소했습니다.",
+    "format.saved": "서식을 저장했습니다. 일정 스레드에 반영하려면 /caltrix sync 를 실행하세요.",
+    "format.no_emoji": "이모지 없음",
+    "format.built_in": "기본값",
+    "format.settings": "줄: {line}\n머리글: {header}\n바닥글: {footer}\n묶음 기준: {group} • 색상: {color}\n유형: {types}\n줄 자리표시자: {placeholders}",
+    "format.unknown_placeholder": "{name} 에 알 수 없는 자리표시자가 있습니다: {unknown}\n사용 가능: {allowed}",
+    "format.bad_color": "색상은 `#FF66AA` 같은 16진수 값이어야 합니다.",
+    "format.type_empty": "이모지나 색상 중 하나 이상을 지정하세요.",
+    "preview.no_thread": "해당 범위에 설정된 스레드가 없습니다. /caltrix setup{hint} 에서 지정하세요.",
+    "preview.title": "**미리보기{profile}** — {summary}",
+    "preview.note": "게시를 누르기 전에는 아무것도 게시되지 않습니다.",
+    "preview.warnings": "**경고**",
+    "preview.no_warnings": "경고 없음.",
+    "preview.undated.other": "날짜가 없어 {count}개 행을 건너뜀: {titles}",
+    "preview.unknown_type": "알 수 없는 유형 {types} (이모지 없음): {titles}",
+    "preview.no_artist": "아티스트 없음: {titles}",
+    "preview.unshared_relations": "통합과 공유되지 않은 관련 페이지 (이름 누락): {titles}",
+    "preview.discarded": "미리보기를 취소했습니다. 아무것도 게시되지 않았습니다.",
+    "preview.publishing": "게시 중…",
+    "preview.published": "게시했습니다. {months}",
+    "sync.review_held": "검토 모드가 켜져 있습니다. /caltrix preview 로 게시하세요.",
+    "sync.after_write": "일정을 동기화했습니다.",
+    "sync.failed": "동기화 실패: {error}",
+    "sync.review_on": "검토 모드가 켜져 있습니다. /caltrix preview 를 실행하고 게시를 누르세요.",
+    "sync.done_all": "동기화했습니다. 지난달: {last}. 이번 달: {this}. 다음 달: {next}.",
+    "sync.done_scope": "{scope} 월 ({month}) 동기화 완료: {count}.",
+    "locale.language": "언어: {name} (`{locale}`)",
+    "locale.overrides": "바꾼 문구: {list}",
+    "locale.set": "언어를 **{name}** (으)로 바꿨습니다. **/caltrix sync** 를 실행하면 일정이 다시 그려집니다.",
+    "locale.unknown_key": "알 수 없는 문구 `{key}` 입니다. 목록에서 고르세요.",
+    "locale.string_set": "`{key}` 문구: {text}",
+    "locale.string_reset": "`{key}` 을(를) 기본 문구로 되돌렸습니다.",
+    "archive.bad_month": "월은 YYYY-MM 형식이어야 합니다. 예: `2026-02`",
+    "archive.posted.other": "{month} 아카이브 스냅샷을 게시했습니다: {count}개 항목.",
+    "archive.reposted.other": "{month} 아카이브 스냅샷을 다시 게시했습니다: {count}개 항목.",
+    "filter.any": "전체",
+    "filter.statuses": "상태: {statuses}",
+    "filter.only_types": "포함 유형: {types}",
+    "filter.excluding": "제외: {types}",
+    "filter.summary": "**필터**\n{filters}\n**상태별 스타일**: {styles}",
+    "filter.saved": "**{scope}** 필터를 저장했습니다.",
+    "filter.cleared": "**{scope}** 필터를 지웠습니다.",
+    "filter.styled": "상태가 **{status}** 인 행은 이제 **{style}** 스타일로 표시됩니다.",
+    "timezone.invalid": "`{zone}` 은(는) 올바른 IANA 시간대가 아닙니다. `Asia/Seoul` 이나 `Europe/Madrid` 처럼 입력하세요.",
+    "timezone.set": "시간대를 **{zone}** (으)로 설정했습니다.",
+    "timezone.set_label": "시간대를 **{zone}** (으)로 설정했습니다 (바닥글: {label}).",
+    "timezone.local_time": "현지 시각: {time}.",
+    "doctor.title": "**진단{profile}**",
+    "config.other_profiles": "다른 프로필: {names}",
+  },
+  "es-ES": {
+    "error.not_configured": "Este servidor no está configurado. Ejecuta primero /caltrix setup{hint}.",
+    "error.no_database": "La base de datos de Notion no está configurada. Ejecuta primero /caltrix notion{hint} <database_link>.",
+    "error.unknown_profile": "Perfil desconocido `{profile}`. Créalo con /caltrix setup{hint}.",
+    "error.schema_incomplete": "Al mapeo de columnas de Notion le falta Title o Date. Ejecuta /caltrix schema detect.",
+    "error.thread_missing": "Hilo no encontrado o sin acceso: {id}",
+    "error.channel_missing": "Canal no encontrado o sin acceso: {id}",
+    "error.no_archive_thread": "No hay hilo de archivo configurado. Define thread_archive en /caltrix setup{hint}.",
+    "error.not_relation": "`{column}` no es una columna de relación.",
+    "error.guild_only": "Usa este comando en un servidor.",
+    "notion_error.not_shared": "No puedo acceder a esa base de datos de Notion. Ábrela en Notion → **Compartir** → invita a la integración **{integration}**.",
+    "notion_error.unauthorized": "Notion rechazó el token del bot. Revisa `NOTION_TOKEN` en el entorno del bot.",
+    "notion_error.restricted": "La integración **{integration}** no tiene la capacidad \"Leer contenido\". Actívala en la configuración de integraciones de Notion.",
+    "notion_error.validation": "Notion rechazó la consulta ({message}). Probablemente se renombró una columna mapeada; ejecuta /caltrix schema detect{hint}.",
+    "check.staff_channel": "Canal del staff",
+    "check.profile": "Perfil `{profile}`",
+    "check.create_profile": "Créalo con /caltrix setup{hint}.",
+    "check.run_setup": "Ejecuta /caltrix setup{hint}.",
+    "check.run_notion": "Ejecuta /caltrix notion{hint} <database_link>.",
+    "check.thread_this": "Hilo de este mes",
+    "check.thread_last": "Hilo del mes pasado",
+    "check.thread_next": "Hilo del próximo mes",
+    "check.thread_archive": "Hilo de archivo",
+    "check.not_thread_id": "`{id}` no es un ID de hilo. Haz clic derecho en el hilo → Copiar ID del hilo.",
+    "check.thread_not_found": "No se encontró el hilo `{id}`, o el bot no puede ver su canal.",
+    "check.thread_other_server": "`{id}` pertenece a otro servidor.",
+    "check.not_a_thread": "<#{id}> es un canal, no un hilo. Crea un hilo dentro y usa ese ID.",
+    "check.thread_permissions": "Da al bot {permissions} en <#{parent}>.",
+    "check.thread_locked": "<#{id}> está bloqueado. Desbloquéalo o da al bot Gestionar hilos.",
+    "check.notion_database": "Base de datos de Notion",
+    "check.notion_access": "Acceso a la base de datos de Notion",
+    "check.column": "Columna para **{field}**",
+    "check.column_unmapped": "Sin mapear. Ejecuta /caltrix schema set{hint} field:{field}.",
+    "check.column_type": "`{column}` ahora es una columna {type}. Ejecuta /caltrix schema set{hint} field:{field}.",
+    "check.column_missing": "`{column}` no existe. Ejecuta /caltrix schema detect{hint}.",
+    "check.optional_columns": "Columnas opcionales",
+    "check.optional_fix": "{columns}: faltan o cambiaron de tipo. Ejecuta /caltrix schema detect{hint}.",
+    "check.column_mapping": "Mapeo de columnas",
+    "check.test_query": "Consulta de prueba",
+    "check.problems.one": "**Se encontró {count} problema.**",
+    "check.problems.other": "**Se encontraron {count} problemas.**",
+    "check.all_passed": "**Todas las comprobaciones pasaron.**",
+    "common.none": "ninguno",
+    "common.off": "desactivado",
+    "common.never": "nunca",
+    "common.enabled": "activado",
+    "common.disabled": "desactivado",
+    "common.resync": "Ejecuta **/caltrix sync** para volver a generar el calendario.",
+    "button.cancel": "Cancelar",
+    "button.save": "Guardar",
+    "button.publish": "Publicar",
+    "button.restore": "Restaurar",
+    "button.approve": "Aprobar",
+    "button.edit": "Editar",
+    "button.reject": "Rechazar",
+    "pending.expired": "Esta vista previa caducó. Vuelve a ejecutar {command}.",
+    "pending.not_yours": "Solo quien abrió esta vista previa puede usar estos botones.",
+    "autosync.not_configured": "La sincronización automática no está configurada. Usa **/caltrix schedule set** para activarla.",
+    "autosync.status": "Estado: **{state}**",
+    "autosync.active": "activa",
+    "autosync.paused": "en pausa",
+    "autosync.interval": "Intervalo: cada {minutes} min",
+    "autosync.rollover": "Cambio de día: {time} ({timeZone})",
+    "autosync.current_month": "Mes actual: {month}",
+    "autosync.last_sync": "Última sincronización: {at}",
+    "autosync.last_rollover": "Último cambio de mes: {at}",
+    "autosync.archive_pending": "Archivo pendiente: {month}",
+    "autosync.last_error": "Último error: {error}",
+    "autosync.next_sync": "Próxima sincronización: {at}",
+    "autosync.not_running": "⚠️ No se está ejecutando: completa primero /caltrix setup{hint} y /caltrix notion{hint}.",
+    "autosync.held": "⚠️ Retenida: el modo revisión está activo; publica con /caltrix preview.",
+    "autosync.bad_rollover": "La hora de cambio debe ser HH:MM (24 h), p. ej. `00:05`.",
+    "autosync.enabled": "Sincronización automática activada.",
+    "autosync.not_set": "La sincronización automática no está configurada en este servidor.",
+    "autosync.paused_reply": "Sincronización automática en pausa. Ejecuta **/caltrix schedule set** para reanudarla.",
+    "autosync.review_on": "Modo revisión activado: /caltrix sync queda desactivado y la sincronización automática, retenida. Publica con /caltrix preview.",
+    "autosync.review_off": "Modo revisión desactivado: /caltrix sync y la sincronización automática vuelven a publicar directamente.",
+    "history.alert_failed": "⚠️ **Sincronización fallida{profile}** — {actor}, alcance {scope}\n{error}\nEjecuta /caltrix doctor{hint} para una revisión completa.",
+    "history.alert_recovered": "✅ **Sincronización recuperada{profile}** — {actor}, alcance {scope}",
+    "history.actor": "{user} vía {via}",
+    "history.scheduler": "programador",
+    "history.nothing_published": "nada publicado",
+    "history.empty": "Aún no hay sincronizaciones registradas.",
+    "history.title.one": "**Última sincronización** (alertas de fallo: {alerts})",
+    "history.title.other": "**Últimas {count} sincronizaciones** (alertas de fallo: {alerts})",
+    "history.alerts_on": "Los fallos de sincronización (y las recuperaciones) se publicarán en {channel}.",
+    "history.alerts_off": "Alertas de fallo desactivadas. /caltrix history sigue registrando cada sincronización.",
+    "setup.not_saved": "No se guardó nada. Corrige esto y vuelve a ejecutar /caltrix setup:",
+    "setup.saved": "Configuración guardada para este servidor:",
+    "setup.saved_profile": "Configuración guardada para este servidor (perfil **{profile}**):",
+    "profile.bad_name": "Los nombres de perfil usan minúsculas, dígitos, `-` y `_` (hasta 32 caracteres).",
+    "profile.database_set": "base de datos definida",
+    "profile.no_database": "sin base de datos",
+    "profile.line.one": "• **{name}** — {database}, 1 hilo",
+    "profile.line.other": "• **{name}** — {database}, {count} hilos",
+    "profile.none": "Aún no hay perfiles. Ejecuta primero /caltrix setup.",
+    "profile.missing": "No existe el perfil `{profile}`.",
+    "profile.removed": "Perfil **{profile}** eliminado. Sus mensajes se dejaron en los hilos.",
+    "notion.bad_link": "No encontré un ID de base de datos de Notion en ese enlace. Pega el enlace de la base de datos (contiene un ID de 32 caracteres).",
+    "notion.saved": "Base de datos de Notion guardada para este servidor (`{id}`).",
+    "notion.saved_profile": "Base de datos de Notion guardada para el perfil **{profile}** (`{id}`).",
+    "notion.next_sync": "Siguiente: **/caltrix sync{hint}**.",
+    "notion.next_doctor": "Ejecuta **/caltrix doctor{hint}** cuando esté corregido.",
+    "schema.required": "(obligatorio)",
+    "schema.not_mapped": "_sin mapear_",
+    "schema.not_found": "⚠️ no está en la base de datos",
+    "schema.unmapped_choice": "(sin mapear)",
+    "schema.detected": "Mapeo sugerido guardado:",
+    "schema.missing_required": "⚠️ Faltan campos obligatorios: {fields}.",
+    "schema.detect_next": "Usa **/caltrix schema set{hint}** para cambiar cualquier campo.",
+    "schema.required_field": "**{field}** es obligatorio y no se puede desmapear.",
+    "schema.no_column": "La columna `{column}` no existe en esta base de datos.",
+    "schema.wrong_type": "`{column}` es una columna {type}; **{field}** necesita una de: {types}.",
+    "schema.updated": "Mapeo actualizado:",
+    "schema.defaults": "_Usando los nombres de columna predeterminados (ejecuta /caltrix schema detect)._",
+    "reminders.not_configured": "Los recordatorios no están configurados. Usa **/caltrix reminder setup**.",
+    "reminders.type_role": "• tipo **{name}** → {role}",
+    "reminders.artist_role": "• artista **{name}** → {role}",
+    "reminders.channel": "Canal: {channel}",
+    "reminders.leads": "Antelación: {leads}",
+    "reminders.roles": "Menciones de rol: {roles}",
+    "reminders.bad_leads": "La antelación debe tener la forma `24h, 1h` (unidades: d, h, m).",
+    "reminders.enabled": "Recordatorios activados.",
+    "reminders.type_role_set": "El tipo **{name}** ahora menciona a {role}.",
+    "reminders.artist_role_set": "El artista **{name}** ahora menciona a {role}.",
+    "reminders.type_role_removed": "Se quitó la mención de rol del tipo **{name}**.",
+    "reminders.artist_role_removed": "Se quitó la mención de rol del artista **{name}**.",
+    "reminders.not_set": "Los recordatorios no están configurados en este servidor.",
+    "reminders.paused_reply": "Recordatorios en pausa. Ejecuta **/caltrix reminder setup** para reanudarlos.",
+    "export.bad_range": "Los meses deben ser AAAA-MM, y `to` no puede ser anterior a `from`.",
+    "export.too_long": "Exporta como máximo {count} meses a la vez.",
+    "export.done": "Exportación del calendario para {months}.",
+    "feed.no_server": "⚠️ El servidor HTTP no está en marcha (define HTTP_PORT o PORT), así que el enlace aún no cargará.",
+    "feed.rotated": "Enlace del feed renovado. El enlace anterior ya no funciona.",
+    "feed.link": "Suscríbete en Google/Apple Calendar con:\n{url}\nCualquiera con este enlace puede leer el calendario.",
+    "feed.disabled": "Feed del calendario desactivado.",
+    "changelog.enabled": "Los registros de cambios se publicarán en {channel} cuando una sincronización añada, mueva o elimine eventos.",
+    "changelog.disabled": "Publicación de registros de cambios desactivada.",
+    "digest.status_week": "**{name}**: {channel}, los lunes a las {time} ({timeZone}), {mode}",
+    "digest.status_today": "**{name}**: {channel}, a diario a las {time} ({timeZone}), {mode}",
+    "digest.mode_edit": "un solo mensaje que se mantiene al día",
+    "digest.mode_post": "un mensaje nuevo cada vez",
+    "digest.types": "Tipos: {types}",
+    "digest.all_types": "todos",
+    "digest.last_posted": "Última publicación: {at}",
+    "digest.bad_time": "La hora debe ser HH:MM (24 h), p. ej. `08:00`.",
+    "digest.types_today_only": "`types` solo se aplica al resumen de hoy.",
+    "digest.enabled": "Resumen **{name}** activado en {channel}. Si su hora ya pasó, sale en menos de un minuto.",
+    "digest.disabled": "Resumen **{name}** desactivado.",
+    "digest.off": "El resumen **{name}** está desactivado. Actívalo con /caltrix digest set kind:{kind}.",
+    "digest.sent.one": "Resumen **{name}** enviado a {channel} (1 evento). Cuenta como la publicación de este periodo, así que se omite la programada.",
+    "digest.sent.other": "Resumen **{name}** enviado a {channel} ({count} eventos). Cuenta como la publicación de este periodo, así que se omite la programada.",
+    "mirror.result": "Eventos de Discord: +{created} ~{updated} -{deleted}",
+    "mirror.result_failed": "Eventos de Discord: error ({error})",
+    "mirror.enabled": "Réplica activada para: {types}.\nEn cada sincronización, las filas próximas (este mes y el siguiente) se crean, actualizan o eliminan como eventos programados de Discord. El bot necesita el permiso **Gestionar eventos**.",
+    "mirror.disabled": "Réplica desactivada. Los eventos de Discord existentes se dejaron como estaban.",
+    "mirror.status": "Estado: **{state}**\nTipos: {types}\nEventos vinculados: {linked}",
+    "recurring.set_birthday": "Las filas **{type}** ahora se repiten cada año como cumpleaños. Ejecuta /caltrix sync para actualizar.",
+    "recurring.set_anniversary": "Las filas **{type}** ahora se repiten cada año como aniversarios. Ejecuta /caltrix sync para actualizar.",
+    "recurring.set_off": "Las filas **{type}** ya no se repiten.",
+    "recurring.countdown_on.one": "La vista de este mes ahora muestra la cuenta atrás del próximo evento. Se actualiza en cada sincronización.",
+    "recurring.countdown_on.other": "La vista de este mes ahora muestra la cuenta atrás de los próximos {count} eventos. Se actualiza en cada sincronización.",
+    "recurring.countdown_off": "Cuenta atrás desactivada.",
+    "recurring.status": "Tipos recurrentes: {types}\nCuenta atrás: {countdown}",
+    "recurring.next": "próximos {count}",
+    "event.foreign_page": "Esa página no está en ninguna de las bases de datos de calendario de este servidor.",
+    "event.no_status_column": "No hay columna Status mapeada. Ejecuta /caltrix schema set{hint} field:status.",
+    "event.several": "Varios eventos coinciden:\n{list}\nElige uno de las sugerencias.",
+    "event.none": "Ningún evento coincide con `{search}`.",
+    "event.done": "**{title}** ahora está en **{status}**. {synced}",
+    "submit.no_artist_page": "No hay página de artista con el título {names}. Usa Editar para corregir el nombre.",
+    "submit.card_footer": "Propuesta de evento",
+    "submit.card_by": "Enviado por {user}",
+    "submit.edited_by": "Editado por {user}",
+    "submit.rejected_by": "❌ Rechazado por {user}",
+    "submit.approved_by": "✅ Aprobado por {user} — [abrir en Notion]({url})",
+    "submit.not_approved": "⚠️ No aprobado: {error}",
+    "permissions.manage_only": "solo Gestionar servidor",
+    "permissions.any_channel": "cualquier canal",
+    "permissions.staff_channel": " (canal del staff)",
+    "permissions.summary": "**Roles por acción**\n{roles}\n**Canales**: {channels}",
+    "backup.not_json": "Ese archivo no es JSON válido.",
+    "backup.not_backup": "Ese archivo no es una copia de seguridad de Caltrix (créala con /caltrix backup export).",
+    "backup.other_server": "Esa copia pertenece a otro servidor; sus IDs de hilos y mensajes no funcionarían aquí.",
+    "backup.newer": "Esa copia se hizo con una versión más nueva del bot.",
+    "backup.download_failed": "No se pudo descargar el adjunto ({status}).",
+    "backup.summary": "Exportada: {exportedAt}\nPerfiles: {profiles}\nVínculos de mensajes y entradas de estado: {entries}",
+    "backup.cancelled": "Restauración cancelada. No se cambió nada.",
+    "backup.restored": "Copia restaurada. Ejecuta /caltrix doctor para comprobarla y luego /caltrix sync.",
+    "backup.exported": "Copia de la configuración y los vínculos de mensajes de este servidor. Mantenla en privado: contiene el token del feed del calendario.",
+    "backup.too_large": "Ese archivo es demasiado grande para ser una copia de Caltrix.",
+    "backup.confirm": "**¿Restaurar esta copia?** Reemplaza toda la configuración y los vínculos de mensajes de este servidor.",
+    "format.preview": "**Vista previa** — no se guarda nada hasta que pulses Guardar.",
+    "format.sample": "_No hay eventos este mes; se muestran filas de ejemplo._",
+    "format.more": "_Solo se muestra el primer mensaje ({count} más)._",
+    "format.discarded": "Cambio de formato descartado.",
+    "format.saved": "Formato guardado. Ejecuta /caltrix sync para aplicarlo a los hilos del calendario.",
+    "format.no_emoji": "sin emoji",
+    "format.built_in": "integrado",
+    "format.settings": "Línea: {line}\nEncabezado: {header}\nPie: {footer}\nAgrupar por: {group} • Color: {color}\nTipos: {types}\nMarcadores de línea: {placeholders}",
+    "format.unknown_placeholder": "Marcador desconocido en {name}: {unknown}.\nDisponibles: {allowed}",
+    "format.bad_color": "El color debe ser un valor hexadecimal como `#FF66AA`.",
+    "format.type_empty": "Indica un emoji, un color o ambos.",
+    "preview.no_thread": "No hay hilo configurado para ese alcance. Defínelo en /caltrix setup{hint}.",
+    "preview.title": "**Vista previa{profile}** — {summary}",
+    "preview.note": "No se publica nada hasta que pulses Publicar.",
+    "preview.warnings": "**Avisos**",
+    "preview.no_warnings": "Sin avisos.",
+    "preview.undated.one": "{count} fila omitida, sin fecha: {titles}",
+    "preview.undated.other": "{count} filas omitidas, sin fecha: {titles}",
+    "preview.unknown_type": "Tipo desconocido {types} (sin emoji): {titles}",
+    "preview.no_artist": "Sin artista: {titles}",
+    "preview.unshared_relations": "Páginas relacionadas no compartidas con la integración (faltan nombres): {titles}",
+    "preview.discarded": "Vista previa descartada. No se publicó nada.",
+    "preview.publishing": "Publicando…",
+    "preview.published": "Publicado. {months}",
+    "sync.review_held": "El modo revisión está activo: publica con /caltrix preview.",
+    "sync.after_write": "Calendario sincronizado.",
+    "sync.failed": "Error de sincronización: {error}",
+    "sync.review_on": "El modo revisión está activo: ejecuta /caltrix preview y pulsa Publicar.",
+    "sync.done_all": "Sincronizado. Pasado: {last}. Actual: {this}. Próximo: {next}.",
+    "sync.done_scope": "Mes {scope} sincronizado ({month}): {count}.",
+    "locale.language": "Idioma: {name} (`{locale}`)",
+    "locale.overrides": "Frases reemplazadas: {list}",
+    "locale.set": "Idioma cambiado a **{name}**. Ejecuta **/caltrix sync** para volver a generar el calendario.",
+    "locale.unknown_key": "Frase desconocida `{key}`. Elige una de la lista.",
+    "locale.string_set": "`{key}` ahora dice: {text}",
+    "locale.string_reset": "`{key}` vuelve al texto integrado.",
+    "archive.bad_month": "El mes debe ser AAAA-MM, p. ej. `2026-02`.",
+    "archive.posted.one": "Instantánea de archivo publicada para {month}: {count} entrada.",
+    "archive.posted.other": "Instantánea de archivo publicada para {month}: {count} entradas.",
+    "archive.reposted.one": "Instantánea de archivo republicada para {month}: {count} entrada.",
+    "archive.reposted.other": "Instantánea de archivo republicada para {month}: {count} entradas.",
+    "filter.any": "cualquiera",
+    "filter.statuses": "estados: {statuses}",
+    "filter.only_types": "solo tipos: {types}",
+    "filter.excluding": "excluyendo: {types}",
+    "filter.summary": "**Filtros**\n{filters}\n**Estilos por estado**: {styles}",
+    "filter.saved": "Filtro de **{scope}** guardado.",
+    "filter.cleared": "Filtro de **{scope}** borrado.",
+    "filter.styled": "Las filas con estado **{status}** ahora se muestran como **{style}**.",
+    "timezone.invalid": "`{zone}` no es una zona horaria IANA válida. Prueba algo como `Asia/Seoul` o `Europe/Madrid`.",
+    "timezone.set": "Zona horaria establecida en **{zone}**.",
+    "timezone.set_label": "Zona horaria establecida en **{zone}** (pie: {label}).",
+    "timezone.local_time": "Hora local allí: {time}.",
+    "doctor.title": "**Diagnóstico{profile}**",
+    "config.other_profiles": "Otros perfiles: {names}",
+  },
+  "pt-BR": {
+    "error.not_configured": "Este servidor não está configurado. Execute /caltrix setup{hint} primeiro.",
+    "error.no_database": "O banco de dados do Notion não está configurado. Execute /caltrix notion{hint} <database_link> primeiro.",
+    "error.unknown_profile": "Perfil desconhecido `{profile}`. Crie-o com /caltrix setup{hint}.",
+    "error.schema_incomplete": "O mapeamento de colunas do Notion está sem Title ou Date. Execute /caltrix schema detect.",
+    "error.thread_missing": "Tópico não encontrado ou sem acesso: {id}",
+    "error.channel_missing": "Canal não encontrado ou sem acesso: {id}",
+    "error.no_archive_thread": "Nenhum tópico de arquivo configurado. Defina thread_archive em /caltrix setup{hint}.",
+    "error.not_relation": "`{column}` não é uma coluna de relação.",
+    "error.guild_only": "Use este comando em um servidor.",
+    "notion_error.not_shared": "Não consigo acessar esse banco de dados do Notion. Abra-o no Notion → **Compartilhar** → convide a integração **{integration}**.",
+    "notion_error.unauthorized": "O Notion rejeitou o token do bot. Verifique `NOTION_TOKEN` no ambiente do bot.",
+    "notion_error.restricted": "A integração **{integration}** não tem a capacidade \"Ler conteúdo\". Ative-a nas configurações de integração do Notion.",
+    "notion_error.validation": "O Notion rejeitou a consulta ({message}). Provavelmente uma coluna mapeada foi renomeada; execute /caltrix schema detect{hint}.",
+    "check.staff_channel": "Canal da equipe",
+    "check.profile": "Perfil `{profile}`",
+    "check.create_profile": "Crie-o com /caltrix setup{hint}.",
+    "check.run_setup": "Execute /caltrix setup{hint}.",
+    "check.run_notion": "Execute /caltrix notion{hint} <database_link>.",
+    "check.thread_this": "Tópico deste mês",
+    "check.thread_last": "Tópico do mês passado",
+    "check.thread_next": "Tópico do próximo mês",
+    "check.thread_archive": "Tópico de arquivo",
+    "check.not_thread_id": "`{id}` não é um ID de tópico. Clique com o botão direito no tópico → Copiar ID do tópico.",
+    "check.thread_not_found": "Tópico `{id}` não encontrado, ou o bot não consegue ver o canal dele.",
+    "check.thread_other_server": "`{id}` pertence a outro servidor.",
+    "check.not_a_thread": "<#{id}> é um canal, não um tópico. Crie um tópico nele e use esse ID.",
+    "check.thread_permissions": "Dê ao bot {permissions} em <#{parent}>.",
+    "check.thread_locked": "<#{id}> está trancado. Destranque-o ou dê ao bot Gerenciar tópicos.",
+    "check.notion_database": "Banco de dados do Notion",
+    "check.notion_access": "Acesso ao banco de dados do Notion",
+    "check.column": "Coluna de **{field}**",
+    "check.column_unmapped": "Não mapeada. Execute /caltrix schema set{hint} field:{field}.",
+    "check.column_type": "`{column}` agora é uma coluna {type}. Execute /caltrix schema set{hint} field:{field}.",
+    "check.column_missing": "`{column}` não existe. Execute /caltrix schema detect{hint}.",
+    "check.optional_columns": "Colunas opcionais",
+    "check.optional_fix": "{columns}: ausentes ou com tipo alterado. Execute /caltrix schema detect{hint}.",
+    "check.column_mapping": "Mapeamento de colunas",
+    "check.test_query": "Consulta de teste",
+    "check.problems.one": "**{count} problema encontrado.**",
+    "check.problems.other": "**{count} problemas encontrados.**",
+    "check.all_passed": "**Todas as verificações passaram.**",
+    "common.none": "nenhum",
+    "common.off": "desativado",
+    "common.never": "nunca",
+    "common.enabled": "ativado",
+    "common.disabled": "desativado",
+    "common.resync": "Execute **/caltrix sync** para gerar a agenda de novo.",
+    "button.cancel": "Cancelar",
+    "button.save": "Salvar",
+    "button.publish": "Publicar",
+    "button.restore": "Restaurar",
+    "button.approve": "Aprovar",
+    "button.edit": "Editar",
+    "button.reject": "Rejeitar",
+    "pending.expired": "Esta prévia expirou. Execute {command} de novo.",
+    "pending.not_yours": "Só quem abriu esta prévia pode usar estes botões.",
+    "autosync.not_configured": "A sincronização automática não está configurada. Use **/caltrix schedule set** para ativá-la.",
+    "autosync.status": "Status: **{state}**",
+    "autosync.active": "ativa",
+    "autosync.paused": "pausada",
+    "autosync.interval": "Intervalo: a cada {minutes} min",
+    "autosync.rollover": "Virada diária: {time} ({timeZone})",
+    "autosync.current_month": "Mês atual: {month}",
+    "autosync.last_sync": "Última sincronização: {at}",
+    "autosync.last_rollover": "Última virada de mês: {at}",
+    "autosync.archive_pending": "Arquivo pendente: {month}",
+    "autosync.last_error": "Último erro: {error}",
+    "autosync.next_sync": "Próxima sincronização: {at}",
+    "autosync.not_running": "⚠️ Não está rodando: conclua /caltrix setup{hint} e /caltrix notion{hint} primeiro.",
+    "autosync.held": "⚠️ Retida: o modo de revisão está ativo; publique com /caltrix preview.",
+    "autosync.bad_rollover": "O horário de virada deve ser HH:MM (24h), ex.: `00:05`.",
+    "autosync.enabled": "Sincronização automática ativada.",
+    "autosync.not_set": "A sincronização automática não está configurada neste servidor.",
+    "autosync.paused_reply": "Sincronização automática pausada. Execute **/caltrix schedule set** para retomar.",
+    "autosync.review_on": "Modo de revisão ativado: /caltrix sync fica desativado e a sincronização automática fica retida. Publique com /caltrix preview.",
+    "autosync.review_off": "Modo de revisão desativado: /caltrix sync e a sincronização automática voltam a publicar direto.",
+    "history.alert_failed": "⚠️ **Falha na sincronização{profile}** — {actor}, escopo {scope}\n{error}\nExecute /caltrix doctor{hint} para uma verificação completa.",
+    "history.alert_recovered": "✅ **Sincronização recuperada{profile}** — {actor}, escopo {scope}",
+    "history.actor": "{user} via {via}",
+    "history.scheduler": "agendador",
+    "history.nothing_published": "nada publicado",
+    "history.empty": "Nenhuma sincronização registrada ainda.",
+    "history.title.one": "**Última sincronização** (alertas de falha: {alerts})",
+    "history.title.other": "**Últimas {count} sincronizações** (alertas de falha: {alerts})",
+    "history.alerts_on": "Falhas de sincronização (e recuperações) serão publicadas em {channel}.",
+    "history.alerts_off": "Alertas de falha desativados. /caltrix history continua registrando cada sincronização.",
+    "setup.not_saved": "Nada foi salvo. Corrija isto e execute /caltrix setup de novo:",
+    "setup.saved": "Configuração salva para este servidor:",
+    "setup.saved_profile": "Configuração salva para este servidor (perfil **{profile}**):",
+    "profile.bad_name": "Nomes de perfil usam letras minúsculas, dígitos, `-` e `_` (até 32 caracteres).",
+    "profile.database_set": "banco de dados definido",
+    "profile.no_database": "sem banco de dados",
+    "profile.line.one": "• **{name}** — {database}, 1 tópico",
+    "profile.line.other": "• **{name}** — {database}, {count} tópicos",
+    "profile.none": "Ainda não há perfis. Execute /caltrix setup primeiro.",
+    "profile.missing": "Não existe o perfil `{profile}`.",
+    "profile.removed": "Perfil **{profile}** removido. As mensagens dele foram deixadas nos tópicos.",
+    "notion.bad_link": "Não encontrei um ID de banco de dados do Notion nesse link. Cole o link do banco de dados (ele contém um ID de 32 caracteres).",
+    "notion.saved": "Banco de dados do Notion salvo para este servidor (`{id}`).",
+    "notion.saved_profile": "Banco de dados do Notion salvo para o perfil **{profile}** (`{id}`).",
+    "notion.next_sync": "Próximo passo: **/caltrix sync{hint}**.",
+    "notion.next_doctor": "Execute **/caltrix doctor{hint}** depois de corrigir isto.",
+    "schema.required": "(obrigatório)",
+    "schema.not_mapped": "_não mapeado_",
+    "schema.not_found": "⚠️ não existe no banco de dados",
+    "schema.unmapped_choice": "(não mapear)",
+    "schema.detected": "Mapeamento sugerido salvo:",
+    "schema.missing_required": "⚠️ Campos obrigatórios ausentes: {fields}.",
+    "schema.detect_next": "Use **/caltrix schema set{hint}** para mudar qualquer campo.",
+    "schema.required_field": "**{field}** é obrigatório e não pode ser desmapeado.",
+    "schema.no_column": "A coluna `{column}` não existe neste banco de dados.",
+    "schema.wrong_type": "`{column}` é uma coluna {type}; **{field}** precisa de uma destas: {types}.",
+    "schema.updated": "Mapeamento atualizado:",
+    "schema.defaults": "_Usando os nomes de coluna padrão (execute /caltrix schema detect)._",
+    "reminders.not_configured": "Os lembretes não estão configurados. Use **/caltrix reminder setup**.",
+    "reminders.type_role": "• tipo **{name}** → {role}",
+    "reminders.artist_role": "• artista **{name}** → {role}",
+    "reminders.channel": "Canal: {channel}",
+    "reminders.leads": "Antecedência: {leads}",
+    "reminders.roles": "Menções de cargo: {roles}",
+    "reminders.bad_leads": "A antecedência deve ter a forma `24h, 1h` (unidades: d, h, m).",
+    "reminders.enabled": "Lembretes ativados.",
+    "reminders.type_role_set": "O tipo **{name}** agora menciona {role}.",
+    "reminders.artist_role_set": "O artista **{name}** agora menciona {role}.",
+    "reminders.type_role_removed": "Menção de cargo removida do tipo **{name}**.",
+    "reminders.artist_role_removed": "Menção de cargo removida do artista **{name}**.",
+    "reminders.not_set": "Os lembretes não estão configurados neste servidor.",
+    "reminders.paused_reply": "Lembretes pausados. Execute **/caltrix reminder setup** para retomar.",
+    "export.bad_range": "Os meses devem ser AAAA-MM, e `to` não pode ser anterior a `from`.",
+    "export.too_long": "Exporte no máximo {count} meses por vez.",
+    "export.done": "Exportação da agenda para {months}.",
+    "feed.no_server": "⚠️ O servidor HTTP não está rodando (defina HTTP_PORT ou PORT), então o link ainda não vai abrir.",
+    "feed.rotated": "Link do feed renovado. O link anterior não funciona mais.",
+    "feed.link": "Assine no Google/Apple Agenda com:\n{url}\nQualquer pessoa com este link pode ler a agenda.",
+    "feed.disabled": "Feed da agenda desativado.",
+    "changelog.enabled": "Os registros de mudanças serão publicados em {channel} sempre que uma sincronização adicionar, mover ou remover eventos.",
+    "changelog.disabled": "Publicação de registros de mudanças desativada.",
+    "digest.status_week": "**{name}**: {channel}, às segundas às {time} ({timeZone}), {mode}",
+    "digest.status_today": "**{name}**: {channel}, diariamente às {time} ({timeZone}), {mode}",
+    "digest.mode_edit": "uma única mensagem mantida atualizada",
+    "digest.mode_post": "uma nova mensagem a cada vez",
+    "digest.types": "Tipos: {types}",
+    "digest.all_types": "todos",
+    "digest.last_posted": "Última publicação: {at}",
+    "digest.bad_time": "O horário deve ser HH:MM (24h), ex.: `08:00`.",
+    "digest.types_today_only": "`types` só se aplica ao resumo de hoje.",
+    "digest.enabled": "Resumo **{name}** ativado em {channel}. Se o horário já passou, ele sai em até um minuto.",
+    "digest.disabled": "Resumo **{name}** desativado.",
+    "digest.off": "O resumo **{name}** está desativado. Ative-o com /caltrix digest set kind:{kind}.",
+    "digest.sent.one": "Resumo **{name}** enviado para {channel} (1 evento). Ele conta como a publicação deste período, então a agendada é pulada.",
+    "digest.sent.other": "Resumo **{name}** enviado para {channel} ({count} eventos). Ele conta como a publicação deste período, então a agendada é pulada.",
+    "mirror.result": "Eventos do Discord: +{created} ~{updated} -{deleted}",
+    "mirror.result_failed": "Eventos do Discord: falhou ({error})",
+    "mirror.enabled": "Espelhamento ativado para: {types}.\nA cada sincronização, as linhas futuras (deste mês e do próximo) são criadas, atualizadas ou removidas como eventos agendados do Discord. O bot precisa da permissão **Gerenciar eventos**.",
+    "mirror.disabled": "Espelhamento desativado. Os eventos do Discord existentes foram mantidos.",
+    "mirror.status": "Status: **{state}**\nTipos: {types}\nEventos vinculados: {linked}",
+    "recurring.set_birthday": "As linhas **{type}** agora se repetem todo ano como aniversários de nascimento. Execute /caltrix sync para atualizar.",
+    "recurring.set_anniversary": "As linhas **{type}** agora se repetem todo ano como aniversários comemorativos. Execute /caltrix sync para atualizar.",
+    "recurring.set_off": "As linhas **{type}** não se repetem mais.",
+    "recurring.countdown_on.one": "A visão deste mês agora mostra a contagem regressiva do próximo evento. Ela é atualizada a cada sincronização.",
+    "recurring.countdown_on.other": "A visão deste mês agora mostra a contagem regressiva dos próximos {count} eventos. Ela é atualizada a cada sincronização.",
+    "recurring.countdown_off": "Contagem regressiva desativada.",
+    "recurring.status": "Tipos recorrentes: {types}\nContagem regressiva: {countdown}",
+    "recurring.next": "próximos {count}",
+    "event.foreign_page": "Essa página não está em nenhum dos bancos de dados de agenda deste servidor.",
+    "event.no_status_column": "Nenhuma coluna Status está mapeada. Execute /caltrix schema set{hint} field:status.",
+    "event.several": "Vários eventos correspondem:\n{list}\nEscolha um nas sugestões.",
+    "event.none": "Nenhum evento corresponde a `{search}`.",
+    "event.done": "**{title}** agora está **{status}**. {synced}",
+    "submit.no_artist_page": "Não há página de artista com o título {names}. Use Editar para corrigir o nome.",
+    "submit.card_footer": "Sugestão de evento",
+    "submit.card_by": "Enviado por {user}",
+    "submit.edited_by": "Editado por {user}",
+    "submit.rejected_by": "❌ Rejeitado por {user}",
+    "submit.approved_by": "✅ Aprovado por {user} — [abrir no Notion]({url})",
+    "submit.not_approved": "⚠️ Não aprovado: {error}",
+    "permissions.manage_only": "só Gerenciar servidor",
+    "permissions.any_channel": "qualquer canal",
+    "permissions.staff_channel": " (canal da equipe)",
+    "permissions.summary": "**Cargos por ação**\n{roles}\n**Canais**: {channels}",
+    "backup.not_json": "Esse arquivo não é um JSON válido.",
+    "backup.not_backup": "Esse arquivo não é um backup do Caltrix (crie um com /caltrix backup export).",
+    "backup.other_server": "Esse backup pertence a outro servidor; os IDs de tópicos e mensagens não funcionariam aqui.",
+    "backup.newer": "Esse backup foi feito por uma versão mais nova do bot.",
+    "backup.download_failed": "Não foi possível baixar o anexo ({status}).",
+    "backup.summary": "Exportado: {exportedAt}\nPerfis: {profiles}\nVínculos de mensagens e entradas de estado: {entries}",
+    "backup.cancelled": "Restauração cancelada. Nada foi alterado.",
+    "backup.restored": "Backup restaurado. Execute /caltrix doctor para verificá-lo e depois /caltrix sync.",
+    "backup.exported": "Backup da configuração e dos vínculos de mensagens deste servidor. Mantenha-o privado: ele contém o token do feed da agenda.",
+    "backup.too_large": "Esse arquivo é grande demais para ser um backup do Caltrix.",
+    "backup.confirm": "**Restaurar este backup?** Ele substitui toda a configuração e os vínculos de mensagens deste servidor.",
+    "format.preview": "**Prévia** — nada é salvo até você clicar em Salvar.",
+    "format.sample": "_Nenhum evento neste mês; mostrando linhas de exemplo._",
+    "format.more": "_Só a primeira mensagem é mostrada (mais {count})._",
+    "format.discarded": "Mudança de formato descartada.",
+    "format.saved": "Formato salvo. Execute /caltrix sync para aplicá-lo aos tópicos da agenda.",
+    "format.no_emoji": "sem emoji",
+    "format.built_in": "padrão",
+    "format.settings": "Linha: {line}\nCabeçalho: {header}\nRodapé: {footer}\nAgrupar por: {group} • Cor: {color}\nTipos: {types}\nMarcadores de linha: {placeholders}",
+    "format.unknown_placeholder": "Marcador desconhecido em {name}: {unknown}.\nDisponíveis: {allowed}",
+    "format.bad_color": "A cor deve ser um valor hexadecimal como `#FF66AA`.",
+    "format.type_empty": "Informe um emoji, uma cor ou ambos.",
+    "preview.no_thread": "Nenhum tópico configurado para esse escopo. Defina-o em /caltrix setup{hint}.",
+    "preview.title": "**Prévia{profile}** — {summary}",
+    "preview.note": "Nada é publicado até você clicar em Publicar.",
+    "preview.warnings": "**Avisos**",
+    "preview.no_warnings": "Nenhum aviso.",
+    "preview.undated.one": "{count} linha ignorada, sem data: {titles}",
+    "preview.undated.other": "{count} linhas ignoradas, sem data: {titles}",
+    "preview.unknown_type": "Tipo desconhecido {types} (sem emoji): {titles}",
+    "preview.no_artist": "Sem artista: {titles}",
+    "preview.unshared_relations": "Páginas relacionadas não compartilhadas com a integração (nomes ausentes): {titles}",
+    "preview.discarded": "Prévia descartada. Nada foi publicado.",
+    "preview.publishing": "Publicando…",
+    "preview.published": "Publicado. {months}",
+    "sync.review_held": "O modo de revisão está ativo: publique com /caltrix preview.",
+    "sync.after_write": "Agenda sincronizada.",
+    "sync.failed": "Falha na sincronização: {error}",
+    "sync.review_on": "O modo de revisão está ativo: execute /caltrix preview e clique em Publicar.",
+    "sync.done_all": "Sincronizado. Passado: {last}. Atual: {this}. Próximo: {next}.",
+    "sync.done_scope": "Mês {scope} sincronizado ({month}): {count}.",
+    "locale.language": "Idioma: {name} (`{locale}`)",
+    "locale.overrides": "Frases substituídas: {list}",
+    "locale.set": "Idioma definido como **{name}**. Execute **/caltrix sync** para gerar a agenda de novo.",
+    "locale.unknown_key": "Frase desconhecida `{key}`. Escolha uma da lista.",
+    "locale.string_set": "`{key}` agora diz: {text}",
+    "locale.string_reset": "`{key}` voltou ao texto padrão.",
+    "archive.bad_month": "O mês deve ser AAAA-MM, ex.: `2026-02`.",
+    "archive.posted.one": "Instantâneo de arquivo publicado para {month}: {count} entrada.",
+    "archive.posted.other": "Instantâneo de arquivo publicado para {month}: {count} entradas.",
+    "archive.reposted.one": "Instantâneo de arquivo publicado de novo para {month}: {count} entrada.",
+    "archive.reposted.other": "Instantâneo de arquivo publicado de novo para {month}: {count} entradas.",
+    "filter.any": "qualquer",
+    "filter.statuses": "status: {statuses}",
+    "filter.only_types": "só tipos: {types}",
+    "filter.excluding": "excluindo: {types}",
+    "filter.summary": "**Filtros**\n{filters}\n**Estilos por status**: {styles}",
+    "filter.saved": "Filtro de **{scope}** salvo.",
+    "filter.cleared": "Filtro de **{scope}** limpo.",
+    "filter.styled": "Linhas com status **{status}** agora aparecem como **{style}**.",
+    "timezone.invalid": "`{zone}` não é um fuso horário IANA válido. Tente algo como `Asia/Seoul` ou `Europe/Madrid`.",
+    "timezone.set": "Fuso horário definido como **{zone}**.",
+    "timezone.set_label": "Fuso horário definido como **{zone}** (rodapé: {label}).",
+    "timezone.local_time": "Hora local lá: {time}.",
+    "doctor.title": "**Diagnóstico{profile}**",
+    "config.other_profiles": "Outros perfis: {names}",
+  },
+};
+
+// Rendering gets { locale, strings } instead of the whole config
+const DEFAULT_I18N = { locale: DEFAULT_LOCALE, strings: {} };
+
+// An error staff may see: the message is the English phrase (for logs), and
+// errorText() shows it in the guild's language
+function localizedError(key, values = {}) {
+  const err = new Error(tr(DEFAULT_I18N, key, values));
+  err.i18nKey = key;
+  err.i18nValues = values;
+  return err;
+}
+
+function errorText(i18n, err) {
+  return err?.i18nKey ? tr(i18n, err.i18nKey, err.i18nValues) : String(err?.message || err || "unknown");
+}
+
+function guildLocale(cfg) {
+  const language = cfg?.locale?.language;
+  return LOCALES[language] ? language : DEFAULT_LOCALE;
+}
+
+function guildI18n(cfg) {
+  return { locale: guildLocale(cfg), strings: cfg?.locale?.strings || {} };
+}
+
+function findString(i18n, key) {
+  const catalog = Object.hasOwn(STRINGS[DEFAULT_LOCALE], key) ? STRINGS : STAFF_STRINGS;
+  return i18n.strings[key] ?? catalog[i18n.locale]?.[key] ?? catalog[DEFAULT_LOCALE][key];
+}
+
+// Guild override, then the guild's language, then English
+function tr(i18n, key, values = {}) {
+  return fillTemplate(findString(i18n, key) ?? key, values);
+}
+
+// tr() for a count: "lead.day" → "lead.day.one" / "lead.day.other"
+function trCount(i18n, key, count, values = {}) {
+  const category = new Intl.PluralRules(i18n.locale).select(count);
+  const pluralKey = findString(i18n, `${key}.${category}`) != null ? `${key}.${category}` : `${key}.other`;
+  return tr(i18n, pluralKey, { count, ...values });
+}
+
+// The English phrase's placeholders are the only ones a replacement may use
+function stringPlaceholders(key) {
+  return [...String(STRINGS[DEFAULT_LOCALE][key] || "").matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+}
+
+function fmtLocaleSettings(cfg) {
+  const locale = guildLocale(cfg);
+  const overrides = Object.entries(cfg?.locale?.strings || {});
+  const i18n = guildI18n(cfg);
+  const lines = [tr(i18n, "locale.language", { name: LOCALES[locale], locale })];
+  if (!overrides.length) lines.push(tr(i18n, "locale.overrides", { list: tr(i18n, "common.none") }));
+  else {
+    lines.push(tr(i18n, "locale.overrides", { list: "" }).trimEnd());
+    for (const [key, text] of overrides) lines.push(`• \`${key}\`: ${text}`);
+  }
+  return clip(lines.join("\n"), CONFIG_JSON_MAX_LENGTH);
 }
 
 // ======================================================
-// NOTION PROPS — must match DB column names
+// NOTION SCHEMA — logical fields → DB columns (per guild)
 // ======================================================
+// Defaults match the original Caltrix database; guilds can remap with /caltrix schema
 const NOTION_PROPS = {
   title: "Title",
   date: "Date",
@@ -152,6 +1939,95 @@ const NOTION_PROPS = {
   link: "Link",          // url
 };
 
+// Column types each logical field can be read from (first = the default)
+const NOTION_FIELD_TYPES = {
+  title: ["title"],
+  date: ["date"],
+  time: ["rich_text", "select"],
+  type: ["select", "multi_select", "status", "rich_text"],
+  artist: ["relation", "multi_select", "select", "rich_text"],
+  member: ["relation", "multi_select", "select", "rich_text"],
+  location: ["select", "multi_select", "rich_text"],
+  status: ["select", "status", "multi_select", "rich_text"],
+  link: ["url", "rich_text"],
+};
+
+const REQUIRED_NOTION_FIELDS = ["title", "date"];
+
+// Column names tried (case-insensitive) when auto-detecting a mapping
+const NOTION_FIELD_ALIASES = {
+  title: ["title", "name", "event"],
+  date: ["date", "when", "day", "start"],
+  time: ["time", "start time", "hour"],
+  type: ["type", "category", "kind"],
+  artist: ["artist", "artists", "group", "groups"],
+  member: ["member", "members", "idol", "idols"],
+  location: ["location", "venue", "place", "city"],
+  status: ["status", "state"],
+  link: ["link", "url", "source", "website"],
+};
+
+const dbSchemaCache = new Map();
+const DB_SCHEMA_TTL_MS = 60 * 1000;
+
+// { columnName: type } for a database, cached briefly for autocomplete
+async function getDatabaseColumns(databaseId, { fresh = false } = {}) {
+  const cached = dbSchemaCache.get(databaseId);
+  if (!fresh && cached && Date.now() - cached.at < DB_SCHEMA_TTL_MS) return cached.columns;
+
+  const db = await notionGetDatabase(databaseId);
+  const columns = {};
+  for (const [name, prop] of Object.entries(db.properties || {})) columns[name] = prop.type;
+  dbSchemaCache.set(databaseId, { at: Date.now(), columns });
+  return columns;
+}
+
+function suggestSchemaMapping(columns) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const [field, types] of Object.entries(NOTION_FIELD_TYPES)) {
+    const candidates = Object.keys(columns).filter((name) => !used.has(name) && types.includes(columns[name]));
+    const aliases = NOTION_FIELD_ALIASES[field];
+    const lower = (name) => name.trim().toLowerCase();
+
+    const pick =
+      aliases.map((a) => candidates.find((name) => lower(name) === a)).find(Boolean) ||
+      aliases.map((a) => candidates.find((name) => lower(name).includes(a))).find(Boolean) ||
+      // There is only ever one title column, so it is always a safe match
+      (field === "title" ? candidates[0] : null);
+
+    if (pick) {
+      mapping[field] = { name: pick, type: columns[pick] };
+      used.add(pick);
+    }
+  }
+  return mapping;
+}
+
+// Guilds that never ran /caltrix schema use the default column names and types
+function resolveNotionProps(cfg) {
+  if (cfg?.notion?.props) return cfg.notion.props;
+
+  const props = {};
+  for (const [field, name] of Object.entries(NOTION_PROPS)) {
+    props[field] = { name, type: NOTION_FIELD_TYPES[field][0] };
+  }
+  return props;
+}
+
+function fmtSchemaMapping(props, i18n, columns = null) {
+  return Object.keys(NOTION_FIELD_TYPES)
+    .map((field) => {
+      const spec = props[field];
+      const required = REQUIRED_NOTION_FIELDS.includes(field) ? ` ${tr(i18n, "schema.required")}` : "";
+      if (!spec) return `• **${field}**${required} → ${tr(i18n, "schema.not_mapped")}`;
+      const missing = columns && columns[spec.name] !== spec.type ? ` ${tr(i18n, "schema.not_found")}` : "";
+      return `• **${field}**${required} → \`${spec.name}\` (${spec.type})${missing}`;
+    })
+    .join("\n");
+}
+
 // ======================================================
 // NOTION PARSING
 // ======================================================
@@ -167,27 +2043,105 @@ function richTextPlain(prop) {
   if (!prop || prop.type !== "rich_text") return "";
   return rtPlain(prop.rich_text);
 }
+// Option names from select, multi_select or status columns
+function selectNames(prop) {
+  if (!prop) return [];
+  if (prop.type === "select") return prop.select?.name ? [prop.select.name] : [];
+  if (prop.type === "status") return prop.status?.name ? [prop.status.name] : [];
+  if (prop.type === "multi_select") return (prop.multi_select || []).map((o) => o.name).filter(Boolean);
+  return [];
+}
+// Plain text from any option-like or text column
 function selectPlain(prop) {
-  if (!prop || prop.type !== "select") return "";
-  return prop.select?.name || "";
+  if (!prop) return "";
+  if (prop.type === "rich_text") return richTextPlain(prop);
+  if (prop.type === "title") return titlePlain(prop);
+  return selectNames(prop).join(", ");
 }
 function urlPlain(prop) {
-  if (!prop || prop.type !== "url") return "";
-  return prop.url || "";
+  if (!prop) return "";
+  if (prop.type === "url") return prop.url || "";
+  if (prop.type === "rich_text") {
+    const linked = (prop.rich_text || []).find((x) => x.href);
+    return linked?.href || richTextPlain(prop);
+  }
+  return "";
 }
-function dateStart(prop) {
+function dateValue(prop) {
   if (!prop || prop.type !== "date") return null;
-  return prop.date?.start || null;
+  return prop.date || null;
 }
 function relationIds(prop) {
   if (!prop || prop.type !== "relation") return [];
   return (prop.relation || []).map((r) => r.id);
 }
 
+// Builds an "equals" (or "not equals") filter for whichever column type is mapped
+function notionEqualsFilter(spec, value, { negate = false } = {}) {
+  if (spec.type === "multi_select") {
+    return { property: spec.name, multi_select: { [negate ? "does_not_contain" : "contains"]: value } };
+  }
+  const op = negate ? "does_not_equal" : "equals";
+  if (spec.type === "status") return { property: spec.name, status: { [op]: value } };
+  if (spec.type === "rich_text") return { property: spec.name, rich_text: { [op]: value } };
+  return { property: spec.name, select: { [op]: value } };
+}
+
+// Page property for a create/update, shaped for whichever column type is mapped.
+// `value` is text, except dates ({ start, end, timeZone }) and relations (page IDs).
+function notionPropertyValue(spec, value) {
+  const text = (content) => [{ type: "text", text: { content: String(content).slice(0, 2000) } }];
+  switch (spec.type) {
+    case "title":
+      return { title: text(value) };
+    case "rich_text":
+      return { rich_text: text(value) };
+    case "url":
+      return { url: value || null };
+    case "select":
+      return { select: value ? { name: value } : null };
+    case "status":
+      return { status: value ? { name: value } : null };
+    case "multi_select":
+      return { multi_select: parseList(value).map((name) => ({ name })) };
+    case "relation":
+      return { relation: value.map((id) => ({ id })) };
+    case "date":
+      return {
+        date: { start: value.start, end: value.end || null, ...(value.timeZone ? { time_zone: value.timeZone } : {}) },
+      };
+    default:
+      return null;
+  }
+}
+
 // ======================================================
 // RELATION RESOLUTION (cached)
 // ======================================================
-const pageTitleCache = new Map();
+// Page titles (artists, members) rarely change, so they are cached across syncs
+// and restarts; entries expire after PAGE_TITLE_TTL_MS.
+const PAGE_TITLE_CACHE_FILE = path.join(DATA_DIR, "page-titles.json");
+const PAGE_TITLE_TTL_MS = Number(process.env.PAGE_TITLE_TTL_HOURS || 12) * 60 * 60 * 1000;
+const PAGE_TITLE_SAVE_DELAY_MS = 5000;
+
+// Only a cache: if the file is lost or broken, titles are simply fetched again
+const pageTitleStore = createStore(PAGE_TITLE_CACHE_FILE, { migrations: [(data) => data], required: false });
+const pageTitleCache = new Map(Object.entries(pageTitleStore.read()));
+const pageTitleInflight = new Map();
+let pageTitleSaveTimer = null;
+
+function schedulePageTitleSave() {
+  if (pageTitleSaveTimer) return;
+  pageTitleSaveTimer = setTimeout(() => {
+    pageTitleSaveTimer = null;
+    const now = Date.now();
+    for (const [id, entry] of pageTitleCache) {
+      if (now - entry.at > PAGE_TITLE_TTL_MS) pageTitleCache.delete(id);
+    }
+    pageTitleStore.update(() => Object.fromEntries(pageTitleCache));
+  }, PAGE_TITLE_SAVE_DELAY_MS);
+  pageTitleSaveTimer.unref?.();
+}
 
 function firstTitleFromPage(page) {
   const props = page?.properties || {};
@@ -196,435 +2150,5872 @@ function firstTitleFromPage(page) {
   return rtPlain(props[titleKey].title);
 }
 
+async function fetchPageTitle(pageId) {
+  try {
+    return firstTitleFromPage(await notionGetPage(pageId)) || "";
+  } catch (err) {
+    // Deleted or unshared related pages just render without a name
+    if (err.status === 404) return "";
+    throw err;
+  }
+}
+
 async function getPageTitleCached(pageId) {
-  if (pageTitleCache.has(pageId)) return pageTitleCache.get(pageId);
-  const page = await notionGetPage(pageId);
-  const title = firstTitleFromPage(page) || "";
-  pageTitleCache.set(pageId, title);
-  return title;
+  const cached = pageTitleCache.get(pageId);
+  if (cached && Date.now() - cached.at < PAGE_TITLE_TTL_MS) {
+    incMetric("caltrix_relation_cache_requests_total", { result: "hit" });
+    return cached.title;
+  }
+
+  // Concurrent lookups of the same page share one request
+  if (pageTitleInflight.has(pageId)) {
+    incMetric("caltrix_relation_cache_requests_total", { result: "hit" });
+    return pageTitleInflight.get(pageId);
+  }
+  incMetric("caltrix_relation_cache_requests_total", { result: "miss" });
+
+  const pending = fetchPageTitle(pageId)
+    .then((title) => {
+      pageTitleCache.set(pageId, { title, at: Date.now() });
+      schedulePageTitleSave();
+      return title;
+    })
+    .finally(() => pageTitleInflight.delete(pageId));
+  pageTitleInflight.set(pageId, pending);
+  return pending;
+}
+
+function fmtNameList(names, max = 2) {
+  const shown = names.slice(0, max);
+  if (names.length > max) shown.push(`+${names.length - max}`);
+  return shown.join(", ");
 }
 
 async function resolveRelationNames(prop, max = 2) {
+  // Non-relation columns (multi_select, select, text) already hold the names
+  if (prop && prop.type !== "relation") {
+    const all =
+      prop.type === "rich_text"
+        ? richTextPlain(prop).split(",").map((x) => x.trim()).filter(Boolean)
+        : selectNames(prop);
+    const names = all.slice(0, max);
+    if (all.length > max) names.push(`+${all.length - max}`);
+    return names;
+  }
+
   const ids = relationIds(prop);
   if (!ids.length) return [];
 
   const sliced = ids.slice(0, max);
-  const names = [];
-  for (const id of sliced) {
-    const t = await getPageTitleCached(id);
-    if (t) names.push(t);
-  }
+  const titles = await Promise.all(sliced.map((id) => getPageTitleCached(id)));
+  const names = titles.filter(Boolean);
   if (ids.length > max) names.push(`+${ids.length - max}`);
   return names;
 }
 
 // ======================================================
-// QUERY NOTION (month)
+// FILTERS + STATUS STYLES (per guild, per scope)
 // ======================================================
-async function queryNotionForMonth(databaseId, monthKey) {
-  const { start, end } = monthStartEnd(monthKey);
-
-  // Clear per sync so updates reflect quickly
-  pageTitleCache.clear();
+const FILTER_SCOPES = ["default", "last", "this", "next", "archive"];
 
-  const res = await notionDbQuery(databaseId, {
-    filter: {
-      and: [
-        { property: NOTION_PROPS.status, select: { equals: "Upcoming" } },
-        { property: NOTION_PROPS.date, date: { on_or_after: start.toISOString() } },
-        { property: NOTION_PROPS.date, date: { before: end.toISOString() } },
-      ],
-    },
-    sorts: [{ property: NOTION_PROPS.date, direction: "ascending" }],
-    page_size: 100,
-  });
+// statuses: [] means "any status"; type lists are empty when unused
+const DEFAULT_FILTER = { statuses: ["Upcoming"], includeTypes: [], excludeTypes: [] };
 
-  const items = [];
-  for (const page of res.results || []) {
-    const p = page.properties || {};
+// Built-in per-scope defaults, applied on top of the guild default rule.
+// Archive snapshots keep finished events unless the guild says otherwise.
+const SCOPE_FILTER_DEFAULTS = { archive: { statuses: [] } };
 
-    const title = titlePlain(p[NOTION_PROPS.title]) || "(Untitled)";
-    const type = selectPlain(p[NOTION_PROPS.type]);
+const STATUS_STYLES = ["plain", "strike", "cross", "flag"];
+const DEFAULT_STATUS_STYLES = { Done: "strike", Cancelled: "cross", Postponed: "flag" };
+// What /caltrix event done sets unless told otherwise
+const DONE_STATUS = "Done";
 
-    const ds = dateStart(p[NOTION_PROPS.date]);
-    if (!ds) continue;
-    const dateObj = new Date(ds);
+function parseList(value) {
+  return String(value || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
 
-    // optional time text (rich text)
-    let timeText = "";
-    const timeProp = p[NOTION_PROPS.time];
-    if (timeProp?.type === "rich_text") timeText = richTextPlain(timeProp);
+// Scope rules override the guild default field by field
+function resolveScopeFilter(cfg, scope) {
+  const filters = cfg?.filters || {};
+  return {
+    ...DEFAULT_FILTER,
+    ...(filters.default || {}),
+    ...(SCOPE_FILTER_DEFAULTS[scope] || {}),
+    ...(filters[scope] || {}),
+  };
+}
 
-    const location = selectPlain(p[NOTION_PROPS.location]);
-    const link = urlPlain(p[NOTION_PROPS.link]);
+function resolveStatusStyles(cfg) {
+  return { ...DEFAULT_STATUS_STYLES, ...(cfg?.statusStyles || {}) };
+}
 
-    const artistNames = await resolveRelationNames(p[NOTION_PROPS.artist], 2);
-    const memberNames = await resolveRelationNames(p[NOTION_PROPS.member], 2);
+function buildNotionFilters(props, filter) {
+  const and = [];
 
-    items.push({
-      title,
-      type,
-      dateObj,
-      timeText: (timeText || "").trim(),
-      location: (location || "").trim(),
-      link: (link || "").trim(),
-      artistText: artistNames.join(", "),
-      memberText: memberNames.join(", "),
-    });
+  if (props.status && filter.statuses?.length) {
+    const ors = filter.statuses.map((v) => notionEqualsFilter(props.status, v));
+    and.push(ors.length === 1 ? ors[0] : { or: ors });
+  }
+  if (props.type && filter.includeTypes?.length) {
+    const ors = filter.includeTypes.map((v) => notionEqualsFilter(props.type, v));
+    and.push(ors.length === 1 ? ors[0] : { or: ors });
+  }
+  if (props.type) {
+    for (const v of filter.excludeTypes || []) and.push(notionEqualsFilter(props.type, v, { negate: true }));
   }
+  return and;
+}
 
-  items.sort((a, b) => a.dateObj - b.dateObj);
-  return items;
+function fmtFilter(filter, i18n) {
+  const statuses = filter.statuses?.length ? filter.statuses.join(", ") : tr(i18n, "filter.any");
+  const parts = [tr(i18n, "filter.statuses", { statuses })];
+  if (filter.includeTypes?.length) parts.push(tr(i18n, "filter.only_types", { types: filter.includeTypes.join(", ") }));
+  if (filter.excludeTypes?.length) parts.push(tr(i18n, "filter.excluding", { types: filter.excludeTypes.join(", ") }));
+  return parts.join(" • ");
 }
 
+function fmtFilterSummary(cfg) {
+  const i18n = guildI18n(cfg);
+  const lines = [...SYNC_SCOPES, "archive"].map(
+    (scope) => `• **${scope}**: ${fmtFilter(resolveScopeFilter(cfg, scope), i18n)}`
+  );
+  const styles = Object.entries(resolveStatusStyles(cfg))
+    .map(([status, style]) => `${status} → ${style}`)
+    .join(", ");
+  return tr(i18n, "filter.summary", { filters: lines.join("\n"), styles: styles || tr(i18n, "common.none") });
+}
+
+// ======================================================
+// RECURRING EVENTS (yearly birthdays + anniversaries)
+// ======================================================
+// Rows of these types hold the original date and come back every year
+const RECURRENCE_KINDS = ["birthday", "anniversary"];
+const DEFAULT_RECURRING_TYPES = { Birthday: "birthday", Debut: "anniversary", Anniversary: "anniversary" };
+// Ages above this are treated as a placeholder year and not shown
+const MAX_RECURRENCE_YEARS = 120;
+// D-day lines shown above "this month"
+const MAX_COUNTDOWN_COUNT = 10;
+
+// D-day lines to show, 0 when the countdown is off
+function countdownCount(cfg) {
+  const n = Number(cfg?.countdown?.count || 0);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, MAX_COUNTDOWN_COUNT) : 0;
+}
+
+// type → kind; the guild can add types or turn defaults "off"
+function resolveRecurringTypes(cfg) {
+  const merged = { ...DEFAULT_RECURRING_TYPES, ...(cfg?.recurring?.types || {}) };
+  return Object.fromEntries(Object.entries(merged).filter(([, kind]) => RECURRENCE_KINDS.includes(kind)));
+}
+
+function ordinal(n) {
+  const rem100 = n % 100;
+  if (rem100 >= 11 && rem100 <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+}
+
+// "(turns 22)" / "(3rd anniversary)" for projected rows
+function fmtRecurrence(evt, i18n = DEFAULT_I18N) {
+  const r = evt.recurrence;
+  if (!r?.years || r.years > MAX_RECURRENCE_YEARS) return "";
+  const key = r.kind === "birthday" ? "recurrence.birthday" : "recurrence.anniversary";
+  return ` (${tr(i18n, key, { years: r.years, ordinal: ordinal(r.years) })})`;
+}
+
+// Moves an original date into `monthKey` of a later year (Feb 29 falls back to Feb 28)
+function projectRecurrence(when, monthKey, timeZone) {
+  const [year, month] = monthKey.split("-").map(Number);
+  const [origYear, origMonth, origDay] = when.dateKey.split("-").map(Number);
+  if (origMonth !== month || origYear >= year) return null;
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const day = Math.min(origDay, daysInMonth);
+  const t = when.allDay ? { hour: 0, minute: 0 } : zonedParts(when.dateObj, timeZone);
+
+  return {
+    dateObj: zonedTimeToUtc(year, month, day, t.hour, t.minute, 0, timeZone),
+    dateKey: `${year}-${pad2(month)}-${pad2(day)}`,
+    allDay: when.allDay,
+    startTime: when.startTime,
+    endObj: null,
+    endDateKey: null,
+    years: year - origYear,
+  };
+}
+
+// ======================================================
+// QUERY NOTION (month)
+// ======================================================
+// Longest multi-day event that still shows up in a later month
+const RANGE_LOOKBACK_DAYS = Number(process.env.RANGE_LOOKBACK_DAYS || 31);
+
+// One schedule item for a row, listed on `anchorKey`
+async function buildEventItem(page, props, when, anchorKey) {
+  const p = page.properties || {};
+  const col = (field) => (props[field] ? p[props[field].name] : undefined);
+
+  const title = titlePlain(col("title")) || "(Untitled)";
+  // first option wins when Type is a multi_select
+  const type = selectNames(col("type"))[0] || selectPlain(col("type"));
+
+  // optional time text (rich text or select)
+  const timeText = selectPlain(col("time"));
+  const status = selectPlain(col("status"));
+
+  const location = selectPlain(col("location"));
+  const link = urlPlain(col("link"));
+
+  // every name is kept (role pings, /schedule lookups), only two are displayed
+  const artists = await resolveRelationNames(col("artist"), Infinity);
+  const members = await resolveRelationNames(col("member"), Infinity);
+  // related pages the integration cannot read resolve to nothing (reported by /caltrix preview)
+  const unreadable = (prop, names) => (prop?.type === "relation" ? relationIds(prop).length - names.length : 0);
+
+  return {
+    id: page.id,
+    title,
+    type,
+    status: (status || "").trim(),
+    dateObj: when.dateObj,
+    dateKey: anchorKey,
+    startDateKey: when.dateKey,
+    endDateKey: when.endDateKey,
+    endObj: when.endObj,
+    continued: anchorKey !== when.dateKey,
+    allDay: when.allDay,
+    startTime: when.startTime,
+    timeText: (timeText || "").trim(),
+    location: (location || "").trim(),
+    link: (link || "").trim(),
+    artists,
+    artistText: fmtNameList(artists, 2),
+    members,
+    memberText: fmtNameList(members, 2),
+    unresolvedRelations: unreadable(col("artist"), artists) + unreadable(col("member"), members),
+  };
+}
+
+// Rows of recurring types from earlier years, projected into `monthKey`.
+// The status rule is skipped: a row's status describes its original date.
+async function queryRecurringForMonth(databaseId, monthKey, { timeZone, props, filter, recurring }) {
+  const types = Object.keys(recurring);
+  if (!types.length || !props.type) return [];
+
+  const ors = types.map((v) => notionEqualsFilter(props.type, v));
+  const pages = await notionDbQueryAll(databaseId, {
+    filter: {
+      and: [
+        ...buildNotionFilters(props, { ...filter, statuses: [] }),
+        ors.length === 1 ? ors[0] : { or: ors },
+        { property: props.date.name, date: { before: `${monthKey.slice(0, 4)}-01-02` } },
+      ],
+    },
+  });
+
+  const col = (page, field) => page.properties?.[props[field].name];
+  const parsed = await Promise.all(
+    pages.map(async (page) => {
+      const type = selectNames(col(page, "type"))[0] || selectPlain(col(page, "type"));
+      const kind = recurring[type];
+      const when = kind && parseNotionDate(dateValue(col(page, "date")), timeZone);
+      const occurrence = when && projectRecurrence(when, monthKey, timeZone);
+      if (!occurrence) return null;
+
+      const item = await buildEventItem(page, props, occurrence, occurrence.dateKey);
+      return {
+        ...item,
+        status: "",
+        recurrence: { kind, years: occurrence.years, originalDateKey: when.dateKey },
+      };
+    })
+  );
+  return parsed.filter(Boolean);
+}
+
+// Events touching [fromKey, toKey] (YYYY-MM-DD, inclusive): a month, a week or one day
+async function queryNotionForRange(
+  databaseId,
+  fromKey,
+  toKey,
+  {
+    timeZone = DEFAULT_TIMEZONE,
+    props = resolveNotionProps(null),
+    filter = DEFAULT_FILTER,
+    recurring = DEFAULT_RECURRING_TYPES,
+  } = {}
+) {
+  const firstDay = fromKey;
+  const dayAfter = shiftDateKey(toKey, 1);
+
+  if (!props.title || !props.date) {
+    throw localizedError("error.schema_incomplete");
+  }
+
+  // Notion compares date-only and datetime values differently, so ask for one
+  // extra day on each side and keep only what falls in the window in `timeZone`.
+  // The filter only sees the start date, so it also reaches back far enough to
+  // catch ranges that started earlier; the overlap check below drops the rest.
+  const filters = [
+    ...buildNotionFilters(props, filter),
+    { property: props.date.name, date: { on_or_after: shiftDateKey(firstDay, -1 - RANGE_LOOKBACK_DAYS) } },
+    { property: props.date.name, date: { before: shiftDateKey(dayAfter, 1) } },
+  ];
+
+  const pages = await notionDbQueryAll(databaseId, {
+    filter: { and: filters },
+    sorts: [{ property: props.date.name, direction: "ascending" }],
+  });
+
+  // Rows are parsed concurrently; the Notion queue keeps relation lookups within the rate limit
+  const parsed = await Promise.all(
+    pages.map(async (page) => {
+      const when = parseNotionDate(dateValue(page.properties?.[props.date.name]), timeZone);
+      if (!when) return null;
+
+      // Ranges are listed in every window they overlap, anchored on the first day inside it
+      const lastDay = when.endDateKey || when.dateKey;
+      if (when.dateKey >= dayAfter || lastDay < firstDay) return null;
+      const anchorKey = when.dateKey < firstDay ? firstDay : when.dateKey;
+
+      return buildEventItem(page, props, when, anchorKey);
+    })
+  );
+
+  const items = parsed.filter(Boolean);
+  // Yearly rows are projected per month, then trimmed to the window
+  for (let mk = fromKey.slice(0, 7); mk <= toKey.slice(0, 7); mk = shiftMonthKey(mk, 1)) {
+    const projected = await queryRecurringForMonth(databaseId, mk, { timeZone, props, filter, recurring });
+    items.push(...projected.filter((evt) => evt.dateKey >= fromKey && evt.dateKey <= toKey));
+  }
+
+  items.sort((a, b) => a.dateKey.localeCompare(b.dateKey) || a.dateObj - b.dateObj);
+  return items;
+}
+
+function monthDayRange(monthKey) {
+  return [`${monthKey}-01`, shiftDateKey(`${shiftMonthKey(monthKey, 1)}-01`, -1)];
+}
+
+async function queryNotionForMonth(databaseId, monthKey, options = {}) {
+  return queryNotionForRange(databaseId, ...monthDayRange(monthKey), options);
+}
+
+// ======================================================
+// FORMAT TEMPLATES (per guild)
+// ======================================================
+const DEFAULT_TYPE_EMOJI = {
+  Birthday: "🎂",
+  Comeback: "🔔",
+  Release: "💿",
+  Event: "📍",
+  Concert: "🎤",
+  Debut: "✨",
+  Award: "🏆",
+};
+
+const FORMAT_GROUPS = ["day", "week", "type"];
+const LINE_PLACEHOLDERS = ["date", "time", "emoji", "title", "artist", "member", "location", "link"];
+const HEADER_PLACEHOLDERS = ["heading", "month"];
+const FOOTER_PLACEHOLDERS = ["note", "tz"];
+
+// line: "" keeps the built-in layout; colors are resolved to numbers
+const DEFAULT_FORMAT = {
+  line: "",
+  header: "{heading} — {month}",
+  footer: "{note} • {tz}",
+  group: "day",
+  color: null,
+  emojis: DEFAULT_TYPE_EMOJI,
+  colors: {},
+};
+
+// "#FF66AA" / "ff66aa" → 0xff66aa
+function parseColor(value) {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(value ?? "").trim());
+  return m ? parseInt(m[1], 16) : null;
+}
+
+function resolveFormat(cfg) {
+  const f = cfg?.format || {};
+  const colors = {};
+  for (const [type, hex] of Object.entries(f.colors || {})) {
+    const color = parseColor(hex);
+    if (color != null) colors[type] = color;
+  }
+  return {
+    line: f.line || DEFAULT_FORMAT.line,
+    header: f.header || DEFAULT_FORMAT.header,
+    footer: f.footer ?? DEFAULT_FORMAT.footer,
+    group: FORMAT_GROUPS.includes(f.group) ? f.group : DEFAULT_FORMAT.group,
+    color: parseColor(f.color),
+    emojis: { ...DEFAULT_TYPE_EMOJI, ...(f.emojis || {}) },
+    colors,
+  };
+}
+
+function typeEmoji(type, format = DEFAULT_FORMAT) {
+  return (type && format.emojis[type]) || "";
+}
+
+// Placeholders not in `values` are left as typed
+function fillTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (m, key) => (key in values ? String(values[key]) : m));
+}
+
+function unknownPlaceholders(template, allowed) {
+  const found = [...String(template).matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+  return [...new Set(found.filter((key) => !allowed.includes(key)))];
+}
+
+// Fills a line template, then drops the separators and brackets left around
+// empty placeholders ("[MAR 17 | ]", "Title — • Seoul")
+function fillLineTemplate(template, values) {
+  const sep = "[—•|]";
+  return fillTemplate(template, values)
+    .replace(new RegExp(`\\s*${sep}\\s*(?=[\\])])`, "g"), "")
+    .replace(new RegExp(`([\\[(])\\s*${sep}\\s*`, "g"), "$1")
+    .replace(/\[\s*\]|\(\s*\)/g, "")
+    .replace(new RegExp(`(${sep})(\\s*${sep})+`, "g"), "$1")
+    .replace(new RegExp(`^\\s*${sep}\\s*|\\s*${sep}\\s*$`, "g"), "")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+}
+
+// ======================================================
+// DISCORD FORMATTING
+// ======================================================
+// "MAR 17–20"; single days keep the plain label
+function fmtEventDate(evt, locale = DEFAULT_LOCALE) {
+  return evt.endDateKey
+    ? fmtDateRangeLabel(evt.startDateKey || evt.dateKey, evt.endDateKey, locale)
+    : fmtDateLabel(evt.dateKey, locale);
+}
+
+// "[MAR 17–20 | 19:00]" part of a line
+function fmtEventWhen(evt, locale = DEFAULT_LOCALE) {
+  const time = evt.timeText || evt.startTime;
+  return `${fmtEventDate(evt, locale)}${time ? ` | ${time}` : ""}`;
+}
+
+function fmtLine(evt, { statusStyles = DEFAULT_STATUS_STYLES, format = DEFAULT_FORMAT, i18n = DEFAULT_I18N } = {}) {
+  const cont = evt.continued ? ` (${tr(i18n, "schedule.continued")})` : "";
+  const emoji = typeEmoji(evt.type, format);
+  const extra = fmtRecurrence(evt, i18n);
+  const link = evt.link ? `[🔗 ${tr(i18n, "schedule.link")}](${evt.link})` : "";
+
+  const style = statusStyles[evt.status] || "plain";
+  const cross = style === "cross" ? "❌ " : "";
+  const flag = style === "flag" ? ` 🚩 _${evt.status}_` : "";
+
+  let line;
+  if (format.line) {
+    const body = fillLineTemplate(format.line, {
+      date: fmtEventDate(evt, i18n.locale),
+      time: evt.timeText || evt.startTime || "",
+      emoji,
+      title: `${evt.title}${extra}${cont}`,
+      artist: evt.artistText || "",
+      member: evt.memberText || "",
+      location: evt.location || "",
+      link,
+    });
+    line = `${cross}${body}${flag}`.trim();
+  } else {
+    // Clean metadata: Artist • Members • Location
+    const metaParts = [];
+    if (evt.artistText) metaParts.push(evt.artistText);
+    if (evt.memberText) metaParts.push(evt.memberText);
+    if (evt.location) metaParts.push(evt.location);
+
+    const meta = metaParts.length ? ` — ${metaParts.join(" • ")}` : "";
+    const linkPart = link ? ` • ${link}` : "";
+    line = `[${fmtEventWhen(evt, i18n.locale)}] ${cross}${emoji ? `${emoji} ` : ""}${evt.title}${extra}${cont}${meta}${linkPart}${flag}`.trim();
+  }
+  return style === "strike" ? `~~${line}~~` : line;
+}
+
+// Discord limits: 4096 chars per description, 6000 chars and 10 embeds per message
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const EMBED_TITLE_LIMIT = 256;
+const EMBED_FOOTER_LIMIT = 2048;
+const MESSAGE_EMBED_CHAR_LIMIT = 6000;
+const MESSAGE_EMBED_COUNT_LIMIT = 10;
+
+// Monday of the week containing `dateKey`
+function weekStartKey(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+  return shiftDateKey(dateKey, -((weekday + 6) % 7));
+}
+
+// Splits a month into embed sections of line groups, following `format.group`:
+// "day" keeps each day together, "week" adds week headings, "type" gives every
+// type its own embeds (and color). Digests use "date": one heading per day.
+function groupEventLines(events, { statusStyles, format = DEFAULT_FORMAT, i18n = DEFAULT_I18N } = {}) {
+  const line = (evt) => fmtLine(evt, { statusStyles, format, i18n });
+  const groupBy = (keyOf, headingOf) => {
+    const groups = [];
+    for (const evt of events) {
+      const key = keyOf(evt);
+      const last = groups[groups.length - 1];
+      if (last && last.key === key) last.lines.push(line(evt));
+      else groups.push({ key, lines: [...(headingOf ? [headingOf(evt)] : []), line(evt)] });
+    }
+    return groups;
+  };
+
+  if (format.group === "week") {
+    return [
+      {
+        color: format.color,
+        groups: groupBy(
+          (evt) => weekStartKey(evt.dateKey),
+          (evt) => `**${tr(i18n, "schedule.week", { date: fmtDateLabel(weekStartKey(evt.dateKey), i18n.locale) })}**`
+        ),
+      },
+    ];
+  }
+
+  if (format.group === "date") {
+    return [
+      {
+        color: format.color,
+        groups: groupBy(
+          (evt) => evt.dateKey,
+          (evt) => `**${fmtWeekdayLabel(evt.dateKey, i18n.locale)}**`
+        ),
+      },
+    ];
+  }
+
+  if (format.group === "type") {
+    const types = [...new Set(events.map((evt) => evt.type || ""))];
+    return types.map((type) => {
+      const emoji = typeEmoji(type, format);
+      const heading = `**${emoji ? `${emoji} ` : ""}${type || tr(i18n, "schedule.other_type")}**`;
+      const ofType = events.filter((evt) => (evt.type || "") === type);
+      return {
+        color: format.colors[type] ?? format.color,
+        groups: [{ key: type, lines: [heading, ...ofType.map(line)] }],
+      };
+    });
+  }
+
+  return [{ color: format.color, groups: groupBy((evt) => evt.dateKey) }];
+}
+
+// Packs line groups into descriptions, keeping each group together when it fits
+function chunkLineGroups(groups, { limit = EMBED_DESCRIPTION_LIMIT } = {}) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  const flush = () => {
+    if (current.length) chunks.push(current.join("\n"));
+    current = [];
+    size = 0;
+  };
+  const sizeWith = (text) => size + (current.length ? 1 : 0) + text.length;
+  const add = (line) => {
+    const text = line.length > limit ? line.slice(0, limit - 1) + "…" : line;
+    if (sizeWith(text) > limit) flush();
+    size = sizeWith(text);
+    current.push(text);
+  };
+
+  for (const group of groups) {
+    if (sizeWith(group.lines.join("\n")) > limit) flush();
+    // A single group longer than a whole embed falls back to line-by-line
+    for (const line of group.lines) add(line);
+  }
+  flush();
+  return chunks;
+}
+
+const EMBED_FIELD_VALUE_LIMIT = 1024;
+
+function fmtDDay(days, i18n = DEFAULT_I18N) {
+  return days === 0 ? tr(i18n, "schedule.dday") : `D-${days}`;
+}
+
+// "D-3 • [MAR 17] 🎂 Title" for the next `count` events on or after `today`
+function buildCountdown(events, { today, count } = {}, format = DEFAULT_FORMAT, i18n = DEFAULT_I18N) {
+  if (!today || !count) return "";
+  const todayMs = Date.parse(`${today}T00:00:00Z`);
+
+  const lines = [];
+  for (const evt of events) {
+    if (lines.length >= count) break;
+    if (evt.continued || evt.dateKey < today) continue;
+    const days = Math.round((Date.parse(`${evt.dateKey}T00:00:00Z`) - todayMs) / 86400000);
+    const emoji = typeEmoji(evt.type, format);
+    lines.push(
+      `**${fmtDDay(days, i18n)}** • [${fmtDateLabel(evt.dateKey, i18n.locale)}] ${emoji ? `${emoji} ` : ""}${evt.title}${fmtRecurrence(evt, i18n)}`
+    );
+  }
+  return clip(lines.join("\n"), EMBED_FIELD_VALUE_LIMIT);
+}
+
+function buildEmbeds(
+  monthKey,
+  events,
+  {
+    tzLabel = DEFAULT_TZ_LABEL,
+    statusStyles,
+    format = DEFAULT_FORMAT,
+    i18n = DEFAULT_I18N,
+    heading = tr(i18n, "schedule.heading"),
+    footerText = tr(i18n, "schedule.footer"),
+    // Fills {month} in the header; digests pass their own window ("MAR 16–22")
+    period = fmtMonthTitle(monthKey, i18n.locale),
+    countdown = null,
+  } = {}
+) {
+  const title = clip(
+    fillTemplate(format.header || DEFAULT_FORMAT.header, { heading, month: period }),
+    EMBED_TITLE_LIMIT - 16
+  );
+  const footer = clip(fillTemplate(format.footer || DEFAULT_FORMAT.footer, { note: footerText, tz: tzLabel }), EMBED_FOOTER_LIMIT);
+
+  const sections = events.length
+    ? groupEventLines(events, { statusStyles, format, i18n })
+    : [{ color: format.color, groups: [{ lines: [tr(i18n, "schedule.empty")] }] }];
+  const chunks = sections.flatMap((section) =>
+    chunkLineGroups(section.groups).map((body) => ({ body, color: section.color }))
+  );
+  const countdownText = countdown ? buildCountdown(events, countdown, format, i18n) : "";
+
+  return chunks.map(({ body, color }, i) => {
+    const embed = new EmbedBuilder()
+      .setTitle(
+        i === 0 ? title : clip(`${title} (${tr(i18n, "schedule.page", { page: i + 1, pages: chunks.length })})`, EMBED_TITLE_LIMIT)
+      )
+      .setDescription(body);
+    if (color != null) embed.setColor(color);
+    if (i === 0 && countdownText) embed.addFields({ name: `⏳ ${tr(i18n, "schedule.countdown")}`, value: countdownText });
+    if (i === chunks.length - 1 && footer) embed.setFooter({ text: footer });
+    return embed;
+  });
+}
+
+function embedLength(embed) {
+  const d = embed.data || embed;
+  const fields = (d.fields || []).reduce((n, f) => n + f.name.length + f.value.length, 0);
+  return (d.title?.length || 0) + (d.description?.length || 0) + (d.footer?.text?.length || 0) + fields;
+}
+
+// Groups embeds into as few messages as Discord allows
+function packEmbedsIntoMessages(embeds) {
+  const messages = [];
+  let current = [];
+  let size = 0;
+  for (const embed of embeds) {
+    const len = embedLength(embed);
+    if (current.length && (size + len > MESSAGE_EMBED_CHAR_LIMIT || current.length >= MESSAGE_EMBED_COUNT_LIMIT)) {
+      messages.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(embed);
+    size += len;
+  }
+  if (current.length) messages.push(current);
+  return messages;
+}
+
+// ======================================================
+// PERSISTENT MESSAGE PER THREAD (per guild + per scope)
+// ======================================================
+const META_MIGRATIONS = [
+  // 0 → 1: versioned document
+  (data) => data,
+];
+
+const metaStore = createStore(META_FILE, { migrations: META_MIGRATIONS });
+
+function loadMetaAll() {
+  return metaStore.read();
+}
+
+function setMetaEntry(metaKey, patch) {
+  const meta = metaStore.update((meta) => {
+    meta[metaKey] = { ...(meta[metaKey] || {}), ...patch };
+  });
+  return meta[metaKey];
+}
+
+function metaMessageIds(entry) {
+  if (Array.isArray(entry?.messageIds)) return entry.messageIds;
+  return entry?.messageId ? [entry.messageId] : [];
+}
+
+// Returns exactly `count` managed messages, in thread order. Messages that were
+// deleted by hand are dropped, missing ones are appended, leftovers are deleted.
+async function ensureScheduleMessages(channelOrThread, metaKey, count = 1) {
+  const storedIds = metaMessageIds(loadMetaAll()[metaKey]);
+
+  const messages = [];
+  for (const id of storedIds) {
+    try {
+      messages.push(await channelOrThread.messages.fetch(id));
+    } catch {
+      // gone; recreate below
+    }
+  }
+
+  while (messages.length < count) {
+    messages.push(await channelOrThread.send("Initializing schedule…"));
+  }
+
+  const leftovers = messages.splice(count);
+  for (const msg of leftovers) {
+    await msg.delete().catch((err) => {
+      logJson("warn", "leftover message delete failed", { message: msg.id, error: err?.message });
+    });
+  }
+
+  const ids = messages.map((m) => m.id);
+  if (ids.join(",") !== storedIds.join(",")) {
+    // `messageId: undefined` drops the legacy single-message field on save
+    setMetaEntry(metaKey, { messageId: undefined, messageIds: ids });
+  }
+  return messages;
+}
+
+async function editManagedMessage(message, embeds) {
+  try {
+    return await message.edit({ content: "", embeds });
+  } catch (err) {
+    incMetric("caltrix_discord_edit_failures_total", { guild: message.guildId, code: err?.code ?? "unknown" });
+    throw err;
+  }
+}
+
+// Queries and renders one month; shared by publishing and /caltrix preview
+async function renderSchedule(
+  databaseId,
+  monthKey,
+  { tzLabel, timeZone, props, filter, recurring, statusStyles, format, i18n, countdown } = {}
+) {
+  const events = await queryNotionForMonth(databaseId, monthKey, { timeZone, props, filter, recurring });
+  const batches = packEmbedsIntoMessages(buildEmbeds(monthKey, events, { tzLabel, statusStyles, format, i18n, countdown }));
+  return { events, batches };
+}
+
+// `rendered` publishes an earlier renderSchedule result as-is (preview → Publish)
+async function publishSchedule(discord, threadId, databaseId, monthKey, metaKey, { rendered, ...options } = {}) {
+  if (!threadId) return { count: 0, changes: null };
+
+  const { events, batches } = rendered || (await renderSchedule(databaseId, monthKey, options));
+
+  const thread = await discord.channels.fetch(threadId);
+  if (!thread) throw localizedError("error.thread_missing", { id: threadId });
+
+  const messages = await ensureScheduleMessages(thread, metaKey, batches.length);
+
+  for (let i = 0; i < batches.length; i++) await editManagedMessage(messages[i], batches[i]);
+
+  // Only diff against a snapshot of the same month (a rollover starts a new baseline)
+  const previous = loadMetaAll()[metaKey];
+  const snapshot = snapshotEvents(events);
+  const changes = previous?.monthKey === monthKey && previous.events ? diffSnapshots(previous.events, snapshot) : null;
+  setMetaEntry(metaKey, { monthKey, events: snapshot });
+
+  return { count: events.length, changes };
+}
+
+// ======================================================
+// CHANGE DETECTION + CHANGELOG POSTS
+// ======================================================
+const CHANGELOG_MAX_LENGTH = 2000;
+
+// Minimal per-event state, keyed by Notion page ID. `when` is always English, so
+// switching the server language doesn't report every row as moved.
+function snapshotEvents(events) {
+  const snap = {};
+  for (const evt of events) {
+    snap[evt.id] = {
+      title: evt.title,
+      when: fmtEventWhen(evt),
+      status: evt.status || "",
+    };
+  }
+  return snap;
+}
+
+function emptyChanges() {
+  return { added: [], removed: [], moved: [], status: [] };
+}
+
+function diffSnapshots(before, after) {
+  const changes = emptyChanges();
+  for (const [id, cur] of Object.entries(after)) {
+    const prev = before[id];
+    if (!prev) changes.added.push({ id, ...cur });
+    else {
+      if (prev.when !== cur.when) changes.moved.push({ id, title: cur.title, from: prev.when, to: cur.when });
+      if (prev.status !== cur.status) changes.status.push({ id, title: cur.title, from: prev.status, to: cur.status });
+    }
+  }
+  for (const [id, prev] of Object.entries(before)) {
+    if (!after[id]) changes.removed.push({ id, ...prev });
+  }
+  return changes;
+}
+
+// Merges per-thread diffs; a row that left one month and joined another is a move
+function mergeChanges(list) {
+  const merged = emptyChanges();
+  for (const c of list.filter(Boolean)) {
+    for (const key of Object.keys(merged)) merged[key].push(...c[key]);
+  }
+
+  const addedById = new Map(merged.added.map((a) => [a.id, a]));
+  merged.removed = merged.removed.filter((r) => {
+    const a = addedById.get(r.id);
+    if (!a) return true;
+    merged.moved.push({ id: r.id, title: a.title, from: r.when, to: a.when });
+    addedById.delete(r.id);
+    return false;
+  });
+  merged.added = [...addedById.values()];
+  return merged;
+}
+
+function hasChanges(changes) {
+  return Boolean(changes) && Object.values(changes).some((list) => list.length);
+}
+
+function fmtChangelog(changes, { i18n = DEFAULT_I18N, title = tr(i18n, "changelog.title") } = {}) {
+  const noStatus = tr(i18n, "changelog.no_status");
+  const lines = [
+    ...changes.added.map((c) => `➕ ${tr(i18n, "changelog.added", c)}`),
+    ...changes.moved.map((c) => `📅 ${tr(i18n, "changelog.moved", c)}`),
+    ...changes.status.map((c) => `🔄 ${tr(i18n, "changelog.status", { ...c, from: c.from || noStatus, to: c.to || noStatus })}`),
+    ...changes.removed.map((c) => `🗑 ${tr(i18n, "changelog.removed", c)}`),
+  ];
+
+  let out = `**${title}**`;
+  for (let i = 0; i < lines.length; i++) {
+    const more = `\n${tr(i18n, "list.more", { count: lines.length - i })}`;
+    if (out.length + 1 + lines[i].length + more.length > CHANGELOG_MAX_LENGTH) return out + more;
+    out += `\n${lines[i]}`;
+  }
+  return out;
+}
+
+async function postChangelog(discord, cfg, changes) {
+  const channelId = cfg?.changelog?.channelId;
+  if (!channelId || !hasChanges(changes)) return false;
+
+  const channel = await discord.channels.fetch(channelId);
+  if (!channel) throw localizedError("error.channel_missing", { id: channelId });
+  // Several profiles share the channel, so name the non-default ones
+  const i18n = guildI18n(cfg);
+  const title =
+    cfg.profile && cfg.profile !== DEFAULT_PROFILE ? `${tr(i18n, "changelog.title")} — ${cfg.profile}` : undefined;
+  await channel.send({ content: fmtChangelog(changes, { i18n, title }), allowedMentions: { parse: [] } });
+  return true;
+}
+
+// ======================================================
+// GUILD SYNC (shared by /caltrix sync and the scheduler)
+// ======================================================
+const SYNC_SCOPES = ["last", "this", "next"];
+const SCOPE_THREAD_KEYS = { last: "lastMonth", this: "thisMonth", next: "nextMonth" };
+
+function normalizeScope(scope) {
+  const s = String(scope || "this").toLowerCase();
+  return s === "all" || SYNC_SCOPES.includes(s) ? s : "this";
+}
+
+function guildRenderOptions(cfg, tzLabel = null) {
+  return {
+    timeZone: guildTimeZone(cfg),
+    tzLabel: tzLabel || guildTzLabel(cfg),
+    props: resolveNotionProps(cfg),
+    statusStyles: resolveStatusStyles(cfg),
+    format: resolveFormat(cfg),
+    recurring: resolveRecurringTypes(cfg),
+    i18n: guildI18n(cfg),
+  };
+}
+
+// What one scope (or all) publishes for a guild, anchored on `monthKey` as "this month"
+function syncPlan(guildId, cfg, { scope = "this", monthKey, tzLabel } = {}) {
+  const t = cfg.threads || {};
+  const render = guildRenderOptions(cfg, tzLabel);
+  const anchor = monthKey || currentMonthKey(cfg);
+
+  const months = {
+    last: shiftMonthKey(anchor, -1),
+    this: anchor,
+    next: shiftMonthKey(anchor, 1),
+  };
+
+  // The D-day countdown on "this month" is recalculated on every sync
+  const countdown = { today: dateKeyFromDate(new Date(), render.timeZone), count: countdownCount(cfg) };
+
+  const scopes = scope === "all" ? SYNC_SCOPES : [scope];
+  return {
+    anchor,
+    months,
+    steps: scopes.map((s) => ({
+      scope: s,
+      threadId: t[SCOPE_THREAD_KEYS[s]],
+      monthKey: months[s],
+      metaKey: profileStateKey(guildId, cfg.profile, SCOPE_THREAD_KEYS[s]),
+      options: { ...render, filter: resolveScopeFilter(cfg, s), countdown: s === "this" ? countdown : null },
+    })),
+  };
+}
+
+// Publishes one scope (or all) for a guild; `rendered` ({ scope: renderSchedule result })
+// comes from an approved preview.
+async function runGuildSync(discord, guildId, cfg, { scope = "this", monthKey, tzLabel, rendered } = {}) {
+  const databaseId = cfg.notion.databaseId;
+  const { anchor, months, steps } = syncPlan(guildId, cfg, { scope, monthKey, tzLabel });
+
+  const counts = {};
+  const diffs = [];
+  for (const step of steps) {
+    const published = await publishSchedule(discord, step.threadId, databaseId, step.monthKey, step.metaKey, {
+      ...step.options,
+      rendered: rendered?.[step.scope],
+    });
+    counts[step.scope] = published.count;
+    diffs.push(published.changes);
+  }
+
+  invalidateGuildEventCache(guildId);
+
+  const changes = mergeChanges(diffs);
+  try {
+    await postChangelog(discord, cfg, changes);
+  } catch (err) {
+    logJson("error", "changelog failed", { guild: guildId, profile: cfg.profile, ...errorFields(err) });
+  }
+
+  // Mirroring is best-effort: a missing Manage Events permission must not fail the sync
+  let mirror = null;
+  if (isMirrorActive(cfg)) {
+    try {
+      mirror = await mirrorScheduledEvents(discord, guildId, cfg, anchor);
+    } catch (err) {
+      logJson("error", "mirror failed", { guild: guildId, ...errorFields(err) });
+      mirror = { error: String(err?.message || err) };
+    }
+  }
+
+  return { months, counts, mirror, changes };
+}
+
+// One sync per profile at a time: a manual sync that overlaps the scheduler waits
+// for it instead of racing it over the same schedule messages
+const syncQueues = new Map();
+
+function serializeSync(key, fn) {
+  const run = (syncQueues.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  syncQueues.set(key, tail);
+  tail.then(() => {
+    if (syncQueues.get(key) === tail) syncQueues.delete(key);
+  });
+  return run;
+}
+
+// Every sync, manual or automatic, is recorded in the guild's sync log.
+// `actor` is the user who asked for it (none for the scheduler); `via` says how.
+function recordSyncMetrics(guildId, entry, startedAt, result) {
+  const labels = { guild: guildId, profile: entry.profile };
+  incMetric("caltrix_syncs_total", { ...labels, via: entry.via, result });
+  observeMetric("caltrix_sync_duration_seconds", labels, (Date.now() - startedAt) / 1000);
+}
+
+async function syncGuild(discord, guildId, cfg, { actor = null, via = "scheduler", ...options } = {}) {
+  const startedAt = Date.now();
+  const entry = {
+    at: new Date(startedAt).toISOString(),
+    actor,
+    via,
+    profile: cfg.profile || DEFAULT_PROFILE,
+    scope: options.scope || "this",
+  };
+
+  try {
+    const result = await serializeSync(profileStateKey(guildId, cfg.profile, "sync"), () =>
+      runGuildSync(discord, guildId, cfg, options)
+    );
+    const months = {};
+    for (const [scope, count] of Object.entries(result.counts)) months[result.months[scope]] = count;
+    recordSyncMetrics(guildId, entry, startedAt, "ok");
+    await recordSync(discord, guildId, cfg, { ...entry, months, durationMs: Date.now() - startedAt });
+    return result;
+  } catch (err) {
+    recordSyncMetrics(guildId, entry, startedAt, "error");
+    await recordSync(discord, guildId, cfg, {
+      ...entry,
+      durationMs: Date.now() - startedAt,
+      error: String(err?.message || err),
+    });
+    throw err;
+  }
+}
+
+// ======================================================
+// SYNC LOG (audit trail per guild + failure alerts)
+// ======================================================
+const SYNC_LOG_FILE = path.join(DATA_DIR, "sync-log.json");
+// Oldest entries roll off once a guild's log passes this size
+const SYNC_LOG_MAX_ENTRIES = Number(process.env.SYNC_LOG_MAX_ENTRIES || 200);
+const DEFAULT_HISTORY_LIMIT = 10;
+const MAX_HISTORY_LIMIT = 25;
+
+const syncLogStore = createStore(SYNC_LOG_FILE, { migrations: [(data) => data], required: false });
+
+function loadSyncLog(guildId) {
+  return syncLogStore.read()[guildId] || [];
+}
+
+async function recordSync(discord, guildId, cfg, entry) {
+  const log = loadSyncLog(guildId);
+  const previous = [...log].reverse().find((e) => e.profile === entry.profile);
+  syncLogStore.update((all) => {
+    all[guildId] = [...log, entry].slice(-SYNC_LOG_MAX_ENTRIES);
+  });
+
+  // Alert once when a profile starts failing and once when it recovers, not on every retry
+  const failed = Boolean(entry.error);
+  if (failed === Boolean(previous?.error) || (!failed && !previous)) return;
+  try {
+    await postSyncAlert(discord, cfg, entry);
+  } catch (err) {
+    logJson("error", "sync alert failed", { guild: guildId, ...errorFields(err) });
+  }
+}
+
+async function postSyncAlert(discord, cfg, entry) {
+  const channelId = cfg?.syncLog?.channelId;
+  if (!channelId) return;
+
+  const channel = await discord.channels.fetch(channelId);
+  if (!channel) throw localizedError("error.channel_missing", { id: channelId });
+  const i18n = guildI18n(cfg);
+  const values = {
+    profile: entry.profile !== DEFAULT_PROFILE ? ` (${entry.profile})` : "",
+    actor: fmtSyncActor(entry, i18n),
+    scope: entry.scope,
+    error: clip(entry.error || "", 1500),
+    hint: profileHint(entry.profile),
+  };
+  const content = tr(i18n, entry.error ? "history.alert_failed" : "history.alert_recovered", values);
+  await channel.send({ content, allowedMentions: { parse: [] } });
+}
+
+function fmtSyncActor(entry, i18n) {
+  return entry.actor ? tr(i18n, "history.actor", { user: `<@${entry.actor}>`, via: entry.via }) : tr(i18n, "history.scheduler");
+}
+
+function fmtSyncLogEntry(entry, { showProfile, i18n }) {
+  const when = `${entry.at.slice(0, 16).replace("T", " ")} UTC`;
+  const profile = showProfile ? ` [${entry.profile}]` : "";
+  const seconds = `${(entry.durationMs / 1000).toFixed(1)} s`;
+  const outcome = entry.error
+    ? `❌ ${clip(entry.error, 200)}`
+    : Object.entries(entry.months || {})
+        .map(([monthKey, count]) => `${monthKey}: ${count}`)
+        .join(" • ") || tr(i18n, "history.nothing_published");
+  return `• ${when} — ${fmtSyncActor(entry, i18n)}, ${entry.scope}${profile} (${seconds})\n  ${outcome}`;
+}
+
+function fmtSyncHistory(guildId, cfg, limit) {
+  const i18n = guildI18n(cfg);
+  const entries = loadSyncLog(guildId).slice(-limit).reverse();
+  if (!entries.length) return tr(i18n, "history.empty");
+
+  const showProfile = profileNames(cfg).length > 1;
+  const alerts = cfg?.syncLog?.channelId ? `<#${cfg.syncLog.channelId}>` : tr(i18n, "common.off");
+  let out = trCount(i18n, "history.title", entries.length, { alerts });
+  for (const entry of entries) {
+    const line = fmtSyncLogEntry(entry, { showProfile, i18n });
+    if (out.length + 1 + line.length > 2000) break;
+    out += `\n${line}`;
+  }
+  return out;
+}
+
+// ======================================================
+// ARCHIVE (frozen monthly snapshots, posted once per month)
+// ======================================================
+function archiveStateKey(guildId, profile) {
+  return profileStateKey(guildId, profile, "archive");
+}
+
+function archivedMonths(guildId, profile) {
+  return loadMetaAll()[archiveStateKey(guildId, profile)]?.months || {};
+}
+
+// Posts new messages (never edited later) with the month's final schedule.
+async function postArchiveSnapshot(discord, guildId, cfg, monthKey) {
+  const threadId = cfg.threads?.archive;
+  if (!threadId) {
+    throw localizedError("error.no_archive_thread", { hint: profileHint(cfg.profile) });
+  }
+
+  const render = guildRenderOptions(cfg);
+  const events = await queryNotionForMonth(cfg.notion.databaseId, monthKey, {
+    timeZone: render.timeZone,
+    props: render.props,
+    recurring: render.recurring,
+    filter: resolveScopeFilter(cfg, "archive"),
+  });
+
+  const thread = await discord.channels.fetch(threadId);
+  if (!thread) throw localizedError("error.thread_missing", { id: threadId });
+
+  const embeds = buildEmbeds(monthKey, events, {
+    ...render,
+    heading: tr(render.i18n, "archive.heading"),
+    footerText: tr(render.i18n, "archive.footer", { date: new Date().toISOString().slice(0, 10) }),
+  });
+
+  const messageIds = [];
+  for (const batch of packEmbedsIntoMessages(embeds)) {
+    const msg = await thread.send({ embeds: batch });
+    messageIds.push(msg.id);
+  }
+
+  const stateKey = archiveStateKey(guildId, cfg.profile);
+  const months = { ...archivedMonths(guildId, cfg.profile), [monthKey]: { messageIds, postedAt: new Date().toISOString() } };
+  setMetaEntry(stateKey, { months });
+
+  return events.length;
+}
+
+// ======================================================
+// SCHEDULER (automatic sync + month rollover, per guild)
+// ======================================================
+const SCHEDULER_TICK_MS = 60 * 1000;
+const DEFAULT_ROLLOVER_TIME = "00:05";
+const MIN_SYNC_INTERVAL_MINUTES = 5;
+
+const runningScheduledSyncs = new Set();
+
+function parseHHMM(value) {
+  const m = String(value || "").trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return m ? { hours: Number(m[1]), minutes: Number(m[2]) } : null;
+}
+
+// The "current" month only flips once the rollover time has passed on the 1st,
+// so treat each day as starting at the rollover time.
+function effectiveMonthKey(now, rolloverTime, timeZone = DEFAULT_TIMEZONE) {
+  const t = parseHHMM(rolloverTime) || parseHHMM(DEFAULT_ROLLOVER_TIME);
+  const offsetMs = (t.hours * 60 + t.minutes) * 60 * 1000;
+  return monthKeyFromDate(new Date(now.getTime() - offsetMs), timeZone);
+}
+
+// "This month" for manual syncs and previews, agreeing with the scheduler's rollover
+function currentMonthKey(cfg, now = new Date()) {
+  return effectiveMonthKey(now, cfg?.schedule?.rolloverTime, guildTimeZone(cfg));
+}
+
+function scheduleStateKey(guildId, profile) {
+  return profileStateKey(guildId, profile, "schedule");
+}
+
+// Review mode: nothing is published without an approved /caltrix preview
+function isReviewRequired(cfg) {
+  return Boolean(cfg?.review?.required);
+}
+
+function isScheduleActive(cfg) {
+  const sched = cfg?.schedule;
+  return Boolean(
+    sched?.intervalMinutes &&
+      !sched.paused &&
+      !isReviewRequired(cfg) &&
+      cfg?.threads?.thisMonth &&
+      cfg?.notion?.databaseId
+  );
+}
+
+async function runScheduledSync(discord, guildId, cfg, now = new Date()) {
+  const sched = cfg.schedule;
+  const stateKey = scheduleStateKey(guildId, cfg.profile);
+  const state = loadMetaAll()[stateKey] || {};
+
+  const monthKey = effectiveMonthKey(now, sched.rolloverTime, guildTimeZone(cfg));
+  const rollover = Boolean(state.monthKey) && state.monthKey !== monthKey;
+  const intervalMs = sched.intervalMinutes * 60 * 1000;
+  const due = !state.lastAttemptAt || now - new Date(state.lastAttemptAt) >= intervalMs;
+
+  // Rollover runs immediately, unless it just failed (then wait for the next interval)
+  if (!due && !(rollover && !state.lastError)) return null;
+
+  // The month that just ended waits here until its archive snapshot is posted
+  if (rollover && cfg.threads?.archive) setMetaEntry(stateKey, { pendingArchive: state.monthKey });
+
+  try {
+    const result = await syncGuild(discord, guildId, cfg, { scope: "all", monthKey });
+    setMetaEntry(stateKey, {
+      monthKey,
+      lastAttemptAt: now.toISOString(),
+      lastSyncAt: now.toISOString(),
+      lastError: null,
+      ...(rollover ? { lastRolloverAt: now.toISOString() } : {}),
+    });
+    if (rollover) {
+      logJson("info", "month rolled over", { guild: guildId, profile: cfg.profile, from: state.monthKey, to: monthKey });
+    }
+
+    await archivePendingMonth(discord, guildId, cfg);
+    return result;
+  } catch (err) {
+    logJson("error", "scheduled sync failed", { guild: guildId, profile: cfg.profile, ...errorFields(err) });
+    setMetaEntry(stateKey, {
+      lastAttemptAt: now.toISOString(),
+      lastError: String(err?.message || err),
+    });
+    return null;
+  }
+}
+
+async function archivePendingMonth(discord, guildId, cfg) {
+  const stateKey = scheduleStateKey(guildId, cfg.profile);
+  const pending = loadMetaAll()[stateKey]?.pendingArchive;
+  if (!pending) return;
+
+  if (!cfg.threads?.archive || archivedMonths(guildId, cfg.profile)[pending]) {
+    setMetaEntry(stateKey, { pendingArchive: null });
+    return;
+  }
+
+  try {
+    await postArchiveSnapshot(discord, guildId, cfg, pending);
+    setMetaEntry(stateKey, { pendingArchive: null });
+    logJson("info", "month archived", { guild: guildId, profile: cfg.profile, month: pending });
+  } catch (err) {
+    // Left pending, so the next scheduled run tries again
+    logJson("error", "archive failed", { guild: guildId, profile: cfg.profile, month: pending, ...errorFields(err) });
+  }
+}
+
+async function schedulerTick(discord) {
+  const all = loadGuildConfigAll();
+  for (const [guildId, cfg] of Object.entries(all)) {
+    const active = profileNames(cfg)
+      .map((name) => profileCfg(cfg, name))
+      .filter(isScheduleActive);
+    if (!active.length || runningScheduledSyncs.has(guildId)) continue;
+
+    // Profiles of one guild run one after another
+    runningScheduledSyncs.add(guildId);
+    try {
+      for (const view of active) await runScheduledSync(discord, guildId, view);
+    } finally {
+      runningScheduledSyncs.delete(guildId);
+    }
+  }
+}
+
+function startScheduler(discord) {
+  const tick = () => schedulerTick(discord).catch((err) => logJson("error", "scheduler tick failed", errorFields(err)));
+  tick();
+  return setInterval(tick, SCHEDULER_TICK_MS);
+}
+
+function fmtScheduleStatus(guildId, cfg) {
+  const i18n = guildI18n(cfg);
+  const sched = cfg?.schedule;
+  if (!sched?.intervalMinutes) return tr(i18n, "autosync.not_configured");
+
+  const rolloverTime = sched.rolloverTime || DEFAULT_ROLLOVER_TIME;
+  const lines = [
+    tr(i18n, "autosync.status", { state: tr(i18n, sched.paused ? "autosync.paused" : "autosync.active") }),
+    tr(i18n, "autosync.interval", { minutes: sched.intervalMinutes }),
+    tr(i18n, "autosync.rollover", { time: rolloverTime, timeZone: guildTimeZone(cfg) }),
+  ];
+
+  // Month tracking and errors are per profile; name them once there is more than one
+  const names = profileNames(cfg);
+  for (const name of names) {
+    const view = profileCfg(cfg, name);
+    const state = loadMetaAll()[scheduleStateKey(guildId, name)] || {};
+    const indent = names.length > 1 ? "  " : "";
+    if (names.length > 1) lines.push(`**${name}**`);
+
+    lines.push(
+      indent + tr(i18n, "autosync.current_month", { month: state.monthKey || currentMonthKey(cfg) }),
+      indent + tr(i18n, "autosync.last_sync", { at: state.lastSyncAt || tr(i18n, "common.never") })
+    );
+    if (state.lastRolloverAt) lines.push(indent + tr(i18n, "autosync.last_rollover", { at: state.lastRolloverAt }));
+    if (state.pendingArchive) lines.push(indent + tr(i18n, "autosync.archive_pending", { month: state.pendingArchive }));
+    if (state.lastError) lines.push(indent + tr(i18n, "autosync.last_error", { error: state.lastError }));
+    if (isScheduleActive(view) && state.lastAttemptAt) {
+      const nextAt = new Date(new Date(state.lastAttemptAt).getTime() + sched.intervalMinutes * 60 * 1000);
+      lines.push(indent + tr(i18n, "autosync.next_sync", { at: nextAt.toISOString() }));
+    }
+    if (!isReviewRequired(cfg) && !isScheduleActive(view) && !sched.paused) {
+      lines.push(indent + tr(i18n, "autosync.not_running", { hint: profileHint(name) }));
+    }
+  }
+
+  if (!names.length && !sched.paused) {
+    lines.push(tr(i18n, "autosync.not_running", { hint: "" }));
+  }
+  if (isReviewRequired(cfg)) {
+    lines.push(tr(i18n, "autosync.held"));
+  }
+  return lines.join("\n");
+}
+
+// ======================================================
+// EVENT CACHE (short-lived, per guild + month)
+// ======================================================
+// Keeps member lookups and reminder checks from re-querying Notion every time
+const EVENT_CACHE_TTL_MS = 5 * 60 * 1000;
+const guildEventCache = new Map();
+
+// All profiles together; two profiles reading one database list a row once
+async function queryGuildEvents(cfg, fromKey, toKey) {
+  const events = [];
+  const seen = new Set();
+  for (const view of configuredProfiles(cfg)) {
+    const render = guildRenderOptions(view);
+    const rows = await queryNotionForRange(view.notion.databaseId, fromKey, toKey, {
+      timeZone: render.timeZone,
+      props: render.props,
+      recurring: render.recurring,
+      filter: resolveScopeFilter(view, "default"),
+    });
+    for (const evt of rows) {
+      if (seen.has(evt.id)) continue;
+      seen.add(evt.id);
+      events.push(evt);
+    }
+  }
+  events.sort((a, b) => a.dateKey.localeCompare(b.dateKey) || a.dateObj - b.dateObj);
+  return events;
+}
+
+async function getGuildMonthEvents(guildId, cfg, monthKey, { maxAgeMs = EVENT_CACHE_TTL_MS } = {}) {
+  const key = `${guildId}:${monthKey}`;
+  const cached = guildEventCache.get(key);
+  if (cached && Date.now() - cached.at < maxAgeMs) return cached.events;
+
+  const events = await queryGuildEvents(cfg, ...monthDayRange(monthKey));
+  guildEventCache.set(key, { at: Date.now(), events });
+  return events;
+}
+
+// Events that touch [fromKey, toKey] (YYYY-MM-DD, inclusive), each listed once
+async function getGuildEventsInRange(guildId, cfg, fromKey, toKey) {
+  const events = [];
+  const seen = new Set();
+  for (let mk = fromKey.slice(0, 7); mk <= toKey.slice(0, 7); mk = shiftMonthKey(mk, 1)) {
+    for (const e of await getGuildMonthEvents(guildId, cfg, mk)) {
+      const first = e.startDateKey || e.dateKey;
+      const last = e.endDateKey || first;
+      if (seen.has(e.id) || first > toKey || last < fromKey) continue;
+      seen.add(e.id);
+      events.push(e);
+    }
+  }
+  return events;
+}
+
+function invalidateGuildEventCache(guildId) {
+  for (const key of guildEventCache.keys()) {
+    if (key.startsWith(`${guildId}:`)) guildEventCache.delete(key);
+  }
+}
+
+// ======================================================
+// REMINDERS (role pings before events, per guild)
+// ======================================================
+const REMINDER_TICK_MS = 60 * 1000;
+const REMINDER_REFRESH_MS = 10 * 60 * 1000;
+// Reminders found late (e.g. after a restart) still go out within this window
+const REMINDER_GRACE_MS = 30 * 60 * 1000;
+const REMINDER_SENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_REMINDER_LEADS = [24 * 60, 60];
+
+const runningReminderChecks = new Set();
+
+// "24h", "90m", "2d" or bare minutes → minutes
+function parseLeadTimes(value) {
+  const leads = [];
+  for (const part of parseList(value)) {
+    const m = part.toLowerCase().match(/^(\d+)\s*(d|h|m)?$/);
+    if (!m) return null;
+    const n = Number(m[1]);
+    const minutes = m[2] === "d" ? n * 24 * 60 : m[2] === "h" ? n * 60 : n;
+    if (minutes > 0) leads.push(minutes);
+  }
+  return [...new Set(leads)].sort((a, b) => b - a);
+}
+
+function fmtLeadTime(minutes) {
+  if (minutes % (24 * 60) === 0) return `${minutes / (24 * 60)}d`;
+  if (minutes % 60 === 0) return `${minutes / 60}h`;
+  return `${minutes}m`;
+}
+
+// Reads a time of day out of free text like "18:00 KST", "6PM" or "6:30 pm"
+function parseTimeText(text) {
+  const m = String(text || "").match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+  if (!m || (!m[2] && !m[3])) return null;
+
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  const ampm = m[3]?.toLowerCase();
+  if (ampm === "pm" && hours < 12) hours += 12;
+  if (ampm === "am" && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+// When the event actually starts: the Notion datetime, or the date plus Time text
+function eventStartInstant(evt, timeZone) {
+  if (!evt.allDay) return { at: evt.dateObj, timed: true };
+
+  const t = parseTimeText(evt.timeText);
+  if (!t) return { at: evt.dateObj, timed: false };
+
+  const [Y, M, D] = (evt.startDateKey || evt.dateKey).split("-").map(Number);
+  return { at: zonedTimeToUtc(Y, M, D, t.hours, t.minutes, 0, timeZone), timed: true };
+}
+
+// Datetime ranges end at their Notion end; day ranges at midnight after the last day
+function eventEndInstant(evt, start, timeZone, defaultDurationMs) {
+  if (evt.endObj) return evt.endObj;
+  if (start.timed && !evt.endDateKey) return new Date(start.at.getTime() + defaultDurationMs);
+
+  const [Y, M, D] = (evt.endDateKey || evt.startDateKey || evt.dateKey).split("-").map(Number);
+  return zonedTimeToUtc(Y, M, D + 1, 0, 0, 0, timeZone);
+}
+
+function reminderStateKey(guildId) {
+  return `${guildId}:reminders`;
+}
+
+function isReminderActive(cfg) {
+  return Boolean(cfg?.reminders?.channelId && !cfg.reminders.paused && configuredProfiles(cfg).length);
+}
+
+function reminderRoleIds(cfg, evt) {
+  const r = cfg.reminders || {};
+  const ids = [];
+  if (evt.type && r.typeRoles?.[evt.type]) ids.push(r.typeRoles[evt.type]);
+  for (const artist of evt.artists || []) {
+    if (r.artistRoles?.[artist]) ids.push(r.artistRoles[artist]);
+  }
+  return [...new Set(ids)];
+}
+
+// Events for this month and the next, refreshed every few minutes
+async function getReminderEvents(guildId, cfg, now) {
+  const thisMonth = monthKeyFromDate(now, guildTimeZone(cfg));
+  const byId = new Map();
+  for (const monthKey of [thisMonth, shiftMonthKey(thisMonth, 1)]) {
+    for (const evt of await getGuildMonthEvents(guildId, cfg, monthKey, { maxAgeMs: REMINDER_REFRESH_MS })) {
+      // A range spanning both months is listed twice; remind once
+      if (!byId.has(evt.id)) byId.set(evt.id, evt);
+    }
+  }
+  return [...byId.values()];
+}
+
+function fmtLeadTimeLong(minutes, i18n = DEFAULT_I18N) {
+  const [n, unit] =
+    minutes % (24 * 60) === 0 ? [minutes / (24 * 60), "day"] :
+    minutes % 60 === 0 ? [minutes / 60, "hour"] :
+    [minutes, "minute"];
+  return trCount(i18n, `lead.${unit}`, n);
+}
+
+function fmtReminder(evt, lead, roleIds, { statusStyles, format, i18n }) {
+  const pings = roleIds.map((id) => `<@&${id}>`).join(" ");
+  const heading = tr(i18n, "reminder.starting", { lead: fmtLeadTimeLong(lead, i18n) });
+  return `⏰ **${heading}**\n${fmtLine(evt, { statusStyles, format, i18n })}` + (pings ? `\n${pings}` : "");
+}
+
+async function runReminderCheck(discord, guildId, cfg, now = new Date()) {
+  const r = cfg.reminders;
+  const leads = r.leadTimes?.length ? r.leadTimes : DEFAULT_REMINDER_LEADS;
+  const render = guildRenderOptions(cfg);
+  const events = await getReminderEvents(guildId, cfg, now);
+
+  const stateKey = reminderStateKey(guildId);
+  const sent = { ...(loadMetaAll()[stateKey]?.sent || {}) };
+
+  const due = [];
+  for (const evt of events) {
+    const start = eventStartInstant(evt, render.timeZone);
+    for (const lead of leads) {
+      // All-day events without a time only get day-or-longer reminders
+      if (!start.timed && lead < 24 * 60) continue;
+
+      const fireAt = start.at.getTime() - lead * 60 * 1000;
+      if (fireAt > now.getTime() || now.getTime() - fireAt > REMINDER_GRACE_MS) continue;
+
+      // Keyed on the start time too, so a moved event is reminded again
+      const key = `${evt.id}:${lead}:${start.at.toISOString()}`;
+      if (!sent[key]) due.push({ evt, lead, key, startAt: start.at });
+    }
+  }
+  if (!due.length) return 0;
+
+  const channel = await discord.channels.fetch(r.channelId);
+  if (!channel) throw localizedError("error.channel_missing", { id: r.channelId });
+
+  for (const { evt, lead, key, startAt } of due) {
+    const roleIds = reminderRoleIds(cfg, evt);
+    await channel.send({
+      content: fmtReminder(evt, lead, roleIds, render),
+      allowedMentions: { roles: roleIds },
+    });
+    sent[key] = { sentAt: now.toISOString(), startAt: startAt.toISOString() };
+    // Persist after every ping so a crash mid-batch never double-pings
+    setMetaEntry(stateKey, { sent });
+  }
+
+  for (const [key, entry] of Object.entries(sent)) {
+    if (now - new Date(entry.startAt) > REMINDER_SENT_RETENTION_MS) delete sent[key];
+  }
+  setMetaEntry(stateKey, { sent });
+  return due.length;
+}
+
+async function reminderTick(discord) {
+  const all = loadGuildConfigAll();
+  for (const [guildId, cfg] of Object.entries(all)) {
+    if (!isReminderActive(cfg)) continue;
+    if (runningReminderChecks.has(guildId)) continue;
+
+    runningReminderChecks.add(guildId);
+    try {
+      await runReminderCheck(discord, guildId, cfg);
+    } catch (err) {
+      logJson("error", "reminder check failed", { guild: guildId, ...errorFields(err) });
+    } finally {
+      runningReminderChecks.delete(guildId);
+    }
+  }
+}
+
+function startReminders(discord) {
+  const tick = () => reminderTick(discord).catch((err) => logJson("error", "reminder tick failed", errorFields(err)));
+  tick();
+  return setInterval(tick, REMINDER_TICK_MS);
+}
+
+function fmtReminderStatus(cfg) {
+  const i18n = guildI18n(cfg);
+  const r = cfg?.reminders;
+  if (!r?.channelId) return tr(i18n, "reminders.not_configured");
+
+  const leads = (r.leadTimes?.length ? r.leadTimes : DEFAULT_REMINDER_LEADS).map(fmtLeadTime);
+  const roleLines = [
+    ...Object.entries(r.typeRoles || {}).map(([name, id]) => tr(i18n, "reminders.type_role", { name, role: `<@&${id}>` })),
+    ...Object.entries(r.artistRoles || {}).map(([name, id]) => tr(i18n, "reminders.artist_role", { name, role: `<@&${id}>` })),
+  ];
+  return [
+    tr(i18n, "autosync.status", { state: tr(i18n, r.paused ? "autosync.paused" : "autosync.active") }),
+    tr(i18n, "reminders.channel", { channel: `<#${r.channelId}>` }),
+    tr(i18n, "reminders.leads", { leads: leads.join(", ") }),
+    tr(i18n, "reminders.roles", { roles: roleLines.length ? `\n${roleLines.join("\n")}` : tr(i18n, "common.none") }),
+  ].join("\n");
+}
+
+// ======================================================
+// DIGESTS ("This week" on Mondays, "Today" every morning)
+// ======================================================
+const DIGEST_KINDS = ["week", "today"];
+const DIGEST_TICK_MS = 60 * 1000;
+// A failed digest is tried again after this long, not on every tick
+const DIGEST_RETRY_MS = 15 * 60 * 1000;
+const DEFAULT_DIGEST_TIMES = { week: "09:00", today: "08:00" };
+const DEFAULT_TODAY_TYPES = ["Birthday", "Release"];
+
+const runningDigests = new Set();
+
+function digestStateKey(guildId, kind) {
+  return `${guildId}:digest:${kind}`;
+}
+
+function isDigestActive(cfg, kind) {
+  return Boolean(cfg?.digests?.[kind]?.channelId) && configuredProfiles(cfg).length > 0;
+}
+
+// The digest's days, and the key it goes out once for (the week's Monday, or the day)
+function digestWindow(kind, today) {
+  if (kind === "today") return { periodKey: today, from: today, to: today };
+  const from = weekStartKey(today);
+  return { periodKey: from, from, to: shiftDateKey(from, 6) };
+}
+
+// [] lists every type
+function digestTypes(cfg) {
+  return cfg?.digests?.today?.types ?? DEFAULT_TODAY_TYPES;
+}
+
+async function buildDigest(cfg, kind, today) {
+  const { from, to } = digestWindow(kind, today);
+  const render = guildRenderOptions(cfg);
+  const { locale } = render.i18n;
+
+  let events = await queryGuildEvents(cfg, from, to);
+  const types = kind === "today" ? digestTypes(cfg) : [];
+  if (types.length) events = events.filter((evt) => types.includes(evt.type));
+
+  const embeds = buildEmbeds(null, events, {
+    ...render,
+    format: { ...render.format, group: kind === "week" ? "date" : "day" },
+    heading: tr(render.i18n, `digest.${kind}`),
+    period: kind === "week" ? fmtDateRangeLabel(from, to, locale) : fmtWeekdayLabel(today, locale),
+  });
+  return { events, batches: packEmbedsIntoMessages(embeds) };
+}
+
+// "edit" keeps one managed message up to date; "post" sends a new one each time
+// and skips windows with nothing in them.
+async function postDigest(discord, guildId, cfg, kind, now = new Date()) {
+  const digest = cfg.digests[kind];
+  const today = dateKeyFromDate(now, guildTimeZone(cfg));
+  const stateKey = digestStateKey(guildId, kind);
+  const { events, batches } = await buildDigest(cfg, kind, today);
+
+  const channel = await discord.channels.fetch(digest.channelId);
+  if (!channel) throw localizedError("error.channel_missing", { id: digest.channelId });
+
+  if (digest.mode === "edit") {
+    const messages = await ensureScheduleMessages(channel, stateKey, batches.length);
+    for (let i = 0; i < batches.length; i++) await editManagedMessage(messages[i], batches[i]);
+  } else if (events.length) {
+    for (const batch of batches) await channel.send({ embeds: batch });
+  }
+
+  setMetaEntry(stateKey, {
+    periodKey: digestWindow(kind, today).periodKey,
+    lastAttemptAt: now.toISOString(),
+    lastPostAt: now.toISOString(),
+    lastError: null,
+  });
+  return events.length;
+}
+
+// Due from the digest time on its day; a weekly digest missed on Monday
+// (bot offline) still goes out later that week.
+function isDigestDue(cfg, kind, state, now) {
+  const timeZone = guildTimeZone(cfg);
+  const today = dateKeyFromDate(now, timeZone);
+  const { periodKey } = digestWindow(kind, today);
+  if (state.periodKey === periodKey) return false;
+  if (state.lastError && now - new Date(state.lastAttemptAt) < DIGEST_RETRY_MS) return false;
+
+  const t = parseHHMM(cfg.digests[kind].time) || parseHHMM(DEFAULT_DIGEST_TIMES[kind]);
+  const p = zonedParts(now, timeZone);
+  return today > periodKey || p.hour * 60 + p.minute >= t.hours * 60 + t.minutes;
+}
+
+async function digestTick(discord, now = new Date()) {
+  const all = loadGuildConfigAll();
+  for (const [guildId, cfg] of Object.entries(all)) {
+    for (const kind of DIGEST_KINDS) {
+      const stateKey = digestStateKey(guildId, kind);
+      if (!isDigestActive(cfg, kind) || runningDigests.has(stateKey)) continue;
+      if (!isDigestDue(cfg, kind, loadMetaAll()[stateKey] || {}, now)) continue;
+
+      runningDigests.add(stateKey);
+      try {
+        await postDigest(discord, guildId, cfg, kind, now);
+      } catch (err) {
+        logJson("error", "digest failed", { guild: guildId, kind, ...errorFields(err) });
+        setMetaEntry(stateKey, { lastAttemptAt: now.toISOString(), lastError: String(err?.message || err) });
+      } finally {
+        runningDigests.delete(stateKey);
+      }
+    }
+  }
+}
+
+function startDigests(discord) {
+  const tick = () => digestTick(discord).catch((err) => logJson("error", "digest tick failed", errorFields(err)));
+  tick();
+  return setInterval(tick, DIGEST_TICK_MS);
+}
+
+function fmtDigestStatus(guildId, cfg) {
+  const i18n = guildI18n(cfg);
+  const lines = [];
+  for (const kind of DIGEST_KINDS) {
+    const digest = cfg?.digests?.[kind];
+    const name = tr(i18n, `digest.${kind}`);
+    if (!digest?.channelId) {
+      lines.push(`**${name}**: ${tr(i18n, "common.off")}`);
+      continue;
+    }
+
+    const time = digest.time || DEFAULT_DIGEST_TIMES[kind];
+    lines.push(
+      tr(i18n, `digest.status_${kind}`, {
+        name,
+        channel: `<#${digest.channelId}>`,
+        time,
+        timeZone: guildTimeZone(cfg),
+        mode: tr(i18n, digest.mode === "edit" ? "digest.mode_edit" : "digest.mode_post"),
+      })
+    );
+    if (kind === "today") {
+      const types = digestTypes(cfg);
+      lines.push("  " + tr(i18n, "digest.types", { types: types.length ? types.join(", ") : tr(i18n, "digest.all_types") }));
+    }
+
+    const state = loadMetaAll()[digestStateKey(guildId, kind)] || {};
+    lines.push("  " + tr(i18n, "digest.last_posted", { at: state.lastPostAt || tr(i18n, "common.never") }));
+    if (state.lastError) lines.push("  " + tr(i18n, "autosync.last_error", { error: state.lastError }));
+  }
+  if (!configuredProfiles(cfg).length) {
+    lines.push(tr(i18n, "autosync.not_running", { hint: "" }));
+  }
+  return lines.join("\n");
+}
+
+// ======================================================
+// DISCORD SCHEDULED EVENTS (mirror of upcoming Notion rows)
+// ======================================================
+const DEFAULT_MIRROR_TYPES = ["Concert", "Comeback", "Release"];
+const MIRROR_DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+
+function mirrorStateKey(guildId) {
+  return `${guildId}:scheduledEvents`;
+}
+
+function isMirrorActive(cfg) {
+  return Boolean(cfg?.mirror?.enabled);
+}
+
+function mirrorTypes(cfg) {
+  return cfg?.mirror?.types?.length ? cfg.mirror.types : DEFAULT_MIRROR_TYPES;
+}
+
+function clip(text, max) {
+  const s = String(text || "");
+  return s.length > max ? s.slice(0, max - 1) + "…" : s;
+}
+
+// Discord fields for one Notion row (External events need a location and an end time)
+function scheduledEventPayload(evt, timeZone) {
+  const start = eventStartInstant(evt, timeZone);
+  const end = eventEndInstant(evt, start, timeZone, MIRROR_DEFAULT_DURATION_MS);
+
+  const details = [
+    [evt.artistText, evt.memberText].filter(Boolean).join(" • "),
+    evt.timeText ? `Time: ${evt.timeText}` : "",
+    evt.link ? `🔗 ${evt.link}` : "",
+  ].filter(Boolean);
+
+  return {
+    name: clip(evt.title, 100),
+    scheduledStartTime: start.at.toISOString(),
+    scheduledEndTime: end.toISOString(),
+    entityMetadata: { location: clip(evt.location || evt.link || "TBA", 100) },
+    description: clip(details.join("\n"), 1000),
+  };
+}
+
+// Discord API error code for an event that no longer exists
+const UNKNOWN_SCHEDULED_EVENT = 10070;
+
+function isUnknownScheduledEvent(err) {
+  return err?.code === UNKNOWN_SCHEDULED_EVENT || err?.status === 404;
+}
+
+async function mirrorScheduledEvents(discord, guildId, cfg, monthKey) {
+  const render = guildRenderOptions(cfg);
+  const now = Date.now();
+  const types = mirrorTypes(cfg);
+
+  // Every profile of the guild, so syncing one profile keeps the others' events
+  const events = [];
+  for (const mk of [monthKey, shiftMonthKey(monthKey, 1)]) {
+    events.push(...(await getGuildMonthEvents(guildId, cfg, mk, { maxAgeMs: 0 })));
+  }
+
+  // Discord only accepts events that start in the future
+  const wanted = new Map();
+  for (const evt of events) {
+    if (!types.includes(evt.type)) continue;
+    const payload = scheduledEventPayload(evt, render.timeZone);
+    if (new Date(payload.scheduledStartTime).getTime() <= now) continue;
+    wanted.set(evt.id, payload);
+  }
+
+  const guild = await discord.guilds.fetch(guildId);
+  const stateKey = mirrorStateKey(guildId);
+  const links = { ...(loadMetaAll()[stateKey]?.links || {}) };
+  const result = { created: 0, updated: 0, deleted: 0 };
+  // Saved after every change, so a failure halfway never loses track of events already made
+  const saveLinks = () => setMetaEntry(stateKey, { links });
+
+  for (const [pageId, payload] of wanted) {
+    const hash = JSON.stringify(payload);
+    const link = links[pageId];
+    if (link?.hash === hash) continue;
+
+    if (link) {
+      try {
+        await guild.scheduledEvents.edit(link.eventId, payload);
+        links[pageId] = { eventId: link.eventId, hash, startAt: payload.scheduledStartTime };
+        saveLinks();
+        result.updated++;
+        continue;
+      } catch (err) {
+        // Only an event deleted by hand in Discord is recreated; anything else
+        // (rate limit, outage, event already live) is retried on the next sync
+        if (!isUnknownScheduledEvent(err)) throw err;
+      }
+    }
+
+    const created = await guild.scheduledEvents.create({
+      ...payload,
+      privacyLevel: GuildScheduledEventPrivacyLevel.GuildOnly,
+      entityType: GuildScheduledEventEntityType.External,
+    });
+    links[pageId] = { eventId: created.id, hash, startAt: payload.scheduledStartTime };
+    saveLinks();
+    result.created++;
+  }
+
+  for (const [pageId, link] of Object.entries(links)) {
+    if (wanted.has(pageId)) continue;
+
+    // Past events are left alone in Discord; only upcoming ones that vanished from Notion are removed
+    if (new Date(link.startAt).getTime() > now) {
+      try {
+        await guild.scheduledEvents.delete(link.eventId);
+        result.deleted++;
+      } catch (err) {
+        // Keep the link so the next sync tries again
+        if (!isUnknownScheduledEvent(err)) {
+          logJson("warn", "mirror delete failed", { guild: guildId, event: link.eventId, error: err?.message });
+          continue;
+        }
+      }
+    }
+    delete links[pageId];
+    saveLinks();
+  }
+
+  return result;
+}
+
+function fmtMirrorResult(mirror, i18n) {
+  if (!mirror) return "";
+  if (mirror.error) return `\n${tr(i18n, "mirror.result_failed", { error: mirror.error })}`;
+  return `\n${tr(i18n, "mirror.result", mirror)}`;
+}
+
+// ======================================================
+// ICALENDAR (.ics export + per-guild subscribable feed)
+// ======================================================
+const ICS_FEED_MONTHS_BACK = 1;
+const ICS_FEED_MONTHS_AHEAD = 3;
+const ICS_EXPORT_MAX_MONTHS = 12;
+const ICS_TIMED_DURATION_MS = 2 * 60 * 60 * 1000;
+
+function newFeedToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+function icsEscape(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: lines longer than 75 octets continue on the next line after a space
+function icsFold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsDate(dateKey) {
+  return dateKey.replace(/-/g, "");
+}
+
+// Notion page IDs are stable, so calendar apps update events in place;
+// each year of a recurring row is its own event
+function icsUid(evt) {
+  return evt.recurrence ? `${evt.id}-${evt.dateKey.slice(0, 4)}@caltrix` : `${evt.id}@caltrix`;
+}
+
+function icsEvent(evt, timeZone, stamp) {
+  const start = eventStartInstant(evt, timeZone);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${icsUid(evt)}`,
+    `DTSTAMP:${stamp}`,
+  ];
+
+  if (start.timed) {
+    lines.push(`DTSTART:${icsUtc(start.at)}`);
+    lines.push(`DTEND:${icsUtc(eventEndInstant(evt, start, timeZone, ICS_TIMED_DURATION_MS))}`);
+  } else {
+    // DTEND is exclusive for all-day events
+    const firstDay = evt.startDateKey || evt.dateKey;
+    lines.push(`DTSTART;VALUE=DATE:${icsDate(firstDay)}`);
+    lines.push(`DTEND;VALUE=DATE:${icsDate(shiftDateKey(evt.endDateKey || firstDay, 1))}`);
+  }
+
+  const details = [
+    [evt.artists?.join(", "), evt.members?.join(", ")].filter(Boolean).join(" • "),
+    evt.timeText ? `Time: ${evt.timeText}` : "",
+    evt.status ? `Status: ${evt.status}` : "",
+    evt.link,
+  ].filter(Boolean);
+
+  lines.push(`SUMMARY:${icsEscape(evt.title + fmtRecurrence(evt))}`);
+  if (details.length) lines.push(`DESCRIPTION:${icsEscape(details.join("\n"))}`);
+  if (evt.location) lines.push(`LOCATION:${icsEscape(evt.location)}`);
+  if (evt.link) lines.push(`URL:${evt.link}`);
+  if (evt.type) lines.push(`CATEGORIES:${icsEscape(evt.type)}`);
+  if (/cancel/i.test(evt.status || "")) lines.push("STATUS:CANCELLED");
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+function buildIcs(events, { name = "Caltrix", timeZone = DEFAULT_TIMEZONE } = {}) {
+  const stamp = icsUtc(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Caltrix//Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+  ];
+  const seen = new Set();
+  for (const evt of events) {
+    const uid = icsUid(evt);
+    if (seen.has(uid)) continue;
+    seen.add(uid);
+    lines.push(...icsEvent(evt, timeZone, stamp));
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+async function getGuildEventsForMonths(guildId, cfg, fromMonth, toMonth) {
+  const events = [];
+  for (let mk = fromMonth; mk <= toMonth; mk = shiftMonthKey(mk, 1)) {
+    events.push(...(await getGuildMonthEvents(guildId, cfg, mk)));
+  }
+  return events;
+}
+
+async function buildGuildIcs(guildId, cfg, fromMonth, toMonth, name) {
+  const events = await getGuildEventsForMonths(guildId, cfg, fromMonth, toMonth);
+  return buildIcs(events, { name, timeZone: guildTimeZone(cfg) });
+}
+
+function findGuildByFeedToken(token) {
+  if (!token) return null;
+  const all = loadGuildConfigAll();
+  for (const [guildId, cfg] of Object.entries(all)) {
+    const stored = cfg?.ics?.token;
+    if (stored && stored.length === token.length && crypto.timingSafeEqual(Buffer.from(stored), Buffer.from(token))) {
+      return { guildId, cfg };
+    }
+  }
+  return null;
+}
+
+function feedUrl(token) {
+  const base = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+  return base ? `${base}/ics/${token}.ics` : `/ics/${token}.ics (set PUBLIC_BASE_URL for a full link)`;
+}
+
+async function handleIcsFeedRequest(req, res, token) {
+  const found = findGuildByFeedToken(token);
+  if (!found || !configuredProfiles(found.cfg).length) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("Not found");
+    return;
+  }
+
+  const { guildId, cfg } = found;
+  const thisMonth = monthKeyFromDate(new Date(), guildTimeZone(cfg));
+  const body = await buildGuildIcs(
+    guildId,
+    cfg,
+    shiftMonthKey(thisMonth, -ICS_FEED_MONTHS_BACK),
+    shiftMonthKey(thisMonth, ICS_FEED_MONTHS_AHEAD),
+    cfg.ics?.name || "Caltrix schedule"
+  );
+
+  res.writeHead(200, {
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": 'inline; filename="schedule.ics"',
+    "Cache-Control": "private, max-age=300",
+  });
+  res.end(body);
+}
+
+// ======================================================
+// HEALTH + METRICS (/healthz, /readyz, Prometheus /metrics)
+// ======================================================
+const NOTION_LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRICS = {
+  caltrix_syncs_total: { type: "counter", help: "Syncs by guild, profile, trigger and result" },
+  caltrix_sync_duration_seconds: { type: "histogram", help: "Sync duration", buckets: [1, 5, 15, 30, 60, 120] },
+  caltrix_notion_request_duration_seconds: {
+    type: "histogram",
+    help: "Notion API request latency per attempt",
+    buckets: NOTION_LATENCY_BUCKETS,
+  },
+  caltrix_notion_errors_total: { type: "counter", help: "Failed Notion API attempts by error code" },
+  caltrix_relation_cache_requests_total: { type: "counter", help: "Relation page title lookups by cache result" },
+  caltrix_discord_edit_failures_total: { type: "counter", help: "Schedule message edits Discord rejected" },
+  caltrix_discord_ready: { type: "gauge", help: "1 while the Discord gateway connection is ready" },
+  caltrix_notion_ok: { type: "gauge", help: "1 unless the last Notion request failed to get through" },
+  caltrix_uptime_seconds: { type: "gauge", help: "Seconds since the process started" },
+};
+
+// name → Map(label string → number, or { buckets, sum, count } for histograms)
+const metricSeries = new Map(Object.keys(METRICS).map((name) => [name, new Map()]));
+
+// Outcome of the last Notion request; null until the first one
+const notionHealth = { ok: null, at: null, error: null };
+
+function metricLabels(labels) {
+  const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${esc(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function incMetric(name, labels = {}, by = 1) {
+  const series = metricSeries.get(name);
+  const key = metricLabels(labels);
+  series.set(key, (series.get(key) || 0) + by);
+}
+
+function setMetric(name, labels, value) {
+  metricSeries.get(name).set(metricLabels(labels), value);
+}
+
+function observeMetric(name, labels, value) {
+  const { buckets } = METRICS[name];
+  const series = metricSeries.get(name);
+  const key = metricLabels(labels);
+  if (!series.has(key)) series.set(key, { labels, buckets: buckets.map(() => 0), sum: 0, count: 0 });
+  const h = series.get(key);
+  buckets.forEach((le, i) => {
+    if (value <= le) h.buckets[i]++;
+  });
+  h.sum += value;
+  h.count++;
+}
+
+// "/v1/databases/<id>/query" → "/v1/databases/:id/query", so IDs don't become labels
+function notionEndpoint(url) {
+  return new URL(url).pathname.replace(/[0-9a-f]{8}-?(?:[0-9a-f]{4}-?){3}[0-9a-f]{12}/gi, ":id");
+}
+
+// One Notion attempt. `status` is null for network errors. 404s and validation errors
+// are one server's config, not Notion being down, so only outages affect /readyz.
+function recordNotionAttempt(url, method, startedAt, { status, code = null, final = true }) {
+  const labels = { endpoint: notionEndpoint(url), method };
+  observeMetric("caltrix_notion_request_duration_seconds", labels, (Date.now() - startedAt) / 1000);
+
+  const ok = status != null && status < 400;
+  if (!ok) incMetric("caltrix_notion_errors_total", { code: code || (status ? `http_${status}` : "network") });
+  if (!final) return;
+
+  const outage = status == null || status === 401 || status === 429 || status >= 500;
+  notionHealth.ok = !outage;
+  notionHealth.at = new Date().toISOString();
+  notionHealth.error = outage ? code || (status ? `http_${status}` : "network") : null;
+}
+
+function renderMetrics() {
+  setMetric("caltrix_discord_ready", {}, discord.isReady() ? 1 : 0);
+  setMetric("caltrix_notion_ok", {}, notionHealth.ok === false ? 0 : 1);
+  setMetric("caltrix_uptime_seconds", {}, Math.round(process.uptime()));
+
+  const lines = [];
+  for (const [name, { type, help, buckets }] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [key, value] of metricSeries.get(name)) {
+      if (type !== "histogram") {
+        lines.push(`${name}${key} ${value}`);
+        continue;
+      }
+      let cumulative = 0;
+      buckets.forEach((le, i) => {
+        cumulative += value.buckets[i];
+        lines.push(`${name}_bucket${metricLabels({ ...value.labels, le })} ${cumulative}`);
+      });
+      lines.push(`${name}_bucket${metricLabels({ ...value.labels, le: "+Inf" })} ${value.count}`);
+      lines.push(`${name}_sum${key} ${value.sum}`, `${name}_count${key} ${value.count}`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Liveness: the process answers
+async function handleHealthz(req, res) {
+  sendJson(res, 200, { status: "ok", version: BUILD_VERSION, uptimeSeconds: Math.round(process.uptime()) });
+}
+
+// Readiness: Discord is connected and Notion answered the last request
+async function handleReadyz(req, res) {
+  const discordReady = discord.isReady();
+  const notionOk = notionHealth.ok !== false;
+  sendJson(res, discordReady && notionOk ? 200 : 503, {
+    status: discordReady && notionOk ? "ready" : "not ready",
+    discord: discordReady ? "ready" : "disconnected",
+    notion: { ok: notionOk, lastAt: notionHealth.at, error: notionHealth.error },
+  });
+}
+
+async function handleMetrics(req, res) {
+  res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+  res.end(renderMetrics());
+}
+
+// ======================================================
+// HTTP SERVER (optional; started when HTTP_PORT or PORT is set)
+// ======================================================
+const HTTP_PORT = process.env.HTTP_PORT || process.env.PORT || null;
+
+// [method, pattern, handler(req, res, ...captures)]
+const httpRoutes = [
+  ["GET", /^\/healthz$/, handleHealthz],
+  ["GET", /^\/readyz$/, handleReadyz],
+  ["GET", /^\/metrics$/, handleMetrics],
+  ["GET", /^\/ics\/([A-Za-z0-9]+)\.ics$/, handleIcsFeedRequest],
+];
+
+function startHttpServer() {
+  if (!HTTP_PORT) return null;
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    try {
+      for (const [method, pattern, handler] of httpRoutes) {
+        const m = req.method === method && pathname.match(pattern);
+        if (m) return await handler(req, res, ...m.slice(1));
+      }
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found");
+    } catch (err) {
+      logJson("error", "http request failed", { method: req.method, path: pathname, ...errorFields(err) });
+      if (!res.headersSent) res.writeHead(500, { "Content-Type": "text/plain" });
+      res.end("Internal error");
+    }
+  });
+
+  // A taken or forbidden port (EADDRINUSE, EACCES) only costs the HTTP endpoints, not the bot
+  server.on("error", (err) => {
+    logJson("error", "http server failed", { port: Number(HTTP_PORT), code: err.code || null, error: err.message });
+  });
+  server.listen(Number(HTTP_PORT), () => logJson("info", "http listening", { port: Number(HTTP_PORT) }));
+  return server;
+}
+
+// ======================================================
+// PERMISSIONS (roles per action + allowed channels, per guild)
+// ======================================================
+// Manage Server can always do everything; other members need a role granted for the action
+const PERMISSION_ACTIONS = ["sync", "preview", "archive", "events", "config", "view"];
+
+// /caltrix subcommands by action ("group sub" or "sub"); anything unlisted changes config.
+// "admin" is Manage Server only: it can hand out access or overwrite everything.
+const COMMAND_ACTIONS = {
+  sync: "sync",
+  preview: "preview",
+  archive: "archive",
+  "event done": "events",
+  config: "view",
+  history: "view",
+  doctor: "view",
+  export: "view",
+  "schema show": "view",
+  "reminder status": "view",
+  "mirror status": "view",
+  "recurring status": "view",
+  "profile list": "view",
+  "format show": "view",
+  "locale show": "view",
+  "digest status": "view",
+  "digest send": "sync",
+  "schedule status": "view",
+  "backup export": "admin",
+  "backup restore": "admin",
+  "permissions grant": "admin",
+  "permissions revoke": "admin",
+  "permissions channel": "admin",
+  "permissions show": "admin",
+};
+
+function commandAction(group, sub) {
+  return COMMAND_ACTIONS[group ? `${group} ${sub}` : sub] || "config";
+}
+
+function isServerManager(interaction) {
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+}
+
+// Interaction members carry role IDs as an array (raw) or a role manager (cached)
+function memberRoleIds(member) {
+  const roles = member?.roles;
+  return Array.isArray(roles) ? roles : [...(roles?.cache?.keys() || [])];
+}
+
+// Any granted action also lets a role look at status and settings ("view")
+function memberCan(interaction, cfg, action) {
+  if (isServerManager(interaction)) return true;
+  if (action === "admin") return false;
+
+  const granted = cfg?.permissions?.roles || {};
+  const actions = action === "view" ? PERMISSION_ACTIONS : [action];
+  const roleIds = memberRoleIds(interaction.member);
+  return actions.some((a) => (granted[a] || []).some((id) => roleIds.includes(id)));
+}
+
+// Explicit channel list, else the staff channel, else anywhere (before the first setup)
+function allowedChannels(cfg) {
+  const channels = cfg?.permissions?.channels || [];
+  if (channels.length) return channels;
+  return cfg?.staffChannelId ? [cfg.staffChannelId] : [];
+}
+
+// Threads count as their parent channel
+function isAllowedChannel(interaction, cfg) {
+  const allowed = allowedChannels(cfg);
+  if (!allowed.length) return true;
+  return allowed.includes(interaction.channelId) || allowed.includes(interaction.channel?.parentId);
+}
+
+// A denial message for this /caltrix invocation, or null when it may run
+function commandDenial(interaction, cfg) {
+  const group = interaction.options.getSubcommandGroup(false);
+  const sub = interaction.options.getSubcommand();
+  const action = commandAction(group, sub);
+  const command = `/caltrix ${group ? `${group} ${sub}` : sub}`;
+  const i18n = guildI18n(cfg);
+
+  if (!memberCan(interaction, cfg, action)) {
+    return action === "admin" ? tr(i18n, "denied.admin", { command }) : tr(i18n, "denied.action", { command, action });
+  }
+  // Admin commands work anywhere, so a wrong channel list can always be fixed
+  if (action !== "admin" && !isAllowedChannel(interaction, cfg)) {
+    const channels = allowedChannels(cfg).map((id) => `<#${id}>`).join(", ");
+    return tr(i18n, "denied.channel", { command, channels });
+  }
+  return null;
+}
+
+function fmtPermissions(cfg) {
+  const i18n = guildI18n(cfg);
+  const roles = cfg?.permissions?.roles || {};
+  const lines = PERMISSION_ACTIONS.map((action) => {
+    const ids = roles[action] || [];
+    return `• **${action}**: ${ids.length ? ids.map((id) => `<@&${id}>`).join(", ") : tr(i18n, "permissions.manage_only")}`;
+  });
+  const channels = allowedChannels(cfg);
+  const where = channels.length ? channels.map((id) => `<#${id}>`).join(", ") : tr(i18n, "permissions.any_channel");
+  const source = channels.length && !cfg?.permissions?.channels?.length ? tr(i18n, "permissions.staff_channel") : "";
+  return tr(i18n, "permissions.summary", { roles: lines.join("\n"), channels: where + source });
+}
+
+// ======================================================
+// SLASH COMMANDS (staff; access per action, see PERMISSIONS)
+// ======================================================
+// Shared by every command that works on one schedule profile
+const profileOption = (o) =>
+  o
+    .setName("profile")
+    .setDescription(`Schedule profile (default: ${DEFAULT_PROFILE})`)
+    .setAutocomplete(true)
+    .setRequired(false);
+
+const digestKindOption = (o) =>
+  o
+    .setName("kind")
+    .setDescription("Which digest")
+    .setRequired(true)
+    .addChoices({ name: "week (Mondays)", value: "week" }, { name: "today (every morning)", value: "today" });
+
+const CaltrixCommand = new SlashCommandBuilder()
+  .setName("caltrix")
+  .setDescription("Caltrix schedule bot (staff)")
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("setup")
+      .setDescription("Configure this server (staff channel + threads)")
+      .addChannelOption((o) =>
+        o
+          .setName("staff_channel")
+          .setDescription("Channel where /caltrix commands are allowed")
+          .setRequired(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("thread_this")
+          .setDescription("Thread ID for THIS month schedule")
+          .setRequired(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("thread_last")
+          .setDescription("Thread ID for LAST month schedule")
+          .setRequired(false)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("thread_next")
+          .setDescription("Thread ID for NEXT month schedule")
+          .setRequired(false)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("thread_archive")
+          .setDescription("Thread ID for ARCHIVE (optional)")
+          .setRequired(false)
+      )
+      .addStringOption((o) => profileOption(o).setDescription("Schedule profile to set up; a new name creates it"))
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("notion")
+      .setDescription("Configure Notion database for this server")
+      .addStringOption((o) =>
+        o
+          .setName("database_link")
+          .setDescription("Paste a Notion database link (the bot extracts the DB id)")
+          .setRequired(true)
+      )
+      .addStringOption(profileOption)
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("schema")
+      .setDescription("Map Notion columns to Caltrix fields")
+      .addSubcommand((sc) =>
+        sc
+          .setName("detect")
+          .setDescription("Read the database columns and save a suggested mapping")
+          .addStringOption(profileOption)
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Override the column used for one field")
+          .addStringOption((o) =>
+            o
+              .setName("field")
+              .setDescription("Caltrix field")
+              .setRequired(true)
+              .addChoices(...Object.keys(NOTION_FIELD_TYPES).map((f) => ({ name: f, value: f })))
+          )
+          .addStringOption((o) =>
+            o
+              .setName("column")
+              .setDescription("Notion column (pick from the list)")
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+          .addStringOption(profileOption)
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("show")
+          .setDescription("Show the current column mapping")
+          .addStringOption(profileOption)
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("filter")
+      .setDescription("Which Notion rows each thread shows, and how statuses render")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Set status/type filters for a scope")
+          .addStringOption((o) =>
+            o
+              .setName("scope")
+              .setDescription("default applies to every thread unless overridden")
+              .setRequired(true)
+              .addChoices(...FILTER_SCOPES.map((v) => ({ name: v, value: v })))
+          )
+          .addStringOption((o) =>
+            o
+              .setName("statuses")
+              .setDescription('Comma-separated statuses to include, or "all" (e.g. Upcoming, Done)')
+              .setRequired(false)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("include_types")
+              .setDescription('Only these types, comma-separated ("none" to clear)')
+              .setRequired(false)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("exclude_types")
+              .setDescription('Hide these types, comma-separated ("none" to clear)')
+              .setRequired(false)
+          )
+          .addStringOption(profileOption)
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("clear")
+          .setDescription("Remove the filter rules for a scope")
+          .addStringOption((o) =>
+            o
+              .setName("scope")
+              .setDescription("Scope to reset")
+              .setRequired(true)
+              .addChoices(...FILTER_SCOPES.map((v) => ({ name: v, value: v })))
+          )
+          .addStringOption(profileOption)
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("style")
+          .setDescription("How rows with a given status are rendered")
+          .addStringOption((o) =>
+            o
+              .setName("status")
+              .setDescription("Status value as written in Notion (e.g. Done)")
+              .setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("style")
+              .setDescription("plain | strike (~~text~~) | cross (❌) | flag (🚩)")
+              .setRequired(true)
+              .addChoices(...STATUS_STYLES.map((v) => ({ name: v, value: v })))
+          )
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("timezone")
+      .setDescription("Set the timezone used for month boundaries and dates")
+      .addStringOption((o) =>
+        o
+          .setName("zone")
+          .setDescription("IANA timezone (e.g. Asia/Seoul, America/New_York)")
+          .setRequired(true)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("label")
+          .setDescription("Footer label (e.g. KST). Defaults to the zone name")
+          .setRequired(false)
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("config")
+      .setDescription("Show config for this server")
+      .addStringOption(profileOption)
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("history")
+      .setDescription("Recent syncs: who, when, counts and errors")
+      .addIntegerOption((o) =>
+        o
+          .setName("limit")
+          .setDescription(`How many entries (default ${DEFAULT_HISTORY_LIMIT})`)
+          .setMinValue(1)
+          .setMaxValue(MAX_HISTORY_LIMIT)
+          .setRequired(false)
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("doctor")
+      .setDescription("Check threads, permissions and Notion access, with fixes")
+      .addStringOption(profileOption)
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("sync")
+      .setDescription("Sync from Notion and update schedule message")
+      .addStringOption((o) =>
+        o
+          .setName("scope")
+          .setDescription("this | last | next | all")
+          .setRequired(false)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("tz")
+          .setDescription("Footer label override for this sync (e.g. KST)")
+          .setRequired(false)
+      )
+      .addStringOption(profileOption)
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("preview")
+      .setDescription("Show what a sync would publish (only to you), then publish or cancel")
+      .addStringOption((o) =>
+        o
+          .setName("scope")
+          .setDescription("this | last | next | all")
+          .setRequired(false)
+      )
+      .addStringOption(profileOption)
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("archive")
+      .setDescription("Post a frozen snapshot of a month to the archive thread")
+      .addStringOption((o) =>
+        o
+          .setName("month")
+          .setDescription("Month to archive (YYYY-MM)")
+          .setRequired(true)
+      )
+      .addStringOption(profileOption)
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("reminder")
+      .setDescription("Ping roles before events start")
+      .addSubcommand((sc) =>
+        sc
+          .setName("setup")
+          .setDescription("Enable reminders in a channel")
+          .addChannelOption((o) =>
+            o
+              .setName("channel")
+              .setDescription("Channel or thread for reminder posts")
+              .setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("lead_times")
+              .setDescription("How long before each event, comma-separated (default: 24h, 1h)")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("role")
+          .setDescription("Mention a role for a type or artist (omit role to remove)")
+          .addStringOption((o) =>
+            o
+              .setName("match")
+              .setDescription("Match on event type or artist")
+              .setRequired(true)
+              .addChoices({ name: "type", value: "type" }, { name: "artist", value: "artist" })
+          )
+          .addStringOption((o) =>
+            o
+              .setName("name")
+              .setDescription("Type (e.g. Birthday) or artist name (e.g. NMIXX) as in Notion")
+              .setRequired(true)
+          )
+          .addRoleOption((o) =>
+            o
+              .setName("role")
+              .setDescription("Role to mention")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("pause").setDescription("Pause reminders")
+      )
+      .addSubcommand((sc) =>
+        sc.setName("status").setDescription("Show reminder settings")
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("export")
+      .setDescription("Download the schedule as an .ics calendar file")
+      .addStringOption((o) =>
+        o
+          .setName("from")
+          .setDescription("First month (YYYY-MM, default this month)")
+          .setRequired(false)
+      )
+      .addStringOption((o) =>
+        o
+          .setName("to")
+          .setDescription("Last month (YYYY-MM, default same as from)")
+          .setRequired(false)
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("feed")
+      .setDescription("Subscribable calendar (.ics) feed for this server")
+      .addSubcommand((sc) =>
+        sc.setName("show").setDescription("Show the feed link (creates one if needed)")
+      )
+      .addSubcommand((sc) =>
+        sc.setName("rotate").setDescription("Replace the feed link (the old link stops working)")
+      )
+      .addSubcommand((sc) =>
+        sc.setName("off").setDescription("Disable the feed")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("changelog")
+      .setDescription("Post what changed after each sync")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Post changelogs to a channel")
+          .addChannelOption((o) =>
+            o
+              .setName("channel")
+              .setDescription("Announcements channel or thread")
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("off").setDescription("Stop posting changelogs")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("mirror")
+      .setDescription("Mirror Notion rows into Discord Scheduled Events")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Enable mirroring (runs on every sync)")
+          .addStringOption((o) =>
+            o
+              .setName("types")
+              .setDescription(`Types to mirror, comma-separated (default: ${DEFAULT_MIRROR_TYPES.join(", ")})`)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("off").setDescription("Stop mirroring (existing Discord events are kept)")
+      )
+      .addSubcommand((sc) =>
+        sc.setName("status").setDescription("Show mirroring settings")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("recurring")
+      .setDescription("Yearly birthdays/anniversaries and the D-day countdown")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Repeat rows of a Type every year")
+          .addStringOption((o) =>
+            o
+              .setName("type")
+              .setDescription("Notion Type value, e.g. Birthday")
+              .setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("kind")
+              .setDescription("How the years are shown")
+              .setRequired(true)
+              .addChoices(...[...RECURRENCE_KINDS, "off"].map((v) => ({ name: v, value: v })))
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("countdown")
+          .setDescription("D-day lines for the next events in the this-month view")
+          .addIntegerOption((o) =>
+            o
+              .setName("count")
+              .setDescription("How many events (0 = off)")
+              .setMinValue(0)
+              .setMaxValue(MAX_COUNTDOWN_COUNT)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("status").setDescription("Show recurring types and countdown settings")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("event")
+      .setDescription("Change events in Notion from Discord")
+      .addSubcommand((sc) =>
+        sc
+          .setName("done")
+          .setDescription(`Set an event's Status (default ${DONE_STATUS}) and sync`)
+          .addStringOption((o) =>
+            o.setName("search").setDescription("Event title").setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((o) =>
+            o.setName("status").setDescription(`New status (default ${DONE_STATUS})`).setRequired(false)
+          )
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("permissions")
+      .setDescription("Which roles may use which /caltrix actions, and where (Manage Server only)")
+      .addSubcommand((sc) =>
+        sc
+          .setName("grant")
+          .setDescription("Let a role use an action")
+          .addRoleOption((o) => o.setName("role").setDescription("Role").setRequired(true))
+          .addStringOption((o) =>
+            o
+              .setName("action")
+              .setDescription("What the role may do")
+              .setRequired(true)
+              .addChoices(...PERMISSION_ACTIONS.map((a) => ({ name: a, value: a })))
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("revoke")
+          .setDescription("Take an action away from a role")
+          .addRoleOption((o) => o.setName("role").setDescription("Role").setRequired(true))
+          .addStringOption((o) =>
+            o
+              .setName("action")
+              .setDescription("Action to remove")
+              .setRequired(true)
+              .addChoices(...PERMISSION_ACTIONS.map((a) => ({ name: a, value: a })))
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("channel")
+          .setDescription("Allow or disallow /caltrix in a channel (default: staff channel only)")
+          .addChannelOption((o) => o.setName("channel").setDescription("Channel").setRequired(true))
+          .addBooleanOption((o) =>
+            o.setName("allowed").setDescription("Allow commands there").setRequired(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("show").setDescription("Show roles per action and allowed channels")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("backup")
+      .setDescription("Export or import this server's config and message bindings")
+      .addSubcommand((sc) =>
+        sc.setName("export").setDescription("Download this server's config and message bindings as JSON")
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("restore")
+          .setDescription("Replace this server's config with a backup (confirmed first)")
+          .addAttachmentOption((o) =>
+            o.setName("file").setDescription("JSON file from /caltrix backup export").setRequired(true)
+          )
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("profile")
+      .setDescription("Separate schedules (database, filters, threads) in one server")
+      .addSubcommand((sc) =>
+        sc.setName("list").setDescription("List this server's schedule profiles")
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("remove")
+          .setDescription("Delete a profile (its posted messages stay in the threads)")
+          .addStringOption((o) => profileOption(o).setRequired(true))
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("format")
+      .setDescription("Line template, header/footer, grouping and colors (previewed before saving)")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Change the layout; `default` resets a field")
+          .addStringOption((o) =>
+            o
+              .setName("line")
+              .setDescription("Line template, e.g. [{date} | {time}] {emoji} {title} — {artist} • {link}")
+              .setMaxLength(300)
+              .setRequired(false)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("header")
+              .setDescription("Embed title, placeholders {heading} {month}")
+              .setMaxLength(200)
+              .setRequired(false)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("footer")
+              .setDescription("Embed footer, placeholders {note} {tz}")
+              .setMaxLength(200)
+              .setRequired(false)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("group")
+              .setDescription("Group lines by day, week or type")
+              .setRequired(false)
+              .addChoices(...FORMAT_GROUPS.map((v) => ({ name: v, value: v })))
+          )
+          .addStringOption((o) =>
+            o
+              .setName("color")
+              .setDescription("Embed color, e.g. #FF66AA")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("type")
+          .setDescription("Emoji and color for one Type; `default` resets")
+          .addStringOption((o) =>
+            o
+              .setName("type")
+              .setDescription("Notion Type value, e.g. Comeback")
+              .setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("emoji")
+              .setDescription("Emoji shown for {emoji} (`none` hides it)")
+              .setMaxLength(64)
+              .setRequired(false)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("color")
+              .setDescription("Embed color when grouped by type, e.g. #FF66AA")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("reset").setDescription("Go back to the built-in layout")
+      )
+      .addSubcommand((sc) =>
+        sc.setName("show").setDescription("Show the current format settings")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("locale")
+      .setDescription("Language of schedules and member replies, and custom phrases")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Choose the server language")
+          .addStringOption((o) =>
+            o
+              .setName("language")
+              .setDescription("Language")
+              .setRequired(true)
+              .addChoices(...Object.entries(LOCALES).map(([value, name]) => ({ name, value })))
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("string")
+          .setDescription("Replace one phrase; `default` restores it")
+          .addStringOption((o) =>
+            o.setName("key").setDescription("Phrase to replace").setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("text")
+              .setDescription("New text (placeholders like {count} as in the original)")
+              .setMaxLength(LOCALE_STRING_MAX_LENGTH)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("show").setDescription("Show the language and replaced phrases")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("digest")
+      .setDescription("Weekly and daily digest posts next to the monthly threads")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Turn on (or change) a digest")
+          .addStringOption(digestKindOption)
+          .addChannelOption((o) =>
+            o.setName("channel").setDescription("Channel or thread to post in").setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("mode")
+              .setDescription("New message each time (default) or one message kept up to date")
+              .setRequired(false)
+              .addChoices({ name: "post", value: "post" }, { name: "edit", value: "edit" })
+          )
+          .addStringOption((o) =>
+            o
+              .setName("time")
+              .setDescription("Local time HH:MM (default 09:00 weekly, 08:00 daily)")
+              .setRequired(false)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("types")
+              .setDescription("Today only: types to list, comma-separated (`all`, `default` = Birthday, Release)")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("off").setDescription("Turn a digest off").addStringOption(digestKindOption)
+      )
+      .addSubcommand((sc) =>
+        sc.setName("send").setDescription("Post a digest now").addStringOption(digestKindOption)
+      )
+      .addSubcommand((sc) =>
+        sc.setName("status").setDescription("Show digest settings")
+      )
+  )
+
+  .addSubcommandGroup((g) =>
+    g
+      .setName("schedule")
+      .setDescription("Automatic sync for this server")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Enable (or update) automatic sync")
+          .addIntegerOption((o) =>
+            o
+              .setName("interval_minutes")
+              .setDescription("How often to sync (minutes)")
+              .setMinValue(MIN_SYNC_INTERVAL_MINUTES)
+              .setMaxValue(24 * 60)
+              .setRequired(true)
+          )
+          .addStringOption((o) =>
+            o
+              .setName("rollover_time")
+              .setDescription(`Daily time (HH:MM) when the months move over (default ${DEFAULT_ROLLOVER_TIME})`)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("pause").setDescription("Pause automatic sync")
+      )
+      .addSubcommand((sc) =>
+        sc.setName("status").setDescription("Show automatic sync status")
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("review")
+          .setDescription("Review mode: publish only through /caltrix preview")
+          .addBooleanOption((o) =>
+            o
+              .setName("enabled")
+              .setDescription("Require a preview before anything is published")
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("alerts")
+          .setDescription("Post a message when syncs start failing (and recover)")
+          .addChannelOption((o) =>
+            o
+              .setName("channel")
+              .setDescription("Log channel; leave empty to turn alerts off")
+              .setRequired(false)
+          )
+      )
+  );
+
+// ======================================================
+// PREVIEWS (ephemeral, confirmed with buttons)
+// ======================================================
+const PENDING_TTL_MS = 10 * 60 * 1000;
+// token → { kind, guildId, userId, data, expiresAt }
+const pendingActions = new Map();
+
+// Keeps `data` until the admin presses a button; customIds are `${kind}:${action}:${token}`
+function stagePending(kind, guildId, userId, data) {
+  const now = Date.now();
+  for (const [token, p] of pendingActions) {
+    if (p.expiresAt < now) pendingActions.delete(token);
+  }
+  const token = crypto.randomBytes(6).toString("hex");
+  pendingActions.set(token, { kind, guildId, userId, data, expiresAt: now + PENDING_TTL_MS });
+  return token;
+}
+
+function confirmButtons(kind, token, confirmLabel, i18n) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`${kind}:confirm:${token}`).setLabel(confirmLabel).setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`${kind}:cancel:${token}`)
+      .setLabel(tr(i18n, "button.cancel"))
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// Claims a pending action for a button press; replies and returns null when it cannot be used
+async function takePending(interaction, kind, token, { command }) {
+  const i18n = guildI18n(getGuildCfg(interaction.guildId));
+  const pending = pendingActions.get(token);
+  if (!pending || pending.kind !== kind || pending.expiresAt < Date.now() || pending.guildId !== interaction.guildId) {
+    await interaction.update({ content: tr(i18n, "pending.expired", { command }), embeds: [], components: [] });
+    return null;
+  }
+  if (pending.userId !== interaction.user.id) {
+    await interaction.reply({ content: tr(i18n, "pending.not_yours"), ephemeral: true });
+    return null;
+  }
+  pendingActions.delete(token);
+  return pending;
+}
+
+// Stand-in rows for servers without events this month
+function sampleEvents(monthKey) {
+  const day = (d) => `${monthKey}-${pad2(d)}`;
+  const row = (id, d, fields) => ({
+    id,
+    status: "Upcoming",
+    dateKey: day(d),
+    startDateKey: day(d),
+    endDateKey: null,
+    continued: false,
+    allDay: true,
+    startTime: "",
+    timeText: "",
+    location: "",
+    link: "",
+    artistText: "",
+    memberText: "",
+    ...fields,
+  });
+  return [
+    row("sample-1", 7, { title: "World Tour", type: "Concert", timeText: "19:00", artistText: "NMIXX", location: "Seoul" }),
+    row("sample-2", 12, { title: "Haewon", type: "Birthday", recurrence: { kind: "birthday", years: 22 } }),
+    row("sample-3", 20, { title: "Mini Album", type: "Comeback", artistText: "NMIXX", link: "https://www.notion.so" }),
+  ];
+}
+
+// Renders this month with the candidate format (first message only)
+async function buildFormatPreview(guildId, cfg, format) {
+  const render = guildRenderOptions({ ...cfg, format: format || undefined });
+  const monthKey = monthKeyFromDate(new Date(), render.timeZone);
+
+  let events = [];
+  if (configuredProfiles(cfg).length) {
+    events = await getGuildMonthEvents(guildId, cfg, monthKey).catch((err) => {
+      logJson("warn", "format preview query failed", { guild: guildId, error: err?.message });
+      return [];
+    });
+  }
+
+  const sample = !events.length;
+  const batches = packEmbedsIntoMessages(
+    buildEmbeds(monthKey, sample ? sampleEvents(monthKey) : events, {
+      ...render,
+      countdown: { today: dateKeyFromDate(new Date(), render.timeZone), count: countdownCount(cfg) },
+    })
+  );
+  return { embeds: batches[0], sample, more: batches.length - 1 };
+}
+
+async function replyWithFormatPreview(interaction, cfg, format) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const i18n = guildI18n(cfg);
+  const preview = await buildFormatPreview(interaction.guildId, cfg, format);
+  // `format: null` means reset
+  const token = stagePending("format", interaction.guildId, interaction.user.id, { format });
+
+  const notes = [tr(i18n, "format.preview")];
+  if (preview.sample) notes.push(tr(i18n, "format.sample"));
+  if (preview.more) notes.push(tr(i18n, "format.more", { count: preview.more }));
+
+  await interaction.editReply({
+    content: notes.join("\n"),
+    embeds: preview.embeds,
+    components: [confirmButtons("format", token, tr(i18n, "button.save"), i18n)],
+  });
+}
+
+async function handleFormatButton(interaction, action, token) {
+  const pending = await takePending(interaction, "format", token, { command: "/caltrix format" });
+  if (!pending) return;
+
+  const i18n = guildI18n(getGuildCfg(pending.guildId));
+  if (action !== "confirm") {
+    await interaction.update({ content: tr(i18n, "format.discarded"), embeds: [], components: [] });
+    return;
+  }
+
+  // Replaced whole so fields reset to default don't come back from the stored
+  // section; `undefined` drops it (reset)
+  replaceGuildSection(pending.guildId, "format", pending.data.format || undefined);
+  await interaction.update({ content: tr(i18n, "format.saved"), embeds: [], components: [] });
+}
+
+// Rows left out or rendered oddly, for the admin to fix in Notion before publishing
+async function previewWarnings(cfg, steps, renders) {
+  const i18n = guildI18n(cfg);
+  const props = resolveNotionProps(cfg);
+  const known = new Set([...Object.keys(resolveFormat(cfg).emojis), ...Object.keys(resolveRecurringTypes(cfg))]);
+  const events = renders.flatMap((r) => r.events);
+  const titles = (list) => fmtNameList([...new Set(list.map((e) => e.title))], 5);
+  const warnings = [];
+
+  // Notion leaves rows without a Date out of every date filter, so ask for them separately
+  const filter = steps.find((s) => s.scope === "this")?.options.filter || steps[0].options.filter;
+  const undated = await notionDbQuery(cfg.notion.databaseId, {
+    filter: {
+      and: [...buildNotionFilters(props, filter), { property: props.date.name, date: { is_empty: true } }],
+    },
+    page_size: 25,
+  });
+  if (undated.results?.length) {
+    const names = undated.results.map((page) => titlePlain(page.properties?.[props.title.name]) || "(Untitled)");
+    const count = `${undated.results.length}${undated.has_more ? "+" : ""}`;
+    warnings.push(trCount(i18n, "preview.undated", count, { titles: fmtNameList(names, 5) }));
+  }
+
+  if (props.type) {
+    const unknown = events.filter((e) => !e.type || !known.has(e.type));
+    const values = [...new Set(unknown.map((e) => e.type || "(empty)"))];
+    if (unknown.length) {
+      warnings.push(tr(i18n, "preview.unknown_type", { types: values.join(", "), titles: titles(unknown) }));
+    }
+  }
+
+  if (props.artist) {
+    const noArtist = events.filter((e) => !e.artists?.length && !e.recurrence && !e.unresolvedRelations);
+    if (noArtist.length) warnings.push(tr(i18n, "preview.no_artist", { titles: titles(noArtist) }));
+  }
+
+  const unreadable = events.filter((e) => e.unresolvedRelations > 0);
+  if (unreadable.length) {
+    warnings.push(tr(i18n, "preview.unshared_relations", { titles: titles(unreadable) }));
+  }
+
+  return warnings;
+}
+
+// Renders the scopes a sync would publish and shows them only to the admin
+async function replyWithSchedulePreview(interaction, cfg, scope) {
+  const guildId = interaction.guildId;
+  const i18n = guildI18n(cfg);
+  await interaction.deferReply({ ephemeral: true });
+
+  const { anchor, steps } = syncPlan(guildId, cfg, { scope, monthKey: currentMonthKey(cfg) });
+  const active = steps.filter((s) => s.threadId);
+  if (!active.length) {
+    await interaction.editReply(tr(i18n, "preview.no_thread", { hint: profileHint(cfg.profile) }));
+    return;
+  }
+
+  const renders = [];
+  for (const step of active) {
+    renders.push(await renderSchedule(cfg.notion.databaseId, step.monthKey, step.options));
+  }
+  const warnings = await previewWarnings(cfg, active, renders);
+
+  const rendered = Object.fromEntries(active.map((step, i) => [step.scope, renders[i]]));
+  const token = stagePending("preview", guildId, interaction.user.id, { profile: cfg.profile, scope, anchor, rendered });
+
+  const summary = active.map((step, i) => `${step.scope} (${step.monthKey}): ${renders[i].events.length}`).join(" • ");
+  const profile = cfg.profile !== DEFAULT_PROFILE ? ` (${cfg.profile})` : "";
+  const lines = [tr(i18n, "preview.title", { profile, summary }), tr(i18n, "preview.note")];
+  if (warnings.length) lines.push("", tr(i18n, "preview.warnings"), ...warnings.map((w) => `⚠️ ${w}`));
+  else lines.push(tr(i18n, "preview.no_warnings"));
+
+  await interaction.editReply({
+    content: clip(lines.join("\n"), PUBLIC_REPLY_MAX_LENGTH),
+    components: [confirmButtons("preview", token, tr(i18n, "button.publish"), i18n)],
+  });
+
+  // Each scope's messages follow, exactly as they would be posted
+  for (const r of renders) {
+    for (const batch of r.batches) await interaction.followUp({ embeds: batch, ephemeral: true });
+  }
+}
+
+async function handlePreviewButton(interaction, action, token) {
+  const pending = await takePending(interaction, "preview", token, { command: "/caltrix preview" });
+  if (!pending) return;
+
+  const guildCfg = getGuildCfg(pending.guildId);
+  const i18n = guildI18n(guildCfg);
+  if (action !== "confirm") {
+    await interaction.update({ content: tr(i18n, "preview.discarded"), components: [] });
+    return;
+  }
+  // Publishing is a sync: `preview` alone only lets a member look, and review
+  // mode relies on someone with `sync` signing off on what goes live
+  if (!memberCan(interaction, guildCfg, "sync")) {
+    await interaction.update({
+      content: tr(i18n, "denied.action", { command: "/caltrix sync", action: "sync" }),
+      components: [],
+    });
+    return;
+  }
+
+  const { profile, scope, anchor, rendered } = pending.data;
+  const cfg = requireGuildCfg(pending.guildId, profile);
+  await interaction.update({ content: tr(i18n, "preview.publishing"), components: [] });
+
+  const { months, counts, mirror } = await syncGuild(discord, pending.guildId, cfg, {
+    scope,
+    monthKey: anchor,
+    rendered,
+    actor: interaction.user.id,
+    via: "preview",
+  });
+  const published = Object.keys(rendered)
+    .map((s) => `${s} (${months[s]}): ${counts[s]}`)
+    .join(" • ");
+  await interaction.editReply(tr(i18n, "preview.published", { months: published }) + fmtMirrorResult(mirror, i18n));
+}
+
+function fmtFormatSettings(cfg) {
+  const i18n = guildI18n(cfg);
+  const f = resolveFormat(cfg);
+  const hex = (n) => (n == null ? tr(i18n, "common.none") : `#${n.toString(16).padStart(6, "0")}`);
+  const types = [...new Set([...Object.keys(f.emojis), ...Object.keys(f.colors)])]
+    .map((t) => `${t}: ${f.emojis[t] || tr(i18n, "format.no_emoji")}${f.colors[t] != null ? ` ${hex(f.colors[t])}` : ""}`)
+    .join(", ");
+  // Placeholders are passed as literal text so tr() leaves the braces alone
+  return tr(i18n, "format.settings", {
+    line: f.line ? `\`${f.line}\`` : tr(i18n, "format.built_in"),
+    header: `\`${f.header}\``,
+    footer: `\`${f.footer}\``,
+    group: f.group,
+    color: hex(f.color),
+    types,
+    placeholders: LINE_PLACEHOLDERS.map((p) => `{${p}}`).join(" "),
+  });
+}
+
+// ======================================================
+// DIAGNOSTICS (setup validation + /caltrix doctor)
+// ======================================================
+const THREAD_LABELS = {
+  thisMonth: "check.thread_this",
+  lastMonth: "check.thread_last",
+  nextMonth: "check.thread_next",
+  archive: "check.thread_archive",
+};
+// Posting embeds in a thread and fetching them back to edit on later syncs
+const THREAD_PERMISSIONS = {
+  ViewChannel: "View Channel",
+  SendMessagesInThreads: "Send Messages in Threads",
+  EmbedLinks: "Embed Links",
+  ReadMessageHistory: "Read Message History",
+};
+// Discord API error codes
+const UNKNOWN_CHANNEL = 10003;
+const MISSING_ACCESS = 50001;
+
+// One line of a diagnostics report
+function check(ok, label, fix = "") {
+  return { ok, label, fix };
+}
+
+async function checkThread(discord, guildId, threadId, label, i18n) {
+  const fail = (key, values = {}) => check(false, label, tr(i18n, key, { id: threadId, ...values }));
+  if (!/^\d{17,20}$/.test(String(threadId))) return fail("check.not_thread_id");
+
+  let channel;
+  try {
+    channel = await discord.channels.fetch(threadId);
+  } catch (err) {
+    if (err.code !== UNKNOWN_CHANNEL && err.code !== MISSING_ACCESS) throw err;
+  }
+  if (!channel) return fail("check.thread_not_found");
+  if (channel.guildId !== guildId) return fail("check.thread_other_server");
+  if (!channel.isThread()) return fail("check.not_a_thread");
+
+  const me = channel.guild.members.me || (await channel.guild.members.fetchMe());
+  const perms = channel.permissionsFor(me);
+  const missing = Object.entries(THREAD_PERMISSIONS)
+    .filter(([flag]) => !perms?.has(PermissionFlagsBits[flag]))
+    .map(([, name]) => name);
+  if (missing.length) return fail("check.thread_permissions", { permissions: missing.join(", "), parent: channel.parentId });
+  // Locked threads reject edits from anyone without Manage Threads
+  if (channel.locked && !perms.has(PermissionFlagsBits.ManageThreads)) return fail("check.thread_locked");
+  return check(true, `${label} <#${threadId}>`);
+}
+
+async function checkThreads(discord, guildId, threads, i18n) {
+  const results = [];
+  for (const [key, labelKey] of Object.entries(THREAD_LABELS)) {
+    if (threads?.[key]) results.push(await checkThread(discord, guildId, threads[key], tr(i18n, labelKey), i18n));
+  }
+  return results;
+}
+
+// A concrete fix for Notion errors a staff member can act on; null for anything else
+const NOTION_ERROR_FIXES = {
+  object_not_found: "notion_error.not_shared",
+  unauthorized: "notion_error.unauthorized",
+  restricted_resource: "notion_error.restricted",
+  validation_error: "notion_error.validation",
+};
+
+function notionErrorFix(err, i18n = DEFAULT_I18N, hint = "") {
+  const key = NOTION_ERROR_FIXES[err?.notionCode];
+  if (!key) return null;
+  const integration = process.env.NOTION_INTEGRATION_NAME || "Caltrix";
+  return tr(i18n, key, { integration, message: err.message, hint });
+}
+
+// Access, column mapping and a one-row test query
+async function checkNotionDatabase(databaseId, props, i18n, hint = "") {
+  let columns;
+  try {
+    columns = await getDatabaseColumns(databaseId, { fresh: true });
+  } catch (err) {
+    const fix = notionErrorFix(err, i18n, hint);
+    if (!fix) throw err;
+    return [check(false, tr(i18n, "check.notion_access"), fix)];
+  }
+  const results = [check(true, tr(i18n, "check.notion_access"))];
+
+  // Required fields get a line each; the optional ones share one
+  const problems = [];
+  const optional = [];
+  for (const field of Object.keys(NOTION_FIELD_TYPES)) {
+    const spec = props[field];
+    const type = spec && columns[spec.name];
+    const required = REQUIRED_NOTION_FIELDS.includes(field);
+    if (spec && type === spec.type) continue;
+
+    if (!required) {
+      if (spec) optional.push(`\`${spec.name}\` (${field})`);
+      continue;
+    }
+    const values = { hint, field, column: spec?.name, type };
+    const fix = tr(i18n, !spec ? "check.column_unmapped" : type ? "check.column_type" : "check.column_missing", values);
+    problems.push(check(false, tr(i18n, "check.column", { field }), fix));
+  }
+  if (optional.length) {
+    problems.push(
+      check(false, tr(i18n, "check.optional_columns"), tr(i18n, "check.optional_fix", { columns: optional.join(", "), hint }))
+    );
+  }
+  results.push(...(problems.length ? problems : [check(true, tr(i18n, "check.column_mapping"))]));
+
+  try {
+    await notionDbQuery(databaseId, { page_size: 1 });
+    results.push(check(true, tr(i18n, "check.test_query")));
+  } catch (err) {
+    const fix = notionErrorFix(err, i18n, hint);
+    if (!fix) throw err;
+    results.push(check(false, tr(i18n, "check.test_query"), fix));
+  }
+  return results;
+}
+
+async function runDiagnostics(discord, guildId, profile) {
+  const cfg = getGuildCfg(guildId);
+  const i18n = guildI18n(cfg);
+  const view = profileCfg(cfg, profile);
+  const hint = profileHint(profile);
+  const runSetup = tr(i18n, "check.run_setup", { hint });
+
+  const results = [
+    cfg?.staffChannelId
+      ? check(true, `${tr(i18n, "check.staff_channel")} <#${cfg.staffChannelId}>`)
+      : check(false, tr(i18n, "check.staff_channel"), runSetup),
+  ];
+  if (!view) {
+    results.push(check(false, tr(i18n, "check.profile", { profile }), tr(i18n, "check.create_profile", { hint })));
+    return results;
+  }
+
+  if (!view.threads?.thisMonth) results.push(check(false, tr(i18n, THREAD_LABELS.thisMonth), runSetup));
+  results.push(...(await checkThreads(discord, guildId, view.threads, i18n)));
+
+  if (!view.notion?.databaseId) {
+    results.push(check(false, tr(i18n, "check.notion_database"), tr(i18n, "check.run_notion", { hint })));
+  } else {
+    results.push(...(await checkNotionDatabase(view.notion.databaseId, resolveNotionProps(view), i18n, hint)));
+  }
+  return results;
+}
+
+function fmtChecks(results, i18n) {
+  const failed = results.filter((r) => !r.ok).length;
+  const lines = results.map((r) => (r.ok ? `✅ ${r.label}` : `❌ ${r.label} — ${r.fix}`));
+  const summary = failed ? trCount(i18n, "check.problems", failed) : tr(i18n, "check.all_passed");
+  return clip(`${lines.join("\n")}\n\n${summary}`, 1900);
+}
+
+// ======================================================
+// BACKUP + RESTORE (one guild's config and message bindings as JSON)
+// ======================================================
+const BACKUP_MAX_BYTES = 2 * 1024 * 1024;
+
+// Meta entries (message IDs, schedule/archive/reminder state) are keyed `${guildId}:…`
+function isGuildMetaKey(guildId, key) {
+  return key.startsWith(`${guildId}:`);
+}
+
+function buildBackup(guildId) {
+  const meta = Object.fromEntries(Object.entries(loadMetaAll()).filter(([key]) => isGuildMetaKey(guildId, key)));
+  return {
+    caltrix: "backup",
+    guildId,
+    exportedAt: new Date().toISOString(),
+    versions: { config: guildStore.version, meta: metaStore.version },
+    config: getGuildCfg(guildId) || {},
+    meta,
+  };
+}
+
+// Validates a backup file for this guild and migrates it to the current schema
+function parseBackup(text, guildId) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw localizedError("backup.not_json");
+  }
+  if (backup?.caltrix !== "backup" || !isPlainObject(backup.config) || !isPlainObject(backup.meta)) {
+    throw localizedError("backup.not_backup");
+  }
+  if (backup.guildId !== guildId) throw localizedError("backup.other_server");
+
+  const versions = { config: 0, meta: 0, ...(backup.versions || {}) };
+  if (versions.config > guildStore.version || versions.meta > metaStore.version) {
+    throw localizedError("backup.newer");
+  }
+  const meta = Object.fromEntries(Object.entries(backup.meta).filter(([key]) => isGuildMetaKey(guildId, key)));
+  return {
+    exportedAt: backup.exportedAt || "unknown",
+    config: migrateData(GUILD_CFG_MIGRATIONS, { [guildId]: backup.config }, versions.config)[guildId],
+    meta: migrateData(META_MIGRATIONS, meta, versions.meta),
+  };
+}
+
+// Replaces (not merges) the guild's config and all of its meta entries
+function restoreBackup(guildId, { config, meta }) {
+  guildStore.update((all) => {
+    all[guildId] = config;
+  });
+  metaStore.update((all) => {
+    for (const key of Object.keys(all)) {
+      if (isGuildMetaKey(guildId, key)) delete all[key];
+    }
+    Object.assign(all, meta);
+  });
+  invalidateGuildEventCache(guildId);
+}
+
+function fmtBackupSummary(backup, i18n) {
+  const profiles = profileNames(backup.config);
+  return tr(i18n, "backup.summary", {
+    exportedAt: backup.exportedAt,
+    profiles: profiles.length ? profiles.join(", ") : tr(i18n, "common.none"),
+    entries: Object.keys(backup.meta).length,
+  });
+}
+
+async function handleRestoreButton(interaction, action, token) {
+  const pending = await takePending(interaction, "restore", token, { command: "/caltrix backup restore" });
+  if (!pending) return;
+
+  if (action !== "confirm") {
+    const i18n = guildI18n(getGuildCfg(pending.guildId));
+    await interaction.update({ content: tr(i18n, "backup.cancelled"), components: [] });
+    return;
+  }
+
+  restoreBackup(pending.guildId, pending.data);
+  // In the restored config's language
+  const i18n = guildI18n(getGuildCfg(pending.guildId));
+  await interaction.update({ content: tr(i18n, "backup.restored"), components: [] });
+}
+
+// ======================================================
+// SUBMISSIONS (member events → staff approval card → Notion)
+// ======================================================
+// Cards can wait for days, so submissions live on disk instead of in pendingActions
+const SUBMISSIONS_FILE = path.join(DATA_DIR, "submissions.json");
+const SUBMISSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SUBMISSION_FIELDS = ["title", "date", "type", "artist", "link"];
+const SUBMISSION_COLORS = { pending: 0xfee75c, approved: 0x57f287, rejected: 0xed4245 };
+
+const submissionStore = createStore(SUBMISSIONS_FILE, { migrations: [(data) => data], required: false });
+
+function loadSubmissions() {
+  return submissionStore.read();
+}
+
+function saveSubmission(submission) {
+  const now = Date.now();
+  submissionStore.update((all) => {
+    for (const [id, s] of Object.entries(all)) {
+      if (now - new Date(s.createdAt).getTime() > SUBMISSION_TTL_MS) delete all[id];
+    }
+    all[submission.id] = submission;
+  });
+}
+
+function deleteSubmission(id) {
+  submissionStore.update((all) => {
+    delete all[id];
+  });
+}
+
+// Real calendar days only (rejects 2026-02-30)
+function isDateKey(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// "2026-03-17", "2026-03-17 19:00" or "2026-03-17 to 2026-03-19" → Notion date parts
+function parseSubmissionDate(text, timeZone) {
+  const value = String(text || "").trim();
+
+  const range = value.match(/^(\S+)\s+(?:to|-|–|~)\s+(\S+)$/i);
+  if (range) {
+    const [, start, end] = range;
+    return isDateKey(start) && isDateKey(end) && end > start ? { start, end } : null;
+  }
+
+  const timed = value.match(/^(\S+)\s+(\S+)$/);
+  if (timed) {
+    const t = parseHHMM(timed[2]);
+    if (!isDateKey(timed[1]) || !t) return null;
+    return { start: `${timed[1]}T${pad2(t.hours)}:${pad2(t.minutes)}:00`, timeZone };
+  }
+
+  return isDateKey(value) ? { start: value } : null;
+}
+
+// Submissions go to the default profile unless the member picked another
+function submissionProfile(cfg, requested) {
+  const views = configuredProfiles(cfg);
+  if (requested) return views.find((v) => v.profile === normalizeProfileName(requested)) || null;
+  return views.find((v) => v.profile === DEFAULT_PROFILE) || views[0] || null;
+}
+
+function submissionModal(customId, heading, i18n, fields = {}) {
+  const input = (id, label, { required = false, placeholder, max = 200 } = {}) => {
+    const field = new TextInputBuilder()
+      .setCustomId(id)
+      .setLabel(label)
+      .setStyle(TextInputStyle.Short)
+      .setRequired(required)
+      .setMaxLength(max);
+    if (placeholder) field.setPlaceholder(placeholder);
+    if (fields[id]) field.setValue(fields[id]);
+    return new ActionRowBuilder().addComponents(field);
+  };
+  return new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle(heading)
+    .addComponents(
+      input("title", tr(i18n, "submit.field.title"), { required: true }),
+      input("date", tr(i18n, "submit.field.date"), { required: true, placeholder: tr(i18n, "submit.hint.date") }),
+      input("type", tr(i18n, "submit.field.type"), { placeholder: Object.keys(DEFAULT_TYPE_EMOJI).slice(0, 4).join(", ") }),
+      input("artist", tr(i18n, "submit.field.artist"), { placeholder: tr(i18n, "submit.hint.artist") }),
+      input("link", tr(i18n, "submit.field.link"), { placeholder: "https://…", max: 500 })
+    );
+}
+
+// Trimmed modal values, or an error message for the member
+function readSubmissionFields(interaction, timeZone, i18n) {
+  const fields = {};
+  for (const id of SUBMISSION_FIELDS) fields[id] = interaction.fields.getTextInputValue(id).trim();
+
+  if (!parseSubmissionDate(fields.date, timeZone)) {
+    return { error: tr(i18n, "submit.bad_date") };
+  }
+  if (fields.link && !/^https?:\/\/\S+$/i.test(fields.link)) {
+    return { error: tr(i18n, "submit.bad_link") };
+  }
+  return { fields };
+}
+
+function submissionButtons(id, i18n) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`submit:approve:${id}`).setLabel(tr(i18n, "button.approve")).setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`submit:edit:${id}`).setLabel(tr(i18n, "button.edit")).setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`submit:reject:${id}`).setLabel(tr(i18n, "button.reject")).setStyle(ButtonStyle.Danger)
+  );
+}
+
+function submissionCard(submission, { state = "pending", note = "", i18n = DEFAULT_I18N } = {}) {
+  const { fields } = submission;
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 ${clip(fields.title, EMBED_TITLE_LIMIT - 3)}`)
+    .setColor(SUBMISSION_COLORS[state])
+    .addFields(
+      { name: tr(i18n, "submit.field.date"), value: fields.date, inline: true },
+      { name: tr(i18n, "submit.field.type"), value: fields.type || "—", inline: true },
+      { name: tr(i18n, "submit.field.artist"), value: fields.artist || "—", inline: true },
+      { name: tr(i18n, "submit.field.link"), value: fields.link || "—" }
+    )
+    .setFooter({ text: profileHint(submission.profile).trim() || tr(i18n, "submit.card_footer") });
+  return {
+    content: tr(i18n, "submit.card_by", { user: `<@${submission.userId}>` }) + (note ? `\n${note}` : ""),
+    embeds: [embed],
+    components: state === "pending" ? [submissionButtons(submission.id, i18n)] : [],
+    allowedMentions: { parse: [] },
+  };
+}
+
+// Relation columns link pages by ID, so each name is looked up by title in the related database
+async function findRelatedPageIds(databaseId, columnName, names) {
+  const db = await notionGetDatabase(databaseId);
+  const relatedId = db.properties?.[columnName]?.relation?.database_id;
+  if (!relatedId) throw localizedError("error.not_relation", { column: columnName });
+
+  const related = await notionGetDatabase(relatedId);
+  const titleColumn = Object.keys(related.properties || {}).find((k) => related.properties[k].type === "title");
+
+  const ids = [];
+  const missing = [];
+  for (const name of names) {
+    const res = await notionDbQuery(relatedId, { filter: { property: titleColumn, title: { contains: name } }, page_size: 10 });
+    const page = (res.results || []).find((p) => firstTitleFromPage(p).trim().toLowerCase() === name.toLowerCase());
+    if (page) ids.push(page.id);
+    else missing.push(name);
+  }
+  return { ids, missing };
+}
+
+// Notion properties for an approved submission; throws when an artist has no page
+async function submissionProperties(view, fields) {
+  const props = resolveNotionProps(view);
+  const properties = {
+    [props.title.name]: notionPropertyValue(props.title, fields.title),
+    [props.date.name]: notionPropertyValue(props.date, parseSubmissionDate(fields.date, guildTimeZone(view))),
+  };
+
+  if (fields.type && props.type) properties[props.type.name] = notionPropertyValue(props.type, fields.type);
+  if (fields.link && props.link) properties[props.link.name] = notionPropertyValue(props.link, fields.link);
+
+  if (fields.artist && props.artist) {
+    let value = fields.artist;
+    if (props.artist.type === "relation") {
+      const { ids, missing } = await findRelatedPageIds(view.notion.databaseId, props.artist.name, parseList(fields.artist));
+      if (missing.length) {
+        throw localizedError("submit.no_artist_page", { names: missing.map((n) => `\`${n}\``).join(", ") });
+      }
+      value = ids;
+    }
+    properties[props.artist.name] = notionPropertyValue(props.artist, value);
+  }
+
+  // New rows get the first status the schedule shows, so they appear on the next sync
+  const status = resolveScopeFilter(view, "this").statuses?.[0];
+  if (status && props.status) properties[props.status.name] = notionPropertyValue(props.status, status);
+
+  return properties;
+}
+
+// Syncs a profile after a write, unless review mode holds publishing
+async function syncAfterWrite(guildId, view, { actor, via }) {
+  const i18n = guildI18n(view);
+  invalidateGuildEventCache(guildId);
+  if (isReviewRequired(view)) return tr(i18n, "sync.review_held");
+  await syncGuild(discord, guildId, view, { scope: "all", actor, via });
+  return tr(i18n, "sync.after_write");
+}
+
+async function handleSubmitModal(interaction, action, token) {
+  const cfg = getGuildCfg(interaction.guildId);
+  const i18n = guildI18n(cfg);
+
+  if (action === "new") {
+    const view = submissionProfile(cfg, token);
+    if (!view || !cfg.staffChannelId) {
+      await interaction.reply({ content: tr(i18n, "submit.disabled"), ephemeral: true });
+      return;
+    }
+    const { fields, error } = readSubmissionFields(interaction, guildTimeZone(view), i18n);
+    if (error) {
+      await interaction.reply({ content: error, ephemeral: true });
+      return;
+    }
+
+    const submission = {
+      id: crypto.randomBytes(6).toString("hex"),
+      guildId: interaction.guildId,
+      profile: view.profile,
+      userId: interaction.user.id,
+      fields,
+      createdAt: new Date().toISOString(),
+    };
+    const channel = await discord.channels.fetch(cfg.staffChannelId);
+    const message = await channel.send(submissionCard(submission, { i18n }));
+    saveSubmission({ ...submission, channelId: channel.id, messageId: message.id });
+
+    await interaction.reply({ content: tr(i18n, "submit.thanks", { title: fields.title }), ephemeral: true });
+    return;
+  }
+
+  if (action === "edit") {
+    const submission = loadSubmissions()[token];
+    if (!submission) {
+      await interaction.reply({ content: tr(i18n, "submit.handled"), ephemeral: true });
+      return;
+    }
+    const { fields, error } = readSubmissionFields(interaction, guildTimeZone(cfg), i18n);
+    if (error) {
+      await interaction.reply({ content: error, ephemeral: true });
+      return;
+    }
+    const updated = { ...submission, fields };
+    saveSubmission(updated);
+    const note = tr(i18n, "submit.edited_by", { user: `<@${interaction.user.id}>` });
+    await interaction.update(submissionCard(updated, { note, i18n }));
+  }
+}
+
+async function handleSubmissionButton(interaction, action, id) {
+  const cfg = getGuildCfg(interaction.guildId);
+  const i18n = guildI18n(cfg);
+  if (!memberCan(interaction, cfg, "events")) {
+    await interaction.reply({ content: tr(i18n, "denied.review"), ephemeral: true });
+    return;
+  }
+  const submission = loadSubmissions()[id];
+  if (!submission || submission.guildId !== interaction.guildId) {
+    await interaction.update({ components: [] });
+    await interaction.followUp({ content: tr(i18n, "submit.expired"), ephemeral: true });
+    return;
+  }
+
+  if (action === "edit") {
+    await interaction.showModal(
+      submissionModal(`submit:edit:${id}`, tr(i18n, "submit.edit_title"), i18n, submission.fields)
+    );
+    return;
+  }
+
+  if (action === "reject") {
+    deleteSubmission(id);
+    const note = tr(i18n, "submit.rejected_by", { user: `<@${interaction.user.id}>` });
+    await interaction.update(submissionCard(submission, { state: "rejected", note, i18n }));
+    return;
+  }
+
+  if (action !== "approve") return;
+  // The profile may have been removed or unlinked since the member submitted
+  let view;
+  try {
+    view = requireGuildCfg(interaction.guildId, submission.profile);
+  } catch (err) {
+    await interaction.reply({ content: err.message, ephemeral: true });
+    return;
+  }
+
+  // Claimed before the first await, so a second Approve click finds nothing to create
+  deleteSubmission(id);
+  await interaction.update({ components: [] });
+  let page;
+  try {
+    page = await notionCreatePage(view.notion.databaseId, await submissionProperties(view, submission.fields));
+  } catch (err) {
+    logJson("error", "submission approve failed", { guild: interaction.guildId, ...errorFields(err) });
+    saveSubmission(submission);
+    await interaction.editReply(
+      submissionCard(submission, {
+        note: tr(i18n, "submit.not_approved", { error: notionErrorFix(err, i18n) || errorText(i18n, err) }),
+        i18n,
+      })
+    );
+    return;
+  }
+
+  const note = tr(i18n, "submit.approved_by", { user: `<@${interaction.user.id}>`, url: page.url });
+  await interaction.editReply(submissionCard(submission, { state: "approved", note, i18n }));
+
+  const synced = await syncAfterWrite(interaction.guildId, view, {
+    actor: interaction.user.id,
+    via: "submission",
+  }).catch((err) => {
+    logJson("error", "submission sync failed", { guild: interaction.guildId, ...errorFields(err) });
+    return tr(i18n, "sync.failed", { error: errorText(i18n, err) });
+  });
+  await interaction.editReply(submissionCard(submission, { state: "approved", note: `${note}\n${synced}`, i18n }));
+}
+
+// ======================================================
+// STATUS CHANGES (/caltrix event done)
+// ======================================================
+// Finished events are usually marked a few days after the fact
+const EVENT_DONE_LOOKBACK_DAYS = 31;
+
+function isNotionPageId(value) {
+  return /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(String(value || ""));
+}
+
+function sameNotionId(a, b) {
+  const norm = (id) => String(id || "").replace(/-/g, "").toLowerCase();
+  return norm(a) === norm(b);
+}
+
+// Rows around today that a status change applies to (recurring projections excluded)
+async function getEditableEvents(guildId, cfg) {
+  const today = todayKey(cfg);
+  const events = await getGuildEventsInRange(
+    guildId,
+    cfg,
+    shiftDateKey(today, -EVENT_DONE_LOOKBACK_DAYS),
+    shiftDateKey(today, PUBLIC_LOOKAHEAD_DAYS)
+  );
+  return events.filter((e) => !e.recurrence);
+}
+
+function fmtEventChoice(evt) {
+  return `[${fmtDateLabel(evt.startDateKey || evt.dateKey)}] ${evt.title}`.slice(0, 100);
+}
+
+async function setEventStatus(guildId, cfg, pageId, status) {
+  const page = await notionGetPage(pageId);
+  const view = configuredProfiles(cfg).find((v) => sameNotionId(v.notion.databaseId, page.parent?.database_id));
+  if (!view) throw localizedError("event.foreign_page");
+
+  const props = resolveNotionProps(view);
+  if (!props.status) {
+    throw localizedError("event.no_status_column", { hint: profileHint(view.profile) });
+  }
+  await notionUpdatePage(pageId, { [props.status.name]: notionPropertyValue(props.status, status) });
+  return { title: firstTitleFromPage(page) || "Untitled", view };
+}
+
+// ======================================================
+// PUBLIC /schedule COMMAND (members, ephemeral)
+// ======================================================
+const PUBLIC_DEFAULT_DAYS = 7;
+const PUBLIC_MAX_DAYS = 90;
+// How far ahead artist/member/type lookups search
+const PUBLIC_LOOKAHEAD_DAYS = 60;
+const PUBLIC_REPLY_MAX_LENGTH = 2000;
+
+const ScheduleCommand = new SlashCommandBuilder()
+  .setName("schedule")
+  .setDescription("Look up the schedule")
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("upcoming")
+      .setDescription("Events in the next few days")
+      .addIntegerOption((o) =>
+        o
+          .setName("days")
+          .setDescription(`How many days ahead (default ${PUBLIC_DEFAULT_DAYS})`)
+          .setMinValue(1)
+          .setMaxValue(PUBLIC_MAX_DAYS)
+          .setRequired(false)
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("artist")
+      .setDescription("Upcoming events for an artist")
+      .addStringOption((o) =>
+        o.setName("name").setDescription("Artist").setRequired(true).setAutocomplete(true)
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("member")
+      .setDescription("Upcoming events for a member")
+      .addStringOption((o) =>
+        o.setName("name").setDescription("Member").setRequired(true).setAutocomplete(true)
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("type")
+      .setDescription("Upcoming events of one type")
+      .addStringOption((o) =>
+        o.setName("type").setDescription("Type (e.g. Concert)").setRequired(true).setAutocomplete(true)
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("date")
+      .setDescription("Events on a given day")
+      .addStringOption((o) =>
+        o.setName("date").setDescription("Day (YYYY-MM-DD)").setRequired(true)
+      )
+  )
+
+  .addSubcommand((sc) =>
+    sc
+      .setName("submit")
+      .setDescription("Suggest an event for staff to add to the schedule")
+      .addStringOption((o) =>
+        o.setName("profile").setDescription("Which schedule (if the server has several)").setAutocomplete(true)
+      )
+  );
+
+function todayKey(cfg) {
+  return dateKeyFromDate(new Date(), guildTimeZone(cfg));
+}
+
+async function getLookaheadEvents(guildId, cfg, days = PUBLIC_LOOKAHEAD_DAYS) {
+  const from = todayKey(cfg);
+  return getGuildEventsInRange(guildId, cfg, from, shiftDateKey(from, days));
+}
+
+function nameMatches(names, query) {
+  const q = query.trim().toLowerCase();
+  return names.some((n) => n.toLowerCase().includes(q));
+}
+
+function fmtEventList(heading, events, { statusStyles, format, i18n }) {
+  if (!events.length) return `**${heading}**\n${tr(i18n, "public.none")}`;
+
+  let out = `**${heading}**`;
+  for (let i = 0; i < events.length; i++) {
+    const line = fmtLine(events[i], { statusStyles, format, i18n });
+    const more = `\n${tr(i18n, "list.more", { count: events.length - i })}`;
+    if (out.length + 1 + line.length + more.length > PUBLIC_REPLY_MAX_LENGTH) return out + more;
+    out += `\n${line}`;
+  }
+  return out;
+}
+
+async function handleScheduleCommand(interaction) {
+  const guildId = interaction.guildId;
+  const cfg = requireGuildCfg(guildId);
+  const sub = interaction.options.getSubcommand();
+  const i18n = guildI18n(cfg);
+  const lineOptions = { statusStyles: resolveStatusStyles(cfg), format: resolveFormat(cfg), i18n };
+
+  if (sub === "submit") {
+    const view = submissionProfile(cfg, interaction.options.getString("profile"));
+    if (!view) {
+      await interaction.reply({ content: tr(i18n, "submit.unknown_profile"), ephemeral: true });
+      return;
+    }
+    await interaction.showModal(submissionModal(`submit:new:${view.profile}`, tr(i18n, "submit.modal_title"), i18n));
+    return;
+  }
+
+  if (sub === "date") {
+    const day = interaction.options.getString("date", true).trim();
+    if (!isDateKey(day)) {
+      await interaction.reply({ content: tr(i18n, "public.bad_date"), ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    const events = await getGuildEventsInRange(guildId, cfg, day, day);
+    const heading = tr(i18n, "public.date", { date: `${fmtDateLabel(day, i18n.locale)} ${day.slice(0, 4)}` });
+    await interaction.editReply(fmtEventList(heading, events, lineOptions));
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  if (sub === "upcoming") {
+    const days = interaction.options.getInteger("days") || PUBLIC_DEFAULT_DAYS;
+    const events = await getLookaheadEvents(guildId, cfg, days);
+    await interaction.editReply(fmtEventList(trCount(i18n, "public.upcoming", days), events, lineOptions));
+    return;
+  }
+
+  const events = await getLookaheadEvents(guildId, cfg);
+
+  if (sub === "artist" || sub === "member") {
+    const name = interaction.options.getString("name", true);
+    const listKey = sub === "artist" ? "artists" : "members";
+    const matches = events.filter((e) => nameMatches(e[listKey] || [], name));
+    await interaction.editReply(fmtEventList(tr(i18n, "public.matches", { name }), matches, lineOptions));
+    return;
+  }
+
+  if (sub === "type") {
+    const type = interaction.options.getString("type", true).trim();
+    const matches = events.filter((e) => (e.type || "").toLowerCase() === type.toLowerCase());
+    await interaction.editReply(fmtEventList(tr(i18n, "public.matches", { name: type }), matches, lineOptions));
+    return;
+  }
+}
+
+async function scheduleAutocompleteChoices(interaction) {
+  const cfg = getGuildCfg(interaction.guildId);
+  if (!configuredProfiles(cfg).length) return [];
+
+  const sub = interaction.options.getSubcommand();
+  const focused = String(interaction.options.getFocused() || "").toLowerCase();
+  const events = await getLookaheadEvents(interaction.guildId, cfg);
+
+  const values =
+    sub === "artist" ? events.flatMap((e) => e.artists || []) :
+    sub === "member" ? events.flatMap((e) => e.members || []) :
+    sub === "type" ? events.map((e) => e.type) :
+    [];
+
+  return [...new Set(values.filter(Boolean))]
+    .filter((v) => v.toLowerCase().includes(focused))
+    .sort((a, b) => a.localeCompare(b))
+    .slice(0, 25)
+    .map((v) => ({ name: v.slice(0, 100), value: v.slice(0, 100) }));
+}
+
+// Option descriptions shared by many commands
+const PROFILE_OPTION_DESCRIPTIONS = {
+  ko: `일정 프로필 (기본: ${DEFAULT_PROFILE})`,
+  "es-ES": `Perfil de calendario (por defecto: ${DEFAULT_PROFILE})`,
+  "pt-BR": `Perfil de agenda (padrão: ${DEFAULT_PROFILE})`,
+};
+const DIGEST_KIND_DESCRIPTIONS = { ko: "어느 요약", "es-ES": "Qué resumen", "pt-BR": "Qual resumo" };
+const SCOPE_OPTION_DESCRIPTIONS = {
+  ko: "범위: this | last | next | all",
+  "es-ES": "Alcance: this | last | next | all",
+  "pt-BR": "Escopo: this | last | next | all",
+};
+
+// Translated descriptions by command path ("caltrix feed show", "schedule upcoming days").
+// Discord shows them in each member's client language; English is the fallback.
+const COMMAND_DESCRIPTIONS = {
+  schedule: { ko: "일정 찾아보기", "es-ES": "Consultar el calendario", "pt-BR": "Consultar a agenda" },
+  "schedule upcoming": {
+    ko: "앞으로 며칠간의 일정",
+    "es-ES": "Eventos de los próximos días",
+    "pt-BR": "Eventos dos próximos dias",
+  },
+  "schedule upcoming days": {
+    ko: `며칠 뒤까지 볼지 (기본 ${PUBLIC_DEFAULT_DAYS}일)`,
+    "es-ES": `Cuántos días por delante (por defecto ${PUBLIC_DEFAULT_DAYS})`,
+    "pt-BR": `Quantos dias à frente (padrão ${PUBLIC_DEFAULT_DAYS})`,
+  },
+  "schedule artist": {
+    ko: "아티스트의 예정된 일정",
+    "es-ES": "Próximos eventos de un artista",
+    "pt-BR": "Próximos eventos de um artista",
+  },
+  "schedule artist name": { ko: "아티스트", "es-ES": "Artista", "pt-BR": "Artista" },
+  "schedule member": {
+    ko: "멤버의 예정된 일정",
+    "es-ES": "Próximos eventos de un miembro",
+    "pt-BR": "Próximos eventos de um integrante",
+  },
+  "schedule member name": { ko: "멤버", "es-ES": "Miembro", "pt-BR": "Integrante" },
+  "schedule type": {
+    ko: "한 유형의 예정된 일정",
+    "es-ES": "Próximos eventos de un tipo",
+    "pt-BR": "Próximos eventos de um tipo",
+  },
+  "schedule type type": { ko: "유형 (예: Concert)", "es-ES": "Tipo (p. ej. Concert)", "pt-BR": "Tipo (ex.: Concert)" },
+  "schedule date": { ko: "특정 날짜의 일정", "es-ES": "Eventos de un día", "pt-BR": "Eventos de um dia" },
+  "schedule date date": { ko: "날짜 (YYYY-MM-DD)", "es-ES": "Día (AAAA-MM-DD)", "pt-BR": "Dia (AAAA-MM-DD)" },
+  "schedule submit": {
+    ko: "스태프에게 일정 추가를 제보하기",
+    "es-ES": "Proponer un evento para que el staff lo añada",
+    "pt-BR": "Sugerir um evento para a equipe adicionar",
+  },
+  "schedule submit profile": {
+    ko: "어느 일정에 (서버에 여러 개가 있을 때)",
+    "es-ES": "Qué calendario (si el servidor tiene varios)",
+    "pt-BR": "Qual agenda (se o servidor tiver várias)",
+  },
+
+  caltrix: {
+    ko: "Caltrix 일정 봇 (스태프)",
+    "es-ES": "Bot de calendario Caltrix (staff)",
+    "pt-BR": "Bot de agenda Caltrix (equipe)",
+  },
+  "caltrix setup": {
+    ko: "이 서버 설정 (스태프 채널 + 스레드)",
+    "es-ES": "Configurar este servidor (canal del staff + hilos)",
+    "pt-BR": "Configurar este servidor (canal da equipe + tópicos)",
+  },
+  "caltrix setup staff_channel": {
+    ko: "/caltrix 명령을 쓸 수 있는 채널",
+    "es-ES": "Canal donde se permiten los comandos /caltrix",
+    "pt-BR": "Canal onde os comandos /caltrix são permitidos",
+  },
+  "caltrix setup thread_this": {
+    ko: "이번 달 일정 스레드 ID",
+    "es-ES": "ID del hilo del calendario de ESTE mes",
+    "pt-BR": "ID do tópico da agenda DESTE mês",
+  },
+  "caltrix setup thread_last": {
+    ko: "지난달 일정 스레드 ID",
+    "es-ES": "ID del hilo del calendario del mes PASADO",
+    "pt-BR": "ID do tópico da agenda do mês PASSADO",
+  },
+  "caltrix setup thread_next": {
+    ko: "다음 달 일정 스레드 ID",
+    "es-ES": "ID del hilo del calendario del PRÓXIMO mes",
+    "pt-BR": "ID do tópico da agenda do PRÓXIMO mês",
+  },
+  "caltrix setup thread_archive": {
+    ko: "아카이브 스레드 ID (선택)",
+    "es-ES": "ID del hilo de ARCHIVO (opcional)",
+    "pt-BR": "ID do tópico de ARQUIVO (opcional)",
+  },
+  "caltrix setup profile": {
+    ko: "설정할 일정 프로필. 새 이름이면 새로 만듭니다",
+    "es-ES": "Perfil de calendario a configurar; un nombre nuevo lo crea",
+    "pt-BR": "Perfil de agenda a configurar; um nome novo o cria",
+  },
+  "caltrix notion": {
+    ko: "이 서버의 Notion 데이터베이스 설정",
+    "es-ES": "Configurar la base de datos de Notion",
+    "pt-BR": "Configurar o banco de dados do Notion",
+  },
+  "caltrix notion database_link": {
+    ko: "Notion 데이터베이스 링크 붙여 넣기 (봇이 DB ID를 찾습니다)",
+    "es-ES": "Pega un enlace de base de datos de Notion (el bot extrae el ID)",
+    "pt-BR": "Cole um link de banco de dados do Notion (o bot extrai o ID)",
+  },
+  "caltrix notion profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix schema": {
+    ko: "Notion 열을 Caltrix 필드에 연결",
+    "es-ES": "Asignar columnas de Notion a campos de Caltrix",
+    "pt-BR": "Mapear colunas do Notion para campos do Caltrix",
+  },
+  "caltrix schema detect": {
+    ko: "데이터베이스 열을 읽고 추천 매핑 저장",
+    "es-ES": "Leer las columnas y guardar la asignación sugerida",
+    "pt-BR": "Ler as colunas e salvar o mapeamento sugerido",
+  },
+  "caltrix schema detect profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix schema set": {
+    ko: "한 필드에 쓸 열 지정",
+    "es-ES": "Cambiar la columna de un campo",
+    "pt-BR": "Trocar a coluna de um campo",
+  },
+  "caltrix schema set field": { ko: "Caltrix 필드", "es-ES": "Campo de Caltrix", "pt-BR": "Campo do Caltrix" },
+  "caltrix schema set column": {
+    ko: "Notion 열 (목록에서 선택)",
+    "es-ES": "Columna de Notion (elige de la lista)",
+    "pt-BR": "Coluna do Notion (escolha da lista)",
+  },
+  "caltrix schema set profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix schema show": {
+    ko: "현재 열 매핑 보기",
+    "es-ES": "Ver la asignación de columnas",
+    "pt-BR": "Ver o mapeamento de colunas",
+  },
+  "caltrix schema show profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix filter": {
+    ko: "스레드별로 보여줄 Notion 행과 상태 표시 방식",
+    "es-ES": "Qué filas muestra cada hilo y cómo se ven los estados",
+    "pt-BR": "Quais linhas cada tópico mostra e como os status aparecem",
+  },
+  "caltrix filter set": {
+    ko: "범위별 상태/유형 필터 설정",
+    "es-ES": "Filtros de estado/tipo para un ámbito",
+    "pt-BR": "Filtros de status/tipo para um escopo",
+  },
+  "caltrix filter set scope": {
+    ko: "default 는 따로 지정하지 않은 모든 스레드에 적용됩니다",
+    "es-ES": "default se aplica a todos los hilos salvo que se sobrescriba",
+    "pt-BR": "default vale para todos os tópicos, salvo se sobrescrito",
+  },
+  "caltrix filter set statuses": {
+    ko: "포함할 상태, 쉼표로 구분 또는 \"all\" (예: Upcoming, Done)",
+    "es-ES": "Estados a incluir, separados por comas, o \"all\" (p. ej. Upcoming, Done)",
+    "pt-BR": "Status a incluir, separados por vírgula, ou \"all\" (ex.: Upcoming, Done)",
+  },
+  "caltrix filter set include_types": {
+    ko: "이 유형만, 쉼표로 구분 (지우려면 \"none\")",
+    "es-ES": "Solo estos tipos, separados por comas (\"none\" para borrar)",
+    "pt-BR": "Só estes tipos, separados por vírgula (\"none\" para limpar)",
+  },
+  "caltrix filter set exclude_types": {
+    ko: "숨길 유형, 쉼표로 구분 (지우려면 \"none\")",
+    "es-ES": "Ocultar estos tipos, separados por comas (\"none\" para borrar)",
+    "pt-BR": "Ocultar estes tipos, separados por vírgula (\"none\" para limpar)",
+  },
+  "caltrix filter set profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix filter clear": {
+    ko: "범위의 필터 규칙 삭제",
+    "es-ES": "Quitar los filtros de un ámbito",
+    "pt-BR": "Remover os filtros de um escopo",
+  },
+  "caltrix filter clear scope": { ko: "초기화할 범위", "es-ES": "Alcance a restablecer", "pt-BR": "Escopo a redefinir" },
+  "caltrix filter clear profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix filter style": {
+    ko: "특정 상태의 행 표시 방식",
+    "es-ES": "Cómo se muestran las filas con un estado",
+    "pt-BR": "Como aparecem as linhas com um status",
+  },
+  "caltrix filter style status": {
+    ko: "Notion에 적힌 상태 값 (예: Done)",
+    "es-ES": "Valor de estado tal como está en Notion (p. ej. Done)",
+    "pt-BR": "Valor de status como está no Notion (ex.: Done)",
+  },
+  "caltrix filter style style": {
+    ko: "plain | strike (~~취소선~~) | cross (❌) | flag (🚩)",
+    "es-ES": "plain | strike (~~tachado~~) | cross (❌) | flag (🚩)",
+    "pt-BR": "plain | strike (~~riscado~~) | cross (❌) | flag (🚩)",
+  },
+  "caltrix timezone": {
+    ko: "월 경계와 날짜에 쓸 시간대 설정",
+    "es-ES": "Zona horaria para meses y fechas",
+    "pt-BR": "Fuso horário para meses e datas",
+  },
+  "caltrix timezone zone": {
+    ko: "IANA 시간대 (예: Asia/Seoul, America/New_York)",
+    "es-ES": "Zona horaria IANA (p. ej. Asia/Seoul, America/New_York)",
+    "pt-BR": "Fuso horário IANA (ex.: Asia/Seoul, America/New_York)",
+  },
+  "caltrix timezone label": {
+    ko: "바닥글 표시 (예: KST). 기본값은 시간대 이름",
+    "es-ES": "Etiqueta del pie (p. ej. KST). Por defecto, el nombre de la zona",
+    "pt-BR": "Rótulo do rodapé (ex.: KST). Padrão: o nome do fuso",
+  },
+  "caltrix config": { ko: "이 서버 설정 보기", "es-ES": "Ver la configuración", "pt-BR": "Ver a configuração" },
+  "caltrix config profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix history": {
+    ko: "최근 동기화: 누가, 언제, 개수와 오류",
+    "es-ES": "Sincronizaciones recientes: quién, cuándo, totales y errores",
+    "pt-BR": "Sincronizações recentes: quem, quando, totais e erros",
+  },
+  "caltrix history limit": {
+    ko: `몇 개 항목 (기본 ${DEFAULT_HISTORY_LIMIT})`,
+    "es-ES": `Cuántas entradas (por defecto ${DEFAULT_HISTORY_LIMIT})`,
+    "pt-BR": `Quantas entradas (padrão ${DEFAULT_HISTORY_LIMIT})`,
+  },
+  "caltrix doctor": {
+    ko: "스레드, 권한, Notion 접근 점검과 해결 방법",
+    "es-ES": "Revisar hilos, permisos y acceso a Notion, con soluciones",
+    "pt-BR": "Verificar tópicos, permissões e acesso ao Notion, com soluções",
+  },
+  "caltrix doctor profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix sync": {
+    ko: "Notion에서 동기화하고 일정 메시지 갱신",
+    "es-ES": "Sincronizar desde Notion y actualizar el calendario",
+    "pt-BR": "Sincronizar do Notion e atualizar a agenda",
+  },
+  "caltrix sync scope": SCOPE_OPTION_DESCRIPTIONS,
+  "caltrix sync tz": {
+    ko: "이번 동기화의 바닥글 표시 (예: KST)",
+    "es-ES": "Etiqueta del pie solo para esta sincronización (p. ej. KST)",
+    "pt-BR": "Rótulo do rodapé só nesta sincronização (ex.: KST)",
+  },
+  "caltrix sync profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix preview": {
+    ko: "동기화 결과 미리보기 (나만 보기), 게시 또는 취소",
+    "es-ES": "Ver lo que publicaría una sincronización (solo tú) y publicar o cancelar",
+    "pt-BR": "Ver o que uma sincronização publicaria (só você) e publicar ou cancelar",
+  },
+  "caltrix preview scope": SCOPE_OPTION_DESCRIPTIONS,
+  "caltrix preview profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix archive": {
+    ko: "한 달의 고정 스냅샷을 아카이브 스레드에 게시",
+    "es-ES": "Publicar una instantánea de un mes en el hilo de archivo",
+    "pt-BR": "Publicar um registro do mês no tópico de arquivo",
+  },
+  "caltrix archive month": {
+    ko: "보관할 월 (YYYY-MM)",
+    "es-ES": "Mes a archivar (AAAA-MM)",
+    "pt-BR": "Mês a arquivar (AAAA-MM)",
+  },
+  "caltrix archive profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix reminder": {
+    ko: "일정 시작 전에 역할 멘션",
+    "es-ES": "Avisar a roles antes de los eventos",
+    "pt-BR": "Avisar cargos antes dos eventos",
+  },
+  "caltrix reminder setup": {
+    ko: "채널에서 알림 켜기",
+    "es-ES": "Activar recordatorios en un canal",
+    "pt-BR": "Ativar lembretes em um canal",
+  },
+  "caltrix reminder setup channel": {
+    ko: "알림을 올릴 채널 또는 스레드",
+    "es-ES": "Canal o hilo para los recordatorios",
+    "pt-BR": "Canal ou tópico para os lembretes",
+  },
+  "caltrix reminder setup lead_times": {
+    ko: "일정 전 알림 시점, 쉼표로 구분 (기본: 24h, 1h)",
+    "es-ES": "Antelación antes de cada evento, separada por comas (por defecto: 24h, 1h)",
+    "pt-BR": "Antecedência antes de cada evento, separada por vírgula (padrão: 24h, 1h)",
+  },
+  "caltrix reminder role": {
+    ko: "유형이나 아티스트에 역할 멘션 (역할 생략 시 삭제)",
+    "es-ES": "Mencionar un rol para un tipo o artista (sin rol lo quita)",
+    "pt-BR": "Mencionar um cargo para um tipo ou artista (sem cargo remove)",
+  },
+  "caltrix reminder role match": {
+    ko: "일정 유형 또는 아티스트로 찾기",
+    "es-ES": "Coincidir por tipo de evento o por artista",
+    "pt-BR": "Combinar por tipo de evento ou por artista",
+  },
+  "caltrix reminder role name": {
+    ko: "Notion에 적힌 유형 (예: Birthday) 또는 아티스트 이름 (예: NMIXX)",
+    "es-ES": "Tipo (p. ej. Birthday) o artista (p. ej. NMIXX) tal como en Notion",
+    "pt-BR": "Tipo (ex.: Birthday) ou artista (ex.: NMIXX) como no Notion",
+  },
+  "caltrix reminder role role": { ko: "멘션할 역할", "es-ES": "Rol a mencionar", "pt-BR": "Cargo a mencionar" },
+  "caltrix reminder pause": { ko: "알림 일시정지", "es-ES": "Pausar recordatorios", "pt-BR": "Pausar lembretes" },
+  "caltrix reminder status": {
+    ko: "알림 설정 보기",
+    "es-ES": "Ver los recordatorios",
+    "pt-BR": "Ver os lembretes",
+  },
+  "caltrix export": {
+    ko: "일정을 .ics 캘린더 파일로 다운로드",
+    "es-ES": "Descargar el calendario como archivo .ics",
+    "pt-BR": "Baixar a agenda como arquivo .ics",
+  },
+  "caltrix export from": {
+    ko: "첫 달 (YYYY-MM, 기본 이번 달)",
+    "es-ES": "Primer mes (AAAA-MM, por defecto el actual)",
+    "pt-BR": "Primeiro mês (AAAA-MM, padrão o atual)",
+  },
+  "caltrix export to": {
+    ko: "마지막 달 (YYYY-MM, 기본 from 과 같음)",
+    "es-ES": "Último mes (AAAA-MM, por defecto igual que from)",
+    "pt-BR": "Último mês (AAAA-MM, padrão igual a from)",
+  },
+  "caltrix feed": {
+    ko: "이 서버의 구독용 캘린더 (.ics) 피드",
+    "es-ES": "Feed de calendario (.ics) para suscribirse",
+    "pt-BR": "Feed de calendário (.ics) para assinar",
+  },
+  "caltrix feed show": {
+    ko: "피드 링크 보기 (없으면 생성)",
+    "es-ES": "Ver el enlace del feed (lo crea si hace falta)",
+    "pt-BR": "Ver o link do feed (cria se necessário)",
+  },
+  "caltrix feed rotate": {
+    ko: "피드 링크 교체 (기존 링크는 중지)",
+    "es-ES": "Cambiar el enlace del feed (el anterior deja de funcionar)",
+    "pt-BR": "Trocar o link do feed (o antigo para de funcionar)",
+  },
+  "caltrix feed off": { ko: "피드 끄기", "es-ES": "Desactivar el feed", "pt-BR": "Desativar o feed" },
+  "caltrix changelog": {
+    ko: "동기화 후 변경 사항 게시",
+    "es-ES": "Publicar los cambios tras cada sincronización",
+    "pt-BR": "Publicar as mudanças após cada sincronização",
+  },
+  "caltrix changelog set": {
+    ko: "변경 사항을 채널에 게시",
+    "es-ES": "Publicar los cambios en un canal",
+    "pt-BR": "Publicar as mudanças em um canal",
+  },
+  "caltrix changelog set channel": {
+    ko: "공지 채널 또는 스레드",
+    "es-ES": "Canal o hilo de anuncios",
+    "pt-BR": "Canal ou tópico de anúncios",
+  },
+  "caltrix changelog off": {
+    ko: "변경 사항 게시 중지",
+    "es-ES": "Dejar de publicar cambios",
+    "pt-BR": "Parar de publicar mudanças",
+  },
+  "caltrix mirror": {
+    ko: "Notion 행을 Discord 이벤트로 복사",
+    "es-ES": "Copiar filas de Notion a eventos de Discord",
+    "pt-BR": "Copiar linhas do Notion para eventos do Discord",
+  },
+  "caltrix mirror set": {
+    ko: "복사 켜기 (동기화마다 실행)",
+    "es-ES": "Activar la copia (en cada sincronización)",
+    "pt-BR": "Ativar a cópia (a cada sincronização)",
+  },
+  "caltrix mirror set types": {
+    ko: `미러링할 유형, 쉼표로 구분 (기본: ${DEFAULT_MIRROR_TYPES.join(", ")})`,
+    "es-ES": `Tipos a replicar, separados por comas (por defecto: ${DEFAULT_MIRROR_TYPES.join(", ")})`,
+    "pt-BR": `Tipos a espelhar, separados por vírgula (padrão: ${DEFAULT_MIRROR_TYPES.join(", ")})`,
+  },
+  "caltrix mirror off": {
+    ko: "복사 중지 (기존 Discord 이벤트는 유지)",
+    "es-ES": "Detener la copia (los eventos existentes se quedan)",
+    "pt-BR": "Parar a cópia (os eventos existentes ficam)",
+  },
+  "caltrix mirror status": { ko: "복사 설정 보기", "es-ES": "Ver la copia de eventos", "pt-BR": "Ver a cópia de eventos" },
+  "caltrix recurring": {
+    ko: "매년 생일/기념일과 D-day 카운트다운",
+    "es-ES": "Cumpleaños/aniversarios anuales y cuenta atrás",
+    "pt-BR": "Aniversários anuais e contagem regressiva",
+  },
+  "caltrix recurring set": {
+    ko: "한 유형의 행을 매년 반복",
+    "es-ES": "Repetir cada año las filas de un tipo",
+    "pt-BR": "Repetir todo ano as linhas de um tipo",
+  },
+  "caltrix recurring set type": {
+    ko: "Notion의 Type 값 (예: Birthday)",
+    "es-ES": "Valor de Type en Notion, p. ej. Birthday",
+    "pt-BR": "Valor de Type no Notion, ex.: Birthday",
+  },
+  "caltrix recurring set kind": {
+    ko: "햇수를 표시하는 방식",
+    "es-ES": "Cómo se muestran los años",
+    "pt-BR": "Como os anos são mostrados",
+  },
+  "caltrix recurring countdown": {
+    ko: "이번 달 일정에 다음 일정 D-day 표시",
+    "es-ES": "Cuenta atrás de los próximos eventos en el mes actual",
+    "pt-BR": "Contagem regressiva dos próximos eventos no mês atual",
+  },
+  "caltrix recurring countdown count": {
+    ko: "일정 개수 (0 = 끄기)",
+    "es-ES": "Cuántos eventos (0 = desactivado)",
+    "pt-BR": "Quantos eventos (0 = desativado)",
+  },
+  "caltrix recurring status": {
+    ko: "반복 유형과 카운트다운 설정 보기",
+    "es-ES": "Ver tipos anuales y cuenta atrás",
+    "pt-BR": "Ver tipos anuais e contagem regressiva",
+  },
+  "caltrix event": {
+    ko: "Discord에서 Notion 일정 변경",
+    "es-ES": "Cambiar eventos de Notion desde Discord",
+    "pt-BR": "Alterar eventos do Notion pelo Discord",
+  },
+  "caltrix event done": {
+    ko: "일정 상태 변경 (기본 Done) 후 동기화",
+    "es-ES": "Cambiar el estado de un evento (por defecto Done) y sincronizar",
+    "pt-BR": "Mudar o status de um evento (padrão Done) e sincronizar",
+  },
+  "caltrix event done search": { ko: "일정 제목", "es-ES": "Título del evento", "pt-BR": "Título do evento" },
+  "caltrix event done status": {
+    ko: `새 상태 (기본 ${DONE_STATUS})`,
+    "es-ES": `Nuevo estado (por defecto ${DONE_STATUS})`,
+    "pt-BR": `Novo status (padrão ${DONE_STATUS})`,
+  },
+  "caltrix permissions": {
+    ko: "어떤 역할이 어떤 명령을 어디서 쓸 수 있는지 (서버 관리자 전용)",
+    "es-ES": "Qué roles pueden usar cada acción y dónde (solo Gestionar servidor)",
+    "pt-BR": "Quais cargos podem usar cada ação e onde (só Gerenciar servidor)",
+  },
+  "caltrix permissions grant": {
+    ko: "역할에 권한 부여",
+    "es-ES": "Dar una acción a un rol",
+    "pt-BR": "Dar uma ação a um cargo",
+  },
+  "caltrix permissions grant role": { ko: "역할", "es-ES": "Rol", "pt-BR": "Cargo" },
+  "caltrix permissions grant action": {
+    ko: "역할이 할 수 있는 작업",
+    "es-ES": "Qué puede hacer el rol",
+    "pt-BR": "O que o cargo pode fazer",
+  },
+  "caltrix permissions revoke": {
+    ko: "역할의 권한 회수",
+    "es-ES": "Quitar una acción a un rol",
+    "pt-BR": "Tirar uma ação de um cargo",
+  },
+  "caltrix permissions revoke role": { ko: "역할", "es-ES": "Rol", "pt-BR": "Cargo" },
+  "caltrix permissions revoke action": { ko: "뺄 작업", "es-ES": "Acción a quitar", "pt-BR": "Ação a remover" },
+  "caltrix permissions channel": {
+    ko: "채널에서 /caltrix 허용 여부 (기본: 스태프 채널만)",
+    "es-ES": "Permitir /caltrix en un canal (por defecto solo el del staff)",
+    "pt-BR": "Permitir /caltrix em um canal (padrão: só o da equipe)",
+  },
+  "caltrix permissions channel channel": { ko: "채널", "es-ES": "Canal", "pt-BR": "Canal" },
+  "caltrix permissions channel allowed": {
+    ko: "이 채널에서 명령 허용",
+    "es-ES": "Permitir comandos ahí",
+    "pt-BR": "Permitir comandos lá",
+  },
+  "caltrix permissions show": {
+    ko: "권한별 역할과 허용 채널 보기",
+    "es-ES": "Ver roles por acción y canales permitidos",
+    "pt-BR": "Ver cargos por ação e canais permitidos",
+  },
+  "caltrix backup": {
+    ko: "서버 설정과 메시지 연결 내보내기/가져오기",
+    "es-ES": "Exportar o importar la configuración del servidor",
+    "pt-BR": "Exportar ou importar a configuração do servidor",
+  },
+  "caltrix backup export": {
+    ko: "설정과 메시지 연결을 JSON으로 다운로드",
+    "es-ES": "Descargar la configuración como JSON",
+    "pt-BR": "Baixar a configuração como JSON",
+  },
+  "caltrix backup restore": {
+    ko: "백업으로 설정 교체 (먼저 확인)",
+    "es-ES": "Reemplazar la configuración con una copia (se confirma antes)",
+    "pt-BR": "Substituir a configuração por um backup (confirmado antes)",
+  },
+  "caltrix backup restore file": {
+    ko: "/caltrix backup export 로 받은 JSON 파일",
+    "es-ES": "Archivo JSON de /caltrix backup export",
+    "pt-BR": "Arquivo JSON do /caltrix backup export",
+  },
+  "caltrix profile": {
+    ko: "한 서버의 여러 일정 (데이터베이스, 필터, 스레드)",
+    "es-ES": "Varios calendarios (base de datos, filtros, hilos) en un servidor",
+    "pt-BR": "Várias agendas (banco, filtros, tópicos) em um servidor",
+  },
+  "caltrix profile list": {
+    ko: "이 서버의 일정 프로필 목록",
+    "es-ES": "Ver los perfiles del servidor",
+    "pt-BR": "Ver os perfis do servidor",
+  },
+  "caltrix profile remove": {
+    ko: "프로필 삭제 (게시된 메시지는 남음)",
+    "es-ES": "Borrar un perfil (sus mensajes se quedan)",
+    "pt-BR": "Apagar um perfil (as mensagens ficam)",
+  },
+  "caltrix profile remove profile": PROFILE_OPTION_DESCRIPTIONS,
+  "caltrix format": {
+    ko: "줄 템플릿, 머리글/바닥글, 그룹, 색상 (저장 전 미리보기)",
+    "es-ES": "Plantilla de línea, cabecera/pie, agrupación y colores (con vista previa)",
+    "pt-BR": "Modelo de linha, cabeçalho/rodapé, agrupamento e cores (com prévia)",
+  },
+  "caltrix format set": {
+    ko: "레이아웃 변경; `default`는 초기화",
+    "es-ES": "Cambiar el diseño; `default` restablece un campo",
+    "pt-BR": "Mudar o layout; `default` restaura um campo",
+  },
+  "caltrix format set line": {
+    ko: "줄 템플릿, 예: [{date} | {time}] {emoji} {title} — {artist} • {link}",
+    "es-ES": "Plantilla de línea, p. ej. [{date} | {time}] {emoji} {title} — {artist} • {link}",
+    "pt-BR": "Modelo de linha, ex.: [{date} | {time}] {emoji} {title} — {artist} • {link}",
+  },
+  "caltrix format set header": {
+    ko: "임베드 제목, 자리표시자 {heading} {month}",
+    "es-ES": "Título del embed, marcadores {heading} {month}",
+    "pt-BR": "Título do embed, marcadores {heading} {month}",
+  },
+  "caltrix format set footer": {
+    ko: "임베드 바닥글, 자리표시자 {note} {tz}",
+    "es-ES": "Pie del embed, marcadores {note} {tz}",
+    "pt-BR": "Rodapé do embed, marcadores {note} {tz}",
+  },
+  "caltrix format set group": {
+    ko: "줄을 날짜, 주 또는 유형별로 묶기",
+    "es-ES": "Agrupar líneas por día, semana o tipo",
+    "pt-BR": "Agrupar linhas por dia, semana ou tipo",
+  },
+  "caltrix format set color": {
+    ko: "임베드 색상, 예: #FF66AA",
+    "es-ES": "Color del embed, p. ej. #FF66AA",
+    "pt-BR": "Cor do embed, ex.: #FF66AA",
+  },
+  "caltrix format type": {
+    ko: "한 유형의 이모지와 색상; `default`는 초기화",
+    "es-ES": "Emoji y color de un tipo; `default` restablece",
+    "pt-BR": "Emoji e cor de um tipo; `default` restaura",
+  },
+  "caltrix format type type": {
+    ko: "Notion의 Type 값 (예: Comeback)",
+    "es-ES": "Valor de Type en Notion, p. ej. Comeback",
+    "pt-BR": "Valor de Type no Notion, ex.: Comeback",
+  },
+  "caltrix format type emoji": {
+    ko: "{emoji} 에 표시할 이모지 (`none` 이면 숨김)",
+    "es-ES": "Emoji que se muestra en {emoji} (`none` lo oculta)",
+    "pt-BR": "Emoji mostrado em {emoji} (`none` o oculta)",
+  },
+  "caltrix format type color": {
+    ko: "유형별로 묶을 때 임베드 색상, 예: #FF66AA",
+    "es-ES": "Color del embed al agrupar por tipo, p. ej. #FF66AA",
+    "pt-BR": "Cor do embed ao agrupar por tipo, ex.: #FF66AA",
+  },
+  "caltrix format reset": {
+    ko: "기본 레이아웃으로 되돌리기",
+    "es-ES": "Volver al diseño original",
+    "pt-BR": "Voltar ao layout original",
+  },
+  "caltrix format show": { ko: "현재 형식 설정 보기", "es-ES": "Ver el formato actual", "pt-BR": "Ver o formato atual" },
+  "caltrix locale": {
+    ko: "일정과 멤버 응답의 언어, 사용자 지정 문구",
+    "es-ES": "Idioma de calendarios y respuestas, y frases propias",
+    "pt-BR": "Idioma da agenda e das respostas, e frases próprias",
+  },
+  "caltrix locale set": { ko: "서버 언어 선택", "es-ES": "Elegir el idioma del servidor", "pt-BR": "Escolher o idioma do servidor" },
+  "caltrix locale set language": { ko: "언어", "es-ES": "Idioma", "pt-BR": "Idioma" },
+  "caltrix locale string": {
+    ko: "문구 하나 바꾸기; `default`는 되돌리기",
+    "es-ES": "Cambiar una frase; `default` la restablece",
+    "pt-BR": "Trocar uma frase; `default` restaura",
+  },
+  "caltrix locale string key": { ko: "바꿀 문구", "es-ES": "Frase a reemplazar", "pt-BR": "Frase a substituir" },
+  "caltrix locale string text": {
+    ko: "새 문구 (원문처럼 {count} 같은 자리표시자 사용)",
+    "es-ES": "Texto nuevo (marcadores como {count}, igual que el original)",
+    "pt-BR": "Texto novo (marcadores como {count}, igual ao original)",
+  },
+  "caltrix locale show": {
+    ko: "언어와 바꾼 문구 보기",
+    "es-ES": "Ver el idioma y las frases cambiadas",
+    "pt-BR": "Ver o idioma e as frases trocadas",
+  },
+  "caltrix digest": {
+    ko: "월간 스레드와 별도로 주간·일간 요약 게시",
+    "es-ES": "Resúmenes semanales y diarios junto al calendario mensual",
+    "pt-BR": "Resumos semanais e diários junto à agenda mensal",
+  },
+  "caltrix digest set": {
+    ko: "요약 켜기 (또는 변경)",
+    "es-ES": "Activar (o cambiar) un resumen",
+    "pt-BR": "Ativar (ou mudar) um resumo",
+  },
+  "caltrix digest set kind": DIGEST_KIND_DESCRIPTIONS,
+  "caltrix digest set channel": {
+    ko: "올릴 채널 또는 스레드",
+    "es-ES": "Canal o hilo donde publicar",
+    "pt-BR": "Canal ou tópico onde publicar",
+  },
+  "caltrix digest set mode": {
+    ko: "매번 새 메시지 (기본) 또는 메시지 하나를 계속 수정",
+    "es-ES": "Un mensaje nuevo cada vez (por defecto) o uno que se mantiene al día",
+    "pt-BR": "Uma mensagem nova a cada vez (padrão) ou uma mantida atualizada",
+  },
+  "caltrix digest set time": {
+    ko: "현지 시각 HH:MM (기본 주간 09:00, 일간 08:00)",
+    "es-ES": "Hora local HH:MM (por defecto 09:00 semanal, 08:00 diario)",
+    "pt-BR": "Hora local HH:MM (padrão 09:00 semanal, 08:00 diário)",
+  },
+  "caltrix digest set types": {
+    ko: "오늘 요약 전용: 표시할 유형, 쉼표로 구분 (`all`, `default` = Birthday, Release)",
+    "es-ES": "Solo hoy: tipos a listar, separados por comas (`all`, `default` = Birthday, Release)",
+    "pt-BR": "Só hoje: tipos a listar, separados por vírgula (`all`, `default` = Birthday, Release)",
+  },
+  "caltrix digest off": { ko: "요약 끄기", "es-ES": "Desactivar un resumen", "pt-BR": "Desativar um resumo" },
+  "caltrix digest off kind": DIGEST_KIND_DESCRIPTIONS,
+  "caltrix digest send": { ko: "지금 요약 게시", "es-ES": "Publicar un resumen ahora", "pt-BR": "Publicar um resumo agora" },
+  "caltrix digest send kind": DIGEST_KIND_DESCRIPTIONS,
+  "caltrix digest status": {
+    ko: "요약 설정 보기",
+    "es-ES": "Ver los resúmenes",
+    "pt-BR": "Ver os resumos",
+  },
+  "caltrix schedule": {
+    ko: "이 서버의 자동 동기화",
+    "es-ES": "Sincronización automática",
+    "pt-BR": "Sincronização automática",
+  },
+  "caltrix schedule set": {
+    ko: "자동 동기화 켜기 (또는 변경)",
+    "es-ES": "Activar (o cambiar) la sincronización automática",
+    "pt-BR": "Ativar (ou mudar) a sincronização automática",
+  },
+  "caltrix schedule set interval_minutes": {
+    ko: "동기화 간격 (분)",
+    "es-ES": "Cada cuánto sincronizar (minutos)",
+    "pt-BR": "Com que frequência sincronizar (minutos)",
+  },
+  "caltrix schedule set rollover_time": {
+    ko: `월이 넘어가는 매일 시각 (HH:MM, 기본 ${DEFAULT_ROLLOVER_TIME})`,
+    "es-ES": `Hora diaria (HH:MM) en que cambian los meses (por defecto ${DEFAULT_ROLLOVER_TIME})`,
+    "pt-BR": `Horário diário (HH:MM) da virada dos meses (padrão ${DEFAULT_ROLLOVER_TIME})`,
+  },
+  "caltrix schedule pause": {
+    ko: "자동 동기화 일시정지",
+    "es-ES": "Pausar la sincronización automática",
+    "pt-BR": "Pausar a sincronização automática",
+  },
+  "caltrix schedule status": {
+    ko: "자동 동기화 상태 보기",
+    "es-ES": "Ver la sincronización automática",
+    "pt-BR": "Ver a sincronização automática",
+  },
+  "caltrix schedule review": {
+    ko: "검토 모드: /caltrix preview로만 게시",
+    "es-ES": "Modo revisión: publicar solo con /caltrix preview",
+    "pt-BR": "Modo revisão: publicar só com /caltrix preview",
+  },
+  "caltrix schedule review enabled": {
+    ko: "게시 전에 항상 미리보기 필요",
+    "es-ES": "Exigir una vista previa antes de publicar nada",
+    "pt-BR": "Exigir uma prévia antes de publicar qualquer coisa",
+  },
+  "caltrix schedule alerts": {
+    ko: "동기화 실패 (및 복구) 시 메시지 게시",
+    "es-ES": "Avisar cuando las sincronizaciones fallan (y se recuperan)",
+    "pt-BR": "Avisar quando as sincronizações falham (e voltam)",
+  },
+  "caltrix schedule alerts channel": {
+    ko: "로그 채널. 비워 두면 알림을 끕니다",
+    "es-ES": "Canal de registro; déjalo vacío para desactivar las alertas",
+    "pt-BR": "Canal de log; deixe vazio para desativar os alertas",
+  },
+};
+
+function localizeCommand(json, path = json.name) {
+  if (COMMAND_DESCRIPTIONS[path]) json.description_localizations = COMMAND_DESCRIPTIONS[path];
+  for (const option of json.options || []) localizeCommand(option, `${path} ${option.name}`);
+  return json;
+}
+
+const commands = [CaltrixCommand.toJSON(), ScheduleCommand.toJSON()].map((json) => localizeCommand(json));
+
+// ======================================================
+// DISCORD CLIENT
 // ======================================================
-// DISCORD FORMATTING
-// ======================================================
-function fmtLine(evt) {
-  const d = evt.dateObj;
-  const mon = d.toLocaleString("en-US", { month: "short" }).toUpperCase();
-  const day = String(d.getDate()).padStart(2, "0");
+if (!process.env.DISCORD_TOKEN) throw new Error("Missing DISCORD_TOKEN in env");
+if (!process.env.NOTION_TOKEN) throw new Error("Missing NOTION_TOKEN in env");
+if (!process.env.NOTION_INTEGRATION_NAME) {
+  logJson("warn", "NOTION_INTEGRATION_NAME not set (optional, but recommended)");
+}
+
+// Both tokens were checked above and are never logged
+logJson("info", "config", {
+  dataDir: DATA_DIR,
+  httpPort: HTTP_PORT ? Number(HTTP_PORT) : null,
+  defaultTimezone: DEFAULT_TIMEZONE,
+  notionIntegration: process.env.NOTION_INTEGRATION_NAME || null,
+});
+
+const discord = new DiscordClient({ intents: [GatewayIntentBits.Guilds] });
+
+discord.once("ready", async () => {
+  const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
+
+  // Global commands for multi-server bot
+  await rest.put(Routes.applicationCommands(discord.user.id), { body: commands });
+
+  logJson("info", "discord ready", { user: discord.user.tag, guilds: discord.guilds.cache.size, commands: commands.length });
+
+  startScheduler(discord);
+  startReminders(discord);
+  startDigests(discord);
+});
+
+// Gateway drops show up in the logs and flip /readyz until the client resumes
+discord.on("shardDisconnect", (event, shardId) => {
+  logJson("warn", "discord disconnected", { shard: shardId, code: event?.code ?? null });
+});
+discord.on("shardReconnecting", (shardId) => logJson("info", "discord reconnecting", { shard: shardId }));
+discord.on("shardResume", (shardId, replayed) => logJson("info", "discord resumed", { shard: shardId, replayed }));
+discord.on("error", (err) => logJson("error", "discord client error", errorFields(err)));
+
+const SCHEMA_UNMAPPED = "__none__";
+
+async function handleAutocomplete(interaction) {
+  if (!interaction.guildId) return interaction.respond([]);
+  const focused = interaction.options.getFocused(true);
+
+  if (focused.name === "profile") {
+    const query = String(focused.value || "").toLowerCase();
+    const cfg = getGuildCfg(interaction.guildId);
+    // Members only pick among schedules that can take submissions
+    const names =
+      interaction.commandName === "schedule" ? configuredProfiles(cfg).map((v) => v.profile) : profileNames(cfg);
+    return interaction.respond(names.filter((n) => n.includes(query)).slice(0, 25).map((n) => ({ name: n, value: n })));
+  }
+
+  if (interaction.commandName === "schedule") {
+    return interaction.respond(await scheduleAutocompleteChoices(interaction));
+  }
+  if (interaction.commandName !== "caltrix") return interaction.respond([]);
+  if (!memberCan(interaction, getGuildCfg(interaction.guildId), "view")) return interaction.respond([]);
+
+  const group = interaction.options.getSubcommandGroup(false);
+
+  if (group === "event" && focused.name === "search") {
+    const cfg = getGuildCfg(interaction.guildId);
+    if (!configuredProfiles(cfg).length) return interaction.respond([]);
+    const query = String(focused.value || "").toLowerCase();
+    const choices = (await getEditableEvents(interaction.guildId, cfg))
+      .filter((e) => e.title.toLowerCase().includes(query))
+      .slice(0, 25)
+      .map((e) => ({ name: fmtEventChoice(e), value: e.id }));
+    return interaction.respond(choices);
+  }
+
+  if (group === "locale" && focused.name === "key") {
+    const i18n = guildI18n(getGuildCfg(interaction.guildId));
+    const query = String(focused.value || "").toLowerCase();
+    const choices = Object.keys(STRINGS[DEFAULT_LOCALE])
+      .filter((key) => key.includes(query))
+      .slice(0, 25)
+      .map((key) => ({ name: `${key} — ${tr(i18n, key)}`.slice(0, 100), value: key }));
+    return interaction.respond(choices);
+  }
+
+  if (group === "schema" && focused.name === "column") {
+    const profile = normalizeProfileName(interaction.options.getString("profile"));
+    const cfg = profileCfg(getGuildCfg(interaction.guildId), profile);
+    if (!cfg?.notion?.databaseId) return interaction.respond([]);
+
+    const field = interaction.options.getString("field");
+    const allowed = NOTION_FIELD_TYPES[field] || [];
+    const columns = await getDatabaseColumns(cfg.notion.databaseId);
+    const query = String(focused.value || "").toLowerCase();
+
+    const choices = Object.entries(columns)
+      .filter(([name, type]) => (!allowed.length || allowed.includes(type)) && name.toLowerCase().includes(query))
+      .map(([name, type]) => ({ name: `${name} (${type})`.slice(0, 100), value: name.slice(0, 100) }));
+    if (field && !REQUIRED_NOTION_FIELDS.includes(field)) {
+      choices.unshift({ name: tr(guildI18n(cfg), "schema.unmapped_choice"), value: SCHEMA_UNMAPPED });
+    }
+    return interaction.respond(choices.slice(0, 25));
+  }
+
+  return interaction.respond([]);
+}
+
+discord.on("interactionCreate", async (interaction) => {
+  if (interaction.isAutocomplete()) {
+    await handleAutocomplete(interaction).catch((err) => {
+      logJson("error", "autocomplete failed", { guild: interaction.guildId, ...errorFields(err) });
+    });
+    return;
+  }
+
+  try {
+    if (interaction.isButton()) {
+      const [kind, action, token] = interaction.customId.split(":");
+      if (kind === "format") await handleFormatButton(interaction, action, token);
+      if (kind === "preview") await handlePreviewButton(interaction, action, token);
+      if (kind === "submit") await handleSubmissionButton(interaction, action, token);
+      if (kind === "restore") await handleRestoreButton(interaction, action, token);
+      return;
+    }
+
+    if (interaction.isModalSubmit()) {
+      const [kind, action, token] = interaction.customId.split(":");
+      if (kind === "submit") await handleSubmitModal(interaction, action, token);
+      return;
+    }
+
+    if (!interaction.isChatInputCommand()) return;
+    if (interaction.commandName !== "caltrix" && interaction.commandName !== "schedule") return;
+
+    const guildId = interaction.guildId;
+    if (!guildId) {
+      await interaction.reply({ content: tr(DEFAULT_I18N, "error.guild_only"), ephemeral: true });
+      return;
+    }
+
+    if (interaction.commandName === "schedule") {
+      await handleScheduleCommand(interaction);
+      return;
+    }
+
+    const denial = commandDenial(interaction, getGuildCfg(guildId));
+    if (denial) {
+      await interaction.reply({ content: denial, ephemeral: true });
+      return;
+    }
+
+    const i18n = guildI18n(getGuildCfg(guildId));
+
+    const group = interaction.options.getSubcommandGroup(false);
+    const sub = interaction.options.getSubcommand();
+    // Commands without a `profile` option work on the default profile
+    const profile = normalizeProfileName(interaction.options.getString("profile"));
+
+    // -------------------- SCHEDULE --------------------
+    if (group === "schedule") {
+      if (sub === "set") {
+        const intervalMinutes = interaction.options.getInteger("interval_minutes", true);
+        const rolloverInput = interaction.options.getString("rollover_time");
+
+        if (rolloverInput && !parseHHMM(rolloverInput)) {
+          await interaction.reply({ content: tr(i18n, "autosync.bad_rollover"), ephemeral: true });
+          return;
+        }
+
+        const existing = getGuildCfg(guildId)?.schedule || {};
+        const cfg = setGuildCfg(guildId, {
+          schedule: {
+            intervalMinutes,
+            rolloverTime: rolloverInput || existing.rolloverTime || DEFAULT_ROLLOVER_TIME,
+            paused: false,
+          },
+        });
+
+        await interaction.reply({
+          content: tr(i18n, "autosync.enabled") + "\n" + fmtScheduleStatus(guildId, cfg),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "pause") {
+        const existing = getGuildCfg(guildId);
+        if (!existing?.schedule?.intervalMinutes) {
+          await interaction.reply({ content: tr(i18n, "autosync.not_set"), ephemeral: true });
+          return;
+        }
+
+        setGuildCfg(guildId, { schedule: { paused: true } });
+        await interaction.reply({ content: tr(i18n, "autosync.paused_reply"), ephemeral: true });
+        return;
+      }
+
+      if (sub === "review") {
+        const enabled = interaction.options.getBoolean("enabled", true);
+        setGuildCfg(guildId, { review: { required: enabled } });
+        await interaction.reply({
+          content: tr(i18n, enabled ? "autosync.review_on" : "autosync.review_off"),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "status") {
+        await interaction.reply({
+          content: fmtScheduleStatus(guildId, getGuildCfg(guildId)),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "alerts") {
+        const channel = interaction.options.getChannel("channel");
+        setGuildCfg(guildId, { syncLog: { channelId: channel?.id || null } });
+        await interaction.reply({
+          content: channel
+            ? tr(i18n, "history.alerts_on", { channel: String(channel) })
+            : tr(i18n, "history.alerts_off"),
+          ephemeral: true,
+        });
+        return;
+      }
+    }
+
+    // -------------------- SETUP --------------------
+    if (!group && sub === "setup") {
+      const staffChannel = interaction.options.getChannel("staff_channel", true);
+      const threadThis = interaction.options.getString("thread_this", true);
+      const threadLast = interaction.options.getString("thread_last") || null;
+      const threadNext = interaction.options.getString("thread_next") || null;
+      const threadArchive = interaction.options.getString("thread_archive") || null;
+
+      if (!isValidProfileName(profile)) {
+        await interaction.reply({ content: tr(i18n, "profile.bad_name"), ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      const threads = { thisMonth: threadThis, lastMonth: threadLast, nextMonth: threadNext, archive: threadArchive };
+      const checks = await checkThreads(discord, guildId, threads, i18n);
+      if (checks.some((r) => !r.ok)) {
+        await interaction.editReply(tr(i18n, "setup.not_saved") + "\n\n" + fmtChecks(checks, i18n));
+        return;
+      }
+
+      setGuildCfg(guildId, { staffChannelId: staffChannel.id });
+      const cfg = setProfileCfg(guildId, profile, { threads });
+
+      const saved = profile !== DEFAULT_PROFILE ? tr(i18n, "setup.saved_profile", { profile }) : tr(i18n, "setup.saved");
+      await interaction.editReply(saved + "\n" + fmtProfileConfig(cfg, profile));
+      return;
+    }
+
+    // -------------------- NOTION SET --------------------
+    if (!group && sub === "notion") {
+      const link = interaction.options.getString("database_link", true);
+      const dbId = extractNotionDbIdFromUrl(link);
+
+      if (!dbId) {
+        await interaction.reply({ content: tr(i18n, "notion.bad_link"), ephemeral: true });
+        return;
+      }
+
+      if (!isValidProfileName(profile)) {
+        await interaction.reply({ content: tr(i18n, "profile.bad_name"), ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      // A different database means the old column mapping no longer applies
+      const previous = getGuildCfg(guildId)?.profiles?.[profile]?.notion;
+      const cfg = setProfileCfg(guildId, profile, {
+        notion: {
+          databaseId: dbId,
+          ...(previous?.databaseId && previous.databaseId !== dbId ? { props: undefined } : {}),
+        },
+      });
+
+      // Saved either way: sharing the database in Notion often comes after this step
+      const hint = profileHint(profile);
+      const checks = await checkNotionDatabase(dbId, resolveNotionProps(profileCfg(cfg, profile)), i18n, hint);
+      const next = tr(i18n, checks.every((r) => r.ok) ? "notion.next_sync" : "notion.next_doctor", { hint });
+      const saved = profile !== DEFAULT_PROFILE ? "notion.saved_profile" : "notion.saved";
+      await interaction.editReply(
+        tr(i18n, saved, { profile, id: dbId }) + "\n\n" + fmtChecks(checks, i18n) + `\n\n${next}`
+      );
+      return;
+    }
+
+    // -------------------- SCHEMA --------------------
+    if (group === "schema") {
+      const cfg = profileCfg(getGuildCfg(guildId), profile);
+      const databaseId = cfg?.notion?.databaseId;
+      if (!databaseId) {
+        throw localizedError("error.no_database", { hint: profileHint(profile) });
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      const columns = await getDatabaseColumns(databaseId, { fresh: true });
+
+      if (sub === "detect") {
+        const mapping = suggestSchemaMapping(columns);
+        setProfileCfg(guildId, profile, { notion: { props: mapping } });
+
+        const missing = REQUIRED_NOTION_FIELDS.filter((f) => !mapping[f]);
+        await interaction.editReply(
+          tr(i18n, "schema.detected") +
+            "\n" +
+            fmtSchemaMapping(mapping, i18n, columns) +
+            (missing.length ? `\n\n${tr(i18n, "schema.missing_required", { fields: missing.join(", ") })}` : "") +
+            `\n\n${tr(i18n, "schema.detect_next", { hint: profileHint(profile) })}`
+        );
+        return;
+      }
+
+      if (sub === "set") {
+        const field = interaction.options.getString("field", true);
+        const column = interaction.options.getString("column", true);
+        const props = { ...resolveNotionProps(cfg) };
+
+        if (column === SCHEMA_UNMAPPED) {
+          if (REQUIRED_NOTION_FIELDS.includes(field)) {
+            await interaction.editReply(tr(i18n, "schema.required_field", { field }));
+            return;
+          }
+          delete props[field];
+        } else {
+          const type = columns[column];
+          if (!type) {
+            await interaction.editReply(tr(i18n, "schema.no_column", { column }));
+            return;
+          }
+          if (!NOTION_FIELD_TYPES[field].includes(type)) {
+            const types = NOTION_FIELD_TYPES[field].join(", ");
+            await interaction.editReply(tr(i18n, "schema.wrong_type", { column, type, field, types }));
+            return;
+          }
+          props[field] = { name: column, type };
+        }
+
+        setProfileCfg(guildId, profile, { notion: { props } });
+        await interaction.editReply(tr(i18n, "schema.updated") + "\n" + fmtSchemaMapping(props, i18n, columns));
+        return;
+      }
+
+      if (sub === "show") {
+        const props = resolveNotionProps(cfg);
+        const source = cfg.notion.props ? "" : tr(i18n, "schema.defaults") + "\n";
+        await interaction.editReply(source + fmtSchemaMapping(props, i18n, columns));
+        return;
+      }
+    }
+
+    // -------------------- REMINDER --------------------
+    if (group === "reminder") {
+      const existing = getGuildCfg(guildId)?.reminders || {};
+
+      if (sub === "setup") {
+        const channel = interaction.options.getChannel("channel", true);
+        const leadInput = interaction.options.getString("lead_times");
+        const leadTimes = leadInput ? parseLeadTimes(leadInput) : existing.leadTimes || DEFAULT_REMINDER_LEADS;
+
+        if (!leadTimes?.length) {
+          await interaction.reply({ content: tr(i18n, "reminders.bad_leads"), ephemeral: true });
+          return;
+        }
+
+        const cfg = setGuildCfg(guildId, {
+          reminders: { channelId: channel.id, leadTimes, paused: false },
+        });
+        await interaction.reply({
+          content: tr(i18n, "reminders.enabled") + "\n" + fmtReminderStatus(cfg),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "role") {
+        const match = interaction.options.getString("match", true);
+        const name = interaction.options.getString("name", true).trim();
+        const role = interaction.options.getRole("role");
+        const mapKey = match === "type" ? "typeRoles" : "artistRoles";
+
+        const roles = { ...(existing[mapKey] || {}) };
+        if (role) roles[name] = role.id;
+        else delete roles[name];
+
+        const cfg = setGuildCfg(guildId, { reminders: { [mapKey]: roles } });
+        await interaction.reply({
+          content:
+            tr(i18n, role ? `reminders.${match}_role_set` : `reminders.${match}_role_removed`, { name, role: String(role) }) +
+            "\n\n" +
+            fmtReminderStatus(cfg),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "pause") {
+        if (!existing.channelId) {
+          await interaction.reply({ content: tr(i18n, "reminders.not_set"), ephemeral: true });
+          return;
+        }
+        setGuildCfg(guildId, { reminders: { paused: true } });
+        await interaction.reply({ content: tr(i18n, "reminders.paused_reply"), ephemeral: true });
+        return;
+      }
+
+      if (sub === "status") {
+        await interaction.reply({ content: fmtReminderStatus(getGuildCfg(guildId)), ephemeral: true });
+        return;
+      }
+    }
+
+    // -------------------- EXPORT --------------------
+    if (!group && sub === "export") {
+      const cfg = requireGuildCfg(guildId);
+      const thisMonth = monthKeyFromDate(new Date(), guildTimeZone(cfg));
+      const from = interaction.options.getString("from")?.trim() || thisMonth;
+      const to = interaction.options.getString("to")?.trim() || from;
+      const isMonth = (v) => /^\d{4}-(0[1-9]|1[0-2])$/.test(v);
+
+      if (!isMonth(from) || !isMonth(to) || to < from) {
+        await interaction.reply({ content: tr(i18n, "export.bad_range"), ephemeral: true });
+        return;
+      }
+      if (shiftMonthKey(from, ICS_EXPORT_MAX_MONTHS - 1) < to) {
+        await interaction.reply({ content: tr(i18n, "export.too_long", { count: ICS_EXPORT_MAX_MONTHS }), ephemeral: true });
+        return;
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+      const ics = await buildGuildIcs(guildId, cfg, from, to, `${interaction.guild?.name || "Caltrix"} schedule`);
+      const fileName = from === to ? `schedule-${from}.ics` : `schedule-${from}_${to}.ics`;
+      await interaction.editReply({
+        content: tr(i18n, "export.done", { months: from === to ? from : `${from} → ${to}` }),
+        files: [new AttachmentBuilder(Buffer.from(ics, "utf8"), { name: fileName })],
+      });
+      return;
+    }
+
+    // -------------------- FEED --------------------
+    if (group === "feed") {
+      const existing = getGuildCfg(guildId)?.ics || {};
+      const serverNote = HTTP_PORT ? "" : `\n${tr(i18n, "feed.no_server")}`;
+
+      if (sub === "show" || sub === "rotate") {
+        const token = sub === "rotate" || !existing.token ? newFeedToken() : existing.token;
+        setGuildCfg(guildId, {
+          ics: { token, name: existing.name || `${interaction.guild?.name || "Caltrix"} schedule` },
+        });
+        await interaction.reply({
+          content:
+            (sub === "rotate" ? `${tr(i18n, "feed.rotated")}\n` : "") +
+            tr(i18n, "feed.link", { url: `<${feedUrl(token)}>` }) +
+            serverNote,
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "off") {
+        setGuildCfg(guildId, { ics: { token: null } });
+        await interaction.reply({ content: tr(i18n, "feed.disabled"), ephemeral: true });
+        return;
+      }
+    }
+
+    // -------------------- CHANGELOG --------------------
+    if (group === "changelog") {
+      if (sub === "set") {
+        const channel = interaction.options.getChannel("channel", true);
+        setGuildCfg(guildId, { changelog: { channelId: channel.id } });
+        await interaction.reply({
+          content: tr(i18n, "changelog.enabled", { channel: String(channel) }),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "off") {
+        setGuildCfg(guildId, { changelog: { channelId: null } });
+        await interaction.reply({ content: tr(i18n, "changelog.disabled"), ephemeral: true });
+        return;
+      }
+    }
+
+    // -------------------- DIGEST --------------------
+    if (group === "digest") {
+      const cfg = getGuildCfg(guildId) || {};
+
+      if (sub === "status") {
+        await interaction.reply({ content: fmtDigestStatus(guildId, cfg), ephemeral: true });
+        return;
+      }
+
+      const kind = interaction.options.getString("kind", true);
+      const name = tr(i18n, `digest.${kind}`);
+
+      if (sub === "set") {
+        const channel = interaction.options.getChannel("channel", true);
+        const mode = interaction.options.getString("mode");
+        const time = interaction.options.getString("time");
+        const types = interaction.options.getString("types");
+
+        if (time && !parseHHMM(time)) {
+          await interaction.reply({ content: tr(i18n, "digest.bad_time"), ephemeral: true });
+          return;
+        }
+        if (types != null && kind !== "today") {
+          await interaction.reply({ content: tr(i18n, "digest.types_today_only"), ephemeral: true });
+          return;
+        }
+
+        const existing = cfg.digests?.[kind] || {};
+        const next = {
+          ...existing,
+          channelId: channel.id,
+          mode: mode || existing.mode || "post",
+          time: time ? time.trim() : existing.time || DEFAULT_DIGEST_TIMES[kind],
+        };
+        if (types != null) {
+          const value = types.trim().toLowerCase();
+          if (value === "default") delete next.types;
+          else next.types = value === "all" ? [] : parseList(types);
+        }
+
+        // A new channel starts a new managed message
+        if (existing.channelId && existing.channelId !== channel.id) {
+          setMetaEntry(digestStateKey(guildId, kind), { messageIds: undefined });
+        }
+        const updated = setGuildCfg(guildId, { digests: { ...(cfg.digests || {}), [kind]: next } });
+        await interaction.reply({
+          content:
+            tr(i18n, "digest.enabled", { name, channel: String(channel) }) + "\n" + fmtDigestStatus(guildId, updated),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "off") {
+        setGuildCfg(guildId, { digests: { ...(cfg.digests || {}), [kind]: undefined } });
+        await interaction.reply({ content: tr(i18n, "digest.disabled", { name }), ephemeral: true });
+        return;
+      }
+
+      if (sub === "send") {
+        if (!isDigestActive(cfg, kind)) {
+          await interaction.reply({ content: tr(i18n, "digest.off", { name, kind }), ephemeral: true });
+          return;
+        }
+        await interaction.deferReply({ ephemeral: true });
+        const count = await postDigest(discord, guildId, cfg, kind);
+        await interaction.editReply(
+          trCount(i18n, "digest.sent", count, { name, channel: `<#${cfg.digests[kind].channelId}>` })
+        );
+        return;
+      }
+    }
+
+    // -------------------- MIRROR --------------------
+    if (group === "mirror") {
+      if (sub === "set") {
+        const typesInput = interaction.options.getString("types");
+        const patch = { enabled: true };
+        if (typesInput != null) patch.types = parseList(typesInput);
+
+        const cfg = setGuildCfg(guildId, { mirror: patch });
+        await interaction.reply({
+          content: tr(i18n, "mirror.enabled", { types: mirrorTypes(cfg).join(", ") }),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "off") {
+        setGuildCfg(guildId, { mirror: { enabled: false } });
+        await interaction.reply({ content: tr(i18n, "mirror.disabled"), ephemeral: true });
+        return;
+      }
+
+      if (sub === "status") {
+        const cfg = getGuildCfg(guildId);
+        const linked = Object.keys(loadMetaAll()[mirrorStateKey(guildId)]?.links || {}).length;
+        await interaction.reply({
+          content: tr(i18n, "mirror.status", {
+            state: tr(i18n, isMirrorActive(cfg) ? "common.enabled" : "common.disabled"),
+            types: mirrorTypes(cfg).join(", "),
+            linked,
+          }),
+          ephemeral: true,
+        });
+        return;
+      }
+    }
 
-  const timePart = evt.timeText ? ` | ${evt.timeText}` : "";
+    // -------------------- RECURRING --------------------
+    if (group === "recurring") {
+      if (sub === "set") {
+        const type = interaction.options.getString("type", true).trim();
+        const kind = interaction.options.getString("kind", true);
+        const current = getGuildCfg(guildId)?.recurring?.types || {};
 
-  const emoji =
-    evt.type === "Birthday" ? "🎂 " :
-    evt.type === "Comeback" ? "🔔 " :
-    evt.type === "Release" ? "💿 " :
-    evt.type === "Event" ? "📍 " :
-    evt.type === "Concert" ? "🎤 ":
-    evt.type === "Debut" ? "✨ ":
-    evt.type === "Award" ? "🏆 ":
-    "";
+        // "off" is stored so built-in defaults can be turned off too
+        const types = { ...current, [type]: kind };
+        if (kind === "off" && !DEFAULT_RECURRING_TYPES[type]) delete types[type];
+        setGuildCfg(guildId, { recurring: { types } });
 
-  // Clean metadata: Artist • Members • Location
-  const metaParts = [];
-  if (evt.artistText) metaParts.push(evt.artistText);
-  if (evt.memberText) metaParts.push(evt.memberText);
-  if (evt.location) metaParts.push(evt.location);
+        await interaction.reply({
+          content: tr(i18n, `recurring.set_${kind}`, { type }),
+          ephemeral: true,
+        });
+        return;
+      }
 
-  const meta = metaParts.length ? ` — ${metaParts.join(" • ")}` : "";
-  const link = evt.link ? ` • [🔗 Link](${evt.link})` : "";
+      if (sub === "countdown") {
+        const count = interaction.options.getInteger("count", true);
+        setGuildCfg(guildId, { countdown: { count } });
+        await interaction.reply({
+          content: count ? trCount(i18n, "recurring.countdown_on", count) : tr(i18n, "recurring.countdown_off"),
+          ephemeral: true,
+        });
+        return;
+      }
 
-  return `[${mon} ${day}${timePart}] ${emoji}${evt.title}${meta}${link}`.trim();
-}
+      if (sub === "status") {
+        const cfg = getGuildCfg(guildId);
+        const types = Object.entries(resolveRecurringTypes(cfg))
+          .map(([type, kind]) => `${type} → ${kind}`)
+          .join(", ");
+        const count = countdownCount(cfg);
+        await interaction.reply({
+          content: tr(i18n, "recurring.status", {
+            types: types || tr(i18n, "common.none"),
+            countdown: count ? tr(i18n, "recurring.next", { count }) : tr(i18n, "common.off"),
+          }),
+          ephemeral: true,
+        });
+        return;
+      }
+    }
 
-function buildEmbed(monthKey, events, tzLabel = "KST") {
-  const title = `Schedule — ${fmtMonthTitle(monthKey)}`;
-  const body = events.length ? events.map(fmtLine).join("\n") : "_No upcoming entries._";
+    // -------------------- EVENT --------------------
+    if (group === "event" && sub === "done") {
+      const cfg = requireGuildCfg(guildId);
 
-  return new EmbedBuilder()
-    .setTitle(title)
-    .setDescription(body)
-    .setFooter({ text: `Synced from Notion • ${tzLabel}` });
-}
+      const search = interaction.options.getString("search", true).trim();
+      const status = interaction.options.getString("status")?.trim() || DONE_STATUS;
+      await interaction.deferReply({ ephemeral: true });
 
-// ======================================================
-// PERSISTENT MESSAGE PER THREAD (per guild + per scope)
-// ======================================================
-function loadMetaAll() {
-  return loadJson(META_FILE, {});
-}
-function saveMetaAll(meta) {
-  saveJson(META_FILE, meta);
-}
+      // Autocomplete passes the page ID; typed text is matched against titles
+      let pageId = isNotionPageId(search) ? search : null;
+      if (!pageId) {
+        const matches = (await getEditableEvents(guildId, cfg)).filter((e) =>
+          e.title.toLowerCase().includes(search.toLowerCase())
+        );
+        if (matches.length !== 1) {
+          const list = matches.slice(0, 10).map((e) => `• ${fmtEventChoice(e)}`).join("\n");
+          await interaction.editReply(
+            matches.length ? tr(i18n, "event.several", { list }) : tr(i18n, "event.none", { search })
+          );
+          return;
+        }
+        pageId = matches[0].id;
+      }
+
+      const { title, view } = await setEventStatus(guildId, cfg, pageId, status);
+      const synced = await syncAfterWrite(guildId, view, { actor: interaction.user.id, via: "event done" });
+      await interaction.editReply(tr(i18n, "event.done", { title, status, synced }));
+      return;
+    }
 
-async function ensureScheduleMessage(channelOrThread, metaKey) {
-  const meta = loadMetaAll();
-  const msgId = meta[metaKey]?.messageId;
+    // -------------------- PERMISSIONS --------------------
+    if (group === "permissions") {
+      const existing = getGuildCfg(guildId)?.permissions || {};
 
-  if (msgId) {
-    try {
-      return await channelOrThread.messages.fetch(msgId);
-    } catch {
-      // recreate
+      if (sub === "grant" || sub === "revoke") {
+        const role = interaction.options.getRole("role", true);
+        const action = interaction.options.getString("action", true);
+        const current = (existing.roles?.[action] || []).filter((id) => id !== role.id);
+        const next = sub === "grant" ? [...current, role.id] : current;
+
+        const cfg = setGuildCfg(guildId, {
+          permissions: { roles: { ...(existing.roles || {}), [action]: next.length ? next : undefined } },
+        });
+        await interaction.reply({ content: fmtPermissions(cfg), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (sub === "channel") {
+        const channel = interaction.options.getChannel("channel", true);
+        const allowed = interaction.options.getBoolean("allowed", true);
+        const current = (existing.channels || []).filter((id) => id !== channel.id);
+        const next = allowed ? [...current, channel.id] : current;
+
+        const cfg = setGuildCfg(guildId, { permissions: { channels: next } });
+        await interaction.reply({ content: fmtPermissions(cfg), ephemeral: true, allowedMentions: { parse: [] } });
+        return;
+      }
+
+      if (sub === "show") {
+        await interaction.reply({
+          content: fmtPermissions(getGuildCfg(guildId)),
+          ephemeral: true,
+          allowedMentions: { parse: [] },
+        });
+        return;
+      }
     }
-  }
 
-  const created = await channelOrThread.send("Initializing schedule…");
-  meta[metaKey] = { messageId: created.id };
-  saveMetaAll(meta);
-  return created;
-}
+    // -------------------- BACKUP --------------------
+    if (group === "backup") {
+      if (sub === "export") {
+        const backup = buildBackup(guildId);
+        const fileName = `caltrix-backup-${guildId}-${backup.exportedAt.slice(0, 10)}.json`;
+        await interaction.reply({
+          content: tr(i18n, "backup.exported"),
+          files: [new AttachmentBuilder(Buffer.from(JSON.stringify(backup, null, 2), "utf8"), { name: fileName })],
+          ephemeral: true,
+        });
+        return;
+      }
 
-async function publishSchedule(discord, threadId, databaseId, monthKey, metaKey, tzLabel) {
-  if (!threadId) return 0;
+      if (sub === "restore") {
+        const file = interaction.options.getAttachment("file", true);
+        if (file.size > BACKUP_MAX_BYTES) {
+          await interaction.reply({ content: tr(i18n, "backup.too_large"), ephemeral: true });
+          return;
+        }
 
-  const events = await queryNotionForMonth(databaseId, monthKey);
+        await interaction.deferReply({ ephemeral: true });
+        const res = await fetch(file.url);
+        if (!res.ok) throw localizedError("backup.download_failed", { status: res.status });
+        const backup = parseBackup(await res.text(), guildId);
 
-  const thread = await discord.channels.fetch(threadId);
-  if (!thread) throw new Error(`Thread not found or no access: ${threadId}`);
+        const token = stagePending("restore", guildId, interaction.user.id, backup);
+        await interaction.editReply({
+          content: tr(i18n, "backup.confirm") + "\n" + fmtBackupSummary(backup, i18n),
+          components: [confirmButtons("restore", token, tr(i18n, "button.restore"), i18n)],
+        });
+        return;
+      }
+    }
 
-  const msg = await ensureScheduleMessage(thread, metaKey);
-  const embed = buildEmbed(monthKey, events, tzLabel);
+    // -------------------- PROFILE --------------------
+    if (group === "profile") {
+      const cfg = getGuildCfg(guildId);
 
-  await msg.edit({ content: "", embeds: [embed] });
-  return events.length;
-}
+      if (sub === "list") {
+        const lines = profileNames(cfg).map((name) => {
+          const view = profileCfg(cfg, name);
+          const threads = Object.values(SCOPE_THREAD_KEYS).filter((k) => view.threads?.[k]).length;
+          const database = tr(i18n, view.notion?.databaseId ? "profile.database_set" : "profile.no_database");
+          return trCount(i18n, "profile.line", threads, { name, database });
+        });
+        await interaction.reply({
+          content: lines.length ? lines.join("\n") : tr(i18n, "profile.none"),
+          ephemeral: true,
+        });
+        return;
+      }
 
-// ======================================================
-// SLASH COMMANDS (ADMIN ONLY)
-// ======================================================
-const CaltrixCommand = new SlashCommandBuilder()
-  .setName("caltrix")
-  .setDescription("Caltrix schedule bot (admin only)")
-  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      if (sub === "remove") {
+        if (!cfg?.profiles?.[profile]) {
+          await interaction.reply({ content: tr(i18n, "profile.missing", { profile }), ephemeral: true });
+          return;
+        }
+        // `undefined` drops the key on save
+        setGuildCfg(guildId, { profiles: { [profile]: undefined } });
+        invalidateGuildEventCache(guildId);
+        await interaction.reply({ content: tr(i18n, "profile.removed", { profile }), ephemeral: true });
+        return;
+      }
+    }
 
-  .addSubcommand((sc) =>
-    sc
-      .setName("setup")
-      .setDescription("Configure this server (staff channel + threads)")
-      .addChannelOption((o) =>
-        o
-          .setName("staff_channel")
-          .setDescription("Channel where /caltrix commands are allowed")
-          .setRequired(true)
-      )
-      .addStringOption((o) =>
-        o
-          .setName("thread_this")
-          .setDescription("Thread ID for THIS month schedule")
-          .setRequired(true)
-      )
-      .addStringOption((o) =>
-        o
-          .setName("thread_last")
-          .setDescription("Thread ID for LAST month schedule")
-          .setRequired(false)
-      )
-      .addStringOption((o) =>
-        o
-          .setName("thread_next")
-          .setDescription("Thread ID for NEXT month schedule")
-          .setRequired(false)
-      )
-      .addStringOption((o) =>
-        o
-          .setName("thread_archive")
-          .setDescription("Thread ID for ARCHIVE (optional)")
-          .setRequired(false)
-      )
-  )
+    // -------------------- FORMAT --------------------
+    if (group === "format") {
+      const cfg = getGuildCfg(guildId) || {};
+      const current = cfg.format || {};
+      const isDefault = (v) => v.trim().toLowerCase() === "default";
 
-  .addSubcommand((sc) =>
-    sc
-      .setName("notion")
-      .setDescription("Configure Notion database for this server")
-      .addStringOption((o) =>
-        o
-          .setName("database_link")
-          .setDescription("Paste a Notion database link (the bot extracts the DB id)")
-          .setRequired(true)
-      )
-  )
+      if (sub === "show") {
+        await interaction.reply({ content: fmtFormatSettings(cfg), ephemeral: true });
+        return;
+      }
 
-  .addSubcommand((sc) =>
-    sc.setName("config").setDescription("Show config for this server")
-  )
+      if (sub === "reset") {
+        await replyWithFormatPreview(interaction, cfg, null);
+        return;
+      }
 
-  .addSubcommand((sc) =>
-    sc
-      .setName("sync")
-      .setDescription("Sync from Notion and update schedule message")
-      .addStringOption((o) =>
-        o
-          .setName("scope")
-          .setDescription("this | last | next | all")
-          .setRequired(false)
-      )
-      .addStringOption((o) =>
-        o
-          .setName("tz")
-          .setDescription("Footer label (e.g. KST)")
-          .setRequired(false)
-      )
-  );
+      if (sub === "set") {
+        const next = { ...current };
+        const templates = [
+          ["line", LINE_PLACEHOLDERS],
+          ["header", HEADER_PLACEHOLDERS],
+          ["footer", FOOTER_PLACEHOLDERS],
+        ];
+        for (const [name, allowed] of templates) {
+          const value = interaction.options.getString(name);
+          if (value == null) continue;
+          if (isDefault(value)) {
+            delete next[name];
+            continue;
+          }
+          const unknown = unknownPlaceholders(value, allowed);
+          if (unknown.length) {
+            await interaction.reply({
+              content: tr(i18n, "format.unknown_placeholder", {
+                name,
+                unknown: unknown.map((p) => `{${p}}`).join(", "),
+                allowed: allowed.map((p) => `{${p}}`).join(" "),
+              }),
+              ephemeral: true,
+            });
+            return;
+          }
+          next[name] = value;
+        }
 
-const commands = [CaltrixCommand.toJSON()];
+        const grouping = interaction.options.getString("group");
+        if (grouping) next.group = grouping;
 
-// ======================================================
-// DISCORD CLIENT
-// ======================================================
-if (!process.env.DISCORD_TOKEN) throw new Error("Missing DISCORD_TOKEN in env");
-if (!process.env.NOTION_TOKEN) throw new Error("Missing NOTION_TOKEN in env");
-if (!process.env.NOTION_INTEGRATION_NAME) {
-  console.warn("NOTION_INTEGRATION_NAME not set (optional, but recommended).");
-}
+        const color = interaction.options.getString("color");
+        if (color != null) {
+          if (isDefault(color)) delete next.color;
+          else if (parseColor(color) == null) {
+            await interaction.reply({ content: tr(i18n, "format.bad_color"), ephemeral: true });
+            return;
+          } else next.color = color.trim();
+        }
 
-console.log("DEBUG env:", {
-  DISCORD_TOKEN: process.env.DISCORD_TOKEN ? "set" : "missing",
-  NOTION_TOKEN: process.env.NOTION_TOKEN ? "set" : "missing",
-});
+        await replyWithFormatPreview(interaction, cfg, next);
+        return;
+      }
 
-const discord = new DiscordClient({ intents: [GatewayIntentBits.Guilds] });
+      if (sub === "type") {
+        const type = interaction.options.getString("type", true).trim();
+        const emoji = interaction.options.getString("emoji");
+        const color = interaction.options.getString("color");
+        if (emoji == null && color == null) {
+          await interaction.reply({ content: tr(i18n, "format.type_empty"), ephemeral: true });
+          return;
+        }
 
-discord.once("ready", async () => {
-  const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
+        const emojis = { ...(current.emojis || {}) };
+        if (emoji != null) {
+          if (isDefault(emoji)) delete emojis[type];
+          // "" overrides a built-in emoji with nothing
+          else emojis[type] = emoji.trim().toLowerCase() === "none" ? "" : emoji.trim();
+        }
 
-  // Global commands for multi-server bot
-  await rest.put(Routes.applicationCommands(discord.user.id), { body: commands });
+        const colors = { ...(current.colors || {}) };
+        if (color != null) {
+          if (isDefault(color)) delete colors[type];
+          else if (parseColor(color) == null) {
+            await interaction.reply({ content: tr(i18n, "format.bad_color"), ephemeral: true });
+            return;
+          } else colors[type] = color.trim();
+        }
 
-  console.log(`Logged in as ${discord.user.tag} and registered global commands.`);
-});
+        await replyWithFormatPreview(interaction, cfg, { ...current, emojis, colors });
+        return;
+      }
+    }
 
-discord.on("interactionCreate", async (interaction) => {
-  try {
-    if (!interaction.isChatInputCommand()) return;
-    if (interaction.commandName !== "caltrix") return;
+    // -------------------- LOCALE --------------------
+    if (group === "locale") {
+      const cfg = getGuildCfg(guildId) || {};
 
-    const guildId = interaction.guildId;
-    if (!guildId) {
-      await interaction.reply({ content: "Use this command in a server.", ephemeral: true });
-      return;
+      if (sub === "show") {
+        await interaction.reply({ content: fmtLocaleSettings(cfg), ephemeral: true });
+        return;
+      }
+
+      if (sub === "set") {
+        const language = interaction.options.getString("language", true);
+        const updated = setGuildCfg(guildId, { locale: { language } });
+        // Confirmed in the language just picked
+        await interaction.reply({
+          content: tr(guildI18n(updated), "locale.set", { name: LOCALES[language] }),
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "string") {
+        const key = interaction.options.getString("key", true).trim();
+        const text = interaction.options.getString("text", true).trim();
+        if (!Object.hasOwn(STRINGS[DEFAULT_LOCALE], key)) {
+          await interaction.reply({ content: tr(i18n, "locale.unknown_key", { key }), ephemeral: true });
+          return;
+        }
+
+        const strings = { ...(cfg.locale?.strings || {}) };
+        if (text.toLowerCase() === "default") delete strings[key];
+        else {
+          const allowed = stringPlaceholders(key);
+          const unknown = unknownPlaceholders(text, allowed);
+          if (unknown.length) {
+            await interaction.reply({
+              content: tr(i18n, "format.unknown_placeholder", {
+                name: `\`${key}\``,
+                unknown: unknown.map((p) => `{${p}}`).join(", "),
+                allowed: allowed.length ? allowed.map((p) => `{${p}}`).join(" ") : tr(i18n, "common.none"),
+              }),
+              ephemeral: true,
+            });
+            return;
+          }
+          strings[key] = text;
+        }
+
+        setGuildCfg(guildId, { locale: { strings } });
+        await interaction.reply({
+          content:
+            (key in strings
+              ? tr(i18n, "locale.string_set", { key, text: strings[key] })
+              : tr(i18n, "locale.string_reset", { key })) +
+            "\n" +
+            tr(i18n, "common.resync"),
+          ephemeral: true,
+        });
+        return;
+      }
     }
 
-    const sub = interaction.options.getSubcommand();
+    // -------------------- ARCHIVE --------------------
+    if (!group && sub === "archive") {
+      const cfg = requireGuildCfg(guildId, profile);
+      const monthKey = interaction.options.getString("month", true).trim();
 
-    // -------------------- SETUP --------------------
-    if (sub === "setup") {
-      const staffChannel = interaction.options.getChannel("staff_channel", true);
-      const threadThis = interaction.options.getString("thread_this", true);
-      const threadLast = interaction.options.getString("thread_last") || null;
-      const threadNext = interaction.options.getString("thread_next") || null;
-      const threadArchive = interaction.options.getString("thread_archive") || null;
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(monthKey)) {
+        await interaction.reply({ content: tr(i18n, "archive.bad_month"), ephemeral: true });
+        return;
+      }
 
-      const cfg = setGuildCfg(guildId, {
-        staffChannelId: staffChannel.id,
-        threads: {
-          thisMonth: threadThis,
-          lastMonth: threadLast,
-          nextMonth: threadNext,
-          archive: threadArchive,
-        },
-      });
+      await interaction.deferReply({ ephemeral: true });
 
-      await interaction.reply({
-        content:
-          "Saved config for this server:\n```json\n" +
-          JSON.stringify(cfg, null, 2) +
-          "\n```",
-        ephemeral: true,
-      });
+      const previously = archivedMonths(guildId, profile)[monthKey];
+      const n = await postArchiveSnapshot(discord, guildId, cfg, monthKey);
+      await interaction.editReply(trCount(i18n, previously ? "archive.reposted" : "archive.posted", n, { month: monthKey }));
       return;
     }
 
-    // -------------------- NOTION SET --------------------
-    if (sub === "notion") {
-      const link = interaction.options.getString("database_link", true);
-      const dbId = extractNotionDbIdFromUrl(link);
+    // -------------------- FILTER --------------------
+    if (group === "filter") {
+      const cfg = profileCfg(getGuildCfg(guildId), profile) || {};
+      // Before setup there is no profile view yet; the shared config still has the language and styles
+      const summary = (updated) => fmtFilterSummary(profileCfg(updated, profile) || updated);
 
-      if (!dbId) {
+      if (sub === "set") {
+        const scope = interaction.options.getString("scope", true);
+        const statuses = interaction.options.getString("statuses");
+        const includeTypes = interaction.options.getString("include_types");
+        const excludeTypes = interaction.options.getString("exclude_types");
+        const isClear = (v) => ["all", "none", "-"].includes(v.trim().toLowerCase());
+
+        const rule = { ...(cfg.filters?.[scope] || {}) };
+        if (statuses != null) rule.statuses = isClear(statuses) ? [] : parseList(statuses);
+        if (includeTypes != null) rule.includeTypes = isClear(includeTypes) ? [] : parseList(includeTypes);
+        if (excludeTypes != null) rule.excludeTypes = isClear(excludeTypes) ? [] : parseList(excludeTypes);
+
+        const updated = setProfileCfg(guildId, profile, { filters: { [scope]: rule } });
         await interaction.reply({
-          content:
-            "I couldn't find a Notion database ID in that link. Please paste the database link (it contains a 32-char id).",
+          content: `${tr(i18n, "filter.saved", { scope })}\n\n${summary(updated)}`,
           ephemeral: true,
         });
         return;
       }
 
-      const cfg = setGuildCfg(guildId, {
-        notion: { databaseId: dbId },
-      });
+      if (sub === "clear") {
+        const scope = interaction.options.getString("scope", true);
+        const updated = setProfileCfg(guildId, profile, { filters: { [scope]: undefined } });
+        await interaction.reply({
+          content: `${tr(i18n, "filter.cleared", { scope })}\n\n${summary(updated)}`,
+          ephemeral: true,
+        });
+        return;
+      }
+
+      if (sub === "style") {
+        const status = interaction.options.getString("status", true).trim();
+        const style = interaction.options.getString("style", true);
+        const updated = setGuildCfg(guildId, { statusStyles: { [status]: style } });
+        await interaction.reply({
+          content: `${tr(i18n, "filter.styled", { status, style })}\n\n${summary(updated)}`,
+          ephemeral: true,
+        });
+        return;
+      }
+    }
+
+    // -------------------- TIMEZONE --------------------
+    if (!group && sub === "timezone") {
+      const zone = interaction.options.getString("zone", true).trim();
+      const label = interaction.options.getString("label")?.trim() || null;
 
-      const integrationName = process.env.NOTION_INTEGRATION_NAME || "Caltrix";
+      if (!isValidTimeZone(zone)) {
+        await interaction.reply({ content: tr(i18n, "timezone.invalid", { zone }), ephemeral: true });
+        return;
+      }
+
+      setGuildCfg(guildId, { timezone: zone, timezoneLabel: label });
+
+      const now = zonedParts(new Date(), zone);
       await interaction.reply({
         content:
-          `Saved Notion DB for this server.\n\n` +
-          `**Next step (required):** Open that Notion database → **Share** → invite the integration **${integrationName}**.\n\n` +
-          `Then run: **/caltrix sync**\n\n` +
-          `Stored DB ID: \`${dbId}\``,
+          tr(i18n, label ? "timezone.set_label" : "timezone.set", { zone, label }) +
+          "\n" +
+          tr(i18n, "timezone.local_time", {
+            time: `${now.year}-${pad2(now.month)}-${pad2(now.day)} ${pad2(now.hour)}:${pad2(now.minute)}`,
+          }) +
+          " " +
+          tr(i18n, "common.resync"),
         ephemeral: true,
       });
       return;
     }
 
+    // -------------------- HISTORY --------------------
+    if (!group && sub === "history") {
+      const limit = interaction.options.getInteger("limit") || DEFAULT_HISTORY_LIMIT;
+      await interaction.reply({ content: fmtSyncHistory(guildId, getGuildCfg(guildId), limit), ephemeral: true });
+      return;
+    }
+
+    // -------------------- DOCTOR --------------------
+    if (!group && sub === "doctor") {
+      await interaction.deferReply({ ephemeral: true });
+      const results = await runDiagnostics(discord, guildId, profile);
+      const title = tr(i18n, "doctor.title", { profile: profile !== DEFAULT_PROFILE ? ` — ${profile}` : "" });
+      await interaction.editReply(`${title}\n${fmtChecks(results, i18n)}`);
+      return;
+    }
+
     // -------------------- CONFIG --------------------
-    if (sub === "config") {
+    if (!group && sub === "config") {
       const cfg = getGuildCfg(guildId);
       await interaction.reply({
-        content: "```json\n" + JSON.stringify(cfg || {}, null, 2) + "\n```",
+        content: fmtProfileConfig(cfg, profile) + "\n" + fmtFilterSummary(profileCfg(cfg, profile) || cfg),
         ephemeral: true,
       });
       return;
     }
 
+    // -------------------- PREVIEW --------------------
+    if (!group && sub === "preview") {
+      const cfg = requireGuildCfg(guildId, profile);
+      await replyWithSchedulePreview(interaction, cfg, normalizeScope(interaction.options.getString("scope")));
+      return;
+    }
+
     // -------------------- SYNC --------------------
-    if (sub === "sync") {
-      const cfg = requireGuildCfg(guildId);
+    if (!group && sub === "sync") {
+      const cfg = requireGuildCfg(guildId, profile);
 
-      // Only allow usage in configured staff channel
-      if (interaction.channelId !== cfg.staffChannelId) {
-        await interaction.reply({
-          content: "Use this command in the configured staff channel.",
-          ephemeral: true,
-        });
+      if (isReviewRequired(cfg)) {
+        await interaction.reply({ content: tr(i18n, "sync.review_on"), ephemeral: true });
         return;
       }
 
-      const scope = (interaction.options.getString("scope") || "this").toLowerCase();
-      const tzLabel = interaction.options.getString("tz") || "KST";
-
-      const now = new Date();
-      const thisMonth = monthKeyFromDate(now);
-      const lastMonth = monthKeyFromDate(new Date(now.getFullYear(), now.getMonth() - 1, 1));
-      const nextMonth = monthKeyFromDate(new Date(now.getFullYear(), now.getMonth() + 1, 1));
-
-      const t = cfg.threads || {};
-      const databaseId = cfg.notion.databaseId;
+      const scope = normalizeScope(interaction.options.getString("scope"));
+      const tzLabel = interaction.options.getString("tz") || null;
 
       await interaction.deferReply({ ephemeral: true });
 
-      const doThis = async () =>
-        publishSchedule(discord, t.thisMonth, databaseId, thisMonth, `${guildId}:thisMonth`, tzLabel);
-
-      const doLast = async () =>
-        t.lastMonth
-          ? publishSchedule(discord, t.lastMonth, databaseId, lastMonth, `${guildId}:lastMonth`, tzLabel)
-          : 0;
-
-      const doNext = async () =>
-        t.nextMonth
-          ? publishSchedule(discord, t.nextMonth, databaseId, nextMonth, `${guildId}:nextMonth`, tzLabel)
-          : 0;
+      const { months, counts, mirror } = await syncGuild(discord, guildId, cfg, {
+        scope,
+        monthKey: currentMonthKey(cfg),
+        tzLabel,
+        actor: interaction.user.id,
+        via: "sync",
+      });
 
       if (scope === "all") {
-        const nLast = await doLast();
-        const nThis = await doThis();
-        const nNext = await doNext();
-        await interaction.editReply(`Synced. Last: ${nLast}. This: ${nThis}. Next: ${nNext}.`);
-        return;
-      }
-
-      if (scope === "last") {
-        const n = await doLast();
-        await interaction.editReply(`Synced last month (${lastMonth}): ${n}.`);
-        return;
-      }
-
-      if (scope === "next") {
-        const n = await doNext();
-        await interaction.editReply(`Synced next month (${nextMonth}): ${n}.`);
+        await interaction.editReply(tr(i18n, "sync.done_all", counts) + fmtMirrorResult(mirror, i18n));
         return;
       }
 
-      const n = await doThis();
-      await interaction.editReply(`Synced this month (${thisMonth}): ${n}.`);
+      await interaction.editReply(
+        tr(i18n, "sync.done_scope", { scope, month: months[scope], count: counts[scope] }) + fmtMirrorResult(mirror, i18n)
+      );
       return;
     }
   } catch (err) {
-    console.error(err);
-
-    // Friendlier Notion sharing error
-    const raw = String(err?.message || "unknown");
-    let msg = `Error: ${raw}`;
+    logJson("error", "command failed", {
+      guild: interaction.guildId,
+      command: interaction.commandName ?? null,
+      ...errorFields(err),
+    });
 
-    if (raw.includes("Notion API 404") || raw.toLowerCase().includes("could not find database")) {
-      const integrationName = process.env.NOTION_INTEGRATION_NAME || "Caltrix";
-      msg =
-        "Error: I cannot access that Notion database.\n" +
-        `Make sure you opened the database in Notion → **Share** → invited the integration **${integrationName}**.\n` +
-        "Then try /caltrix sync again.";
-    }
+    // Notion errors a staff member can fix get the fix plus a pointer to /caltrix doctor
+    const i18n = guildI18n(getGuildCfg(interaction.guildId));
+    const fix = notionErrorFix(err, i18n);
+    const msg = fix
+      ? `${tr(i18n, "error.message", { message: fix })}\n${tr(i18n, "error.doctor")}`
+      : tr(i18n, "error.message", { message: errorText(i18n, err) });
 
     if (interaction.deferred || interaction.replied) {
       await interaction.editReply(msg);
@@ -634,6 +8025,7 @@ discord.on("interactionCreate", async (interaction) => {
   }
 });
 
+startHttpServer();
 discord.login(process.env.DISCORD_TOKEN);
 
 